@@ -9,11 +9,33 @@ class MobileVikingSettlementTycoon {
         // Multiplayer setup
         this.socket = null;
         this.worldId = null;
+        this.worldName = null;
+        this.worldInviteCode = null;
+        this.worldCredentials = {}; // Password or invite code used to join the current world
+        
+        // Stable identity so a reconnect reclaims the same settlement; each
+        // server has its own, loaded when we connect to it
+        this.playerId = null;
+        this.sessionToken = null;
         this.isMultiplayer = true;
         this.otherPlayers = new Map();
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
+        this.serverProfiles = new ServerProfiles();
+        this.serverUrl = null;
+        this.localServer = null; // Created on first offline play
+        
+        // Offline action queue
+        this.actionQueue = []; // Actions taken while disconnected, replayed on rejoin
+        this.pendingActions = new Map(); // actionId -> action awaiting a server verdict
+        this.replayResults = null;
+        this.maxQueuedActions = 50;
+        this.actionCounter = 0;
+        
+        // Optimistic placement
+        this.pendingBuildings = new Map(); // actionId -> ghost building awaiting the server's verdict
+        this.placementAnimations = []; // Confirm and rollback effects
         
         // Game state
         this.camera = { x: 0, y: 0, scale: 1 };
@@ -24,9 +46,16 @@ class MobileVikingSettlementTycoon {
             gold: 10
         };
         this.population = 5;
+        this.starving = false; // The server's last cycle ran out of food
+        this.workPriorities = BuildingCatalog.getWorkerTypes(); // Order villagers fill worker slots in
+        this.workPrioritiesChanged = false; // Changed while disconnected; sent on the next join
         this.buildings = [];
+        this.ownBuildings = []; // Every building we own, wherever it is
         this.selectedBuilding = null;
         this.placementMode = false;
+        this.inspectedBuildingId = null; // Building shown in the inspect modal
+        this.relocatingBuildingId = null; // Building waiting for a tap on the spot to move it to
+        this.demolishArmed = false; // The first Demolish tap only asks for confirmation
         
         // Mobile-specific properties
         this.activeTab = 'buildings';
@@ -41,14 +70,21 @@ class MobileVikingSettlementTycoon {
         this.isPinching = false;
         
         // Enhanced infinite terrain system (mobile optimized)
-        this.chunkSize = 256; // Smaller chunks for mobile performance
-        this.tileSize = 16; // Smaller tiles for mobile optimization
+        this.chunkSize = WorldGrid.CHUNK_SIZE; // World units, the same on every client and the server
+        this.tileSize = WorldGrid.TILE_SIZE;
+        this.textureScale = 0.5; // Chunk and fog canvases are rasterized at half resolution to save memory
         this.loadedChunks = new Map(); // Map of chunk coordinates to chunk data
-        this.chunkLoadRadius = 2; // Reduced for mobile performance
-        this.seed = Math.random() * 10000; // Seed for consistent generation
+        this.requestedChunks = new Map(); // Chunks asked for but not received yet -> request time
+        this.chunkRequestTimeout = 5000;
+        this.chunkLoadRadius = 1; // Reduced for mobile performance
+        this.seed = null; // Terrain seed of the joined world
         
         // Exploration system
         this.fogOfWar = new Map(); // Map of chunk coordinates to fog canvas
+        this.explored = new ExploredMap(); // Explored cells, the source of truth the fog canvases are drawn from
+        this.fogSyncInterval = 5000; // ms between explored-cell diffs to the server
+        this.lastFogSync = Date.now();
+        this.interestKey = null; // Last area sent with update_interest
         this.scouts = [];
         this.exploredAreas = new Set();
         this.revealAnimations = [];
@@ -106,169 +142,179 @@ class MobileVikingSettlementTycoon {
     
     init() {
         this.setupCanvas();
-        this.connectToServer();
+        this.resolveServerAndConnect();
         this.setupMobileUI();
         this.setupMobileEventListeners();
         this.gameLoop();
     }
     
+    async resolveServerAndConnect() {
+        this.serverUrl = await this.serverProfiles.resolveServerUrl();
+        this.connectToServer();
+    }
+    
     connectToServer() {
         try {
-            // Use a fallback server URL for GitHub Pages deployment
-            const serverUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
-                ? 'http://localhost:3000' 
-                : 'https://your-server-url.herokuapp.com'; // Replace with your actual server URL
+            console.log(`Mobile connecting to ${this.serverUrl}`);
+            this.loadPlayerIdentity();
+            const auth = { protocolVersion: Protocol.VERSION };
+            this.socket = this.isPlayingOffline()
+                ? this.getLocalServer().connect(auth)
+                : io(this.serverUrl, { auth });
             
-            this.socket = io(serverUrl);
+            this.socket.on('connect_error', (error) => {
+                // The server refuses clients speaking an older or newer protocol
+                if (error.data && error.data.code === 'protocol_mismatch') {
+                    this.handleProtocolMismatch(error.data);
+                }
+            });
             
             this.socket.on('connect', () => {
                 console.log('Mobile connected to multiplayer server');
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
-                this.showMobileNotification('Connected to server!', 'success');
-                this.joinWorld();
+                this.showMobileNotification(this.isPlayingOffline() ? 'Playing offline' : 'Connected to server!', 'success');
+                this.joinWorld(this.worldId, this.worldCredentials);
             });
             
             this.socket.on('disconnect', () => {
                 console.log('Mobile disconnected from server');
                 this.isConnected = false;
+                // Verdicts for in-flight actions died with the old connection
+                this.pendingActions.clear();
+                this.replayResults = null;
+                this.requestedChunks.clear();
                 this.showMobileNotification('Disconnected from server', 'warning');
                 this.attemptReconnect();
             });
             
             // Same event handlers as desktop version
-            this.socket.on('world_joined', (data) => this.handleWorldJoined(data));
-            this.socket.on('player_joined', (data) => this.handlePlayerJoined(data));
-            this.socket.on('player_left', (data) => this.handlePlayerLeft(data));
-            this.socket.on('building_placed', (data) => this.handleBuildingPlaced(data));
-            this.socket.on('building_rejected', (data) => this.handleBuildingRejected(data));
-            this.socket.on('scout_sent', (data) => this.handleScoutSent(data));
-            this.socket.on('scout_rejected', (data) => this.handleScoutRejected(data));
-            this.socket.on('player_updated', (data) => this.handlePlayerUpdated(data));
-            this.socket.on('player_camera_updated', (data) => this.handlePlayerCameraUpdated(data));
-            this.socket.on('chunks_data', (data) => this.handleChunksData(data));
-            this.socket.on('area_explored', (data) => this.handleAreaExplored(data));
-            this.socket.on('error', (data) => {
+            this.onServerEvent('world_joined', (data) => this.handleWorldJoined(data));
+            this.onServerEvent('world_join_rejected', (data) => this.handleWorldJoinRejected(data));
+            this.onServerEvent('worlds_list', (data) => this.renderMobileWorldList(data.worlds));
+            this.onServerEvent('world_created', (data) => this.handleWorldCreated(data));
+            this.onServerEvent('player_joined', (data) => this.handlePlayerJoined(data));
+            this.onServerEvent('player_left', (data) => this.handlePlayerLeft(data));
+            this.onServerEvent('building_placed', (data) => this.handleBuildingPlaced(data));
+            this.onServerEvent('building_rejected', (data) => this.handleBuildingRejected(data));
+            this.onServerEvent('building_upgraded', (data) => this.handleBuildingUpgraded(data));
+            this.onServerEvent('upgrade_rejected', (data) => this.handleBuildingActionRejected(data));
+            this.onServerEvent('building_demolished', (data) => this.handleBuildingDemolished(data));
+            this.onServerEvent('demolish_rejected', (data) => this.handleBuildingActionRejected(data));
+            this.onServerEvent('building_relocated', (data) => this.handleBuildingRelocated(data));
+            this.onServerEvent('relocate_rejected', (data) => this.handleBuildingActionRejected(data));
+            this.onServerEvent('scout_sent', (data) => this.handleScoutSent(data));
+            this.onServerEvent('scout_rejected', (data) => this.handleScoutRejected(data));
+            this.onServerEvent('player_updated', (data) => this.handlePlayerUpdated(data));
+            this.onServerEvent('player_camera_updated', (data) => this.handlePlayerCameraUpdated(data));
+            this.onServerEvent('chunks_data', (data) => this.handleChunksData(data));
+            this.onServerEvent('area_explored', (data) => this.handleAreaExplored(data));
+            this.onServerEvent('entities_entered', (data) => this.handleEntitiesEntered(data));
+            this.onServerEvent('entities_left', (data) => this.handleEntitiesLeft(data));
+            this.onServerEvent('server_message', (data) => this.showMobileNotification(data.message, 'info'));
+            this.onServerEvent('kicked', (data) => this.handleKicked(data));
+            this.onServerEvent('error', (data) => {
                 console.error('Mobile server error:', data.message);
                 this.showMobileNotification(data.message, 'error');
             });
             
         } catch (error) {
             console.error('Mobile failed to connect to server:', error);
-            this.showMobileNotification('Running in offline demo mode', 'warning');
+            if (this.isPlayingOffline()) return;
             
-            // Initialize offline/demo mode for mobile
-            this.initializeMobileDemoMode();
+            this.showMobileNotification('No server - playing offline', 'warning');
+            this.playOffline();
         }
     }
     
-    initializeMobileDemoMode() {
-        // Initialize basic game state for mobile demo/offline play
-        this.isConnected = false;
-        this.worldId = 'mobile_demo_world';
-        
-        // Initialize with default data
-        this.scouts = [{
-            id: `scout_mobile_demo_${Date.now()}`,
-            x: 0,
-            y: 0,
-            speed: 30,
-            target: null,
-            exploring: false,
-            health: 100,
-            range: 60
-        }];
-        
-        this.setupCanvas();
-        this.setupMobileUI();
-        this.setupMobileEventListeners();
-        
-        // Generate initial chunks around spawn for mobile
-        this.generateMobileInitialChunks();
-        
-        this.showMobileNotification('Running in mobile demo mode', 'info');
+    isPlayingOffline() {
+        return this.serverUrl === LocalServer.URL;
     }
     
-    generateMobileInitialChunks() {
-        // Generate fewer chunks for mobile performance
-        for (let x = -1; x <= 1; x++) {
-            for (let y = -1; y <= 1; y++) {
-                const chunk = this.generateMobileDemoChunk(x, y);
-                const chunkKey = this.getChunkKey(x, y);
-                this.loadedChunks.set(chunkKey, chunk);
-                this.initializeChunkFogOfWar(x, y);
-            }
+    getLocalServer() {
+        if (!this.localServer) {
+            this.localServer = new LocalServer({ storage: localStorage });
         }
-        
-        // Reveal initial area
-        this.revealArea(0, 0, 80);
+        return this.localServer;
     }
     
-    generateMobileDemoChunk(chunkX, chunkY) {
-        const chunk = {
-            x: chunkX,
-            y: chunkY,
-            worldX: chunkX * this.chunkSize,
-            worldY: chunkY * this.chunkSize,
-            tiles: [],
-            textureCanvas: this.createMobileChunkCanvas({ x: chunkX, y: chunkY, worldX: chunkX * this.chunkSize, worldY: chunkY * this.chunkSize }),
-            detailCanvas: this.createMobileChunkDetailCanvas({ x: chunkX, y: chunkY, worldX: chunkX * this.chunkSize, worldY: chunkY * this.chunkSize }),
-            generated: true
-        };
-        
-        return chunk;
+    playOffline() {
+        // The emulated server answers the same events, so the game runs as it does online
+        this.disconnectFromServer();
+        this.reconnectAttempts = 0;
+        this.worldId = null; // Online worlds don't exist offline
+        this.worldCredentials = {};
+        this.serverUrl = LocalServer.URL;
+        this.connectToServer();
+        document.getElementById('mobileServerModal').classList.remove('active');
+    }
+    
+    onServerEvent(event, handler) {
+        this.socket.on(event, (data) => {
+            // Drop payloads that don't match the shared protocol instead of crashing on them
+            const { valid, errors } = Protocol.validateServerEvent(event, data);
+            if (!valid) {
+                console.warn(`Mobile Ignoring malformed ${event}:`, errors);
+                return;
+            }
+            handler(data);
+        });
+    }
+    
+    handleProtocolMismatch({ protocolVersion }) {
+        console.error(`Server speaks protocol ${protocolVersion}, this client speaks ${Protocol.VERSION}`);
+        this.disconnectFromServer();
+        
+        const errorDiv = document.createElement('div');
+        errorDiv.innerHTML = `
+            <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); 
+                        background: #f44336; color: white; padding: 20px; border-radius: 10px; 
+                        text-align: center; z-index: 9999;">
+                <h3>Update Required</h3>
+                <p>The server is running a different version of the game.</p>
+                <p>Please refresh the page to get the latest version.</p>
+                <button onclick="window.location.reload()" 
+                        style="margin-top: 10px; padding: 10px 20px; background: white; 
+                               color: #f44336; border: none; border-radius: 5px; cursor: pointer;">
+                    Refresh Page
+                </button>
+            </div>
+        `;
+        document.body.appendChild(errorDiv);
+    }
+    
+    handleKicked({ reason }) {
+        // Removed by an administrator: don't reconnect on our own
+        this.disconnectFromServer();
+        this.showMobileNotification(reason, 'error');
+        this.showMobileServerModal();
     }
     
     createMobileChunkCanvas(chunk) {
-        const canvas = document.createElement('canvas');
-        canvas.width = this.chunkSize;
-        canvas.height = this.chunkSize;
-        const ctx = canvas.getContext('2d');
-        
-        // Simple mobile-optimized terrain generation
-        const tilesPerChunk = this.chunkSize / this.tileSize;
+        const { canvas, ctx } = this.createChunkSizedCanvas();
         
-        for (let tileX = 0; tileX < tilesPerChunk; tileX++) {
-            for (let tileY = 0; tileY < tilesPerChunk; tileY++) {
-                const worldTileX = chunk.worldX + (tileX * this.tileSize);
-                const worldTileY = chunk.worldY + (tileY * this.tileSize);
-                
-                const noise = Math.sin(worldTileX * 0.01) * Math.cos(worldTileY * 0.01);
-                let tileType = 'grass';
-                
-                if (noise < -0.3) tileType = 'water';
-                else if (noise > 0.3) tileType = 'forest';
-                else if (noise > 0.1) tileType = 'hills';
-                
-                const localX = tileX * this.tileSize;
-                const localY = tileY * this.tileSize;
-                
-                switch(tileType) {
-                    case 'water':
-                        ctx.fillStyle = '#2196f3';
-                        break;
-                    case 'forest':
-                        ctx.fillStyle = '#2e7d32';
-                        break;
-                    case 'hills':
-                        ctx.fillStyle = '#8d6e63';
-                        break;
-                    default:
-                        ctx.fillStyle = '#4caf50';
-                }
-                
-                ctx.fillRect(localX, localY, this.tileSize, this.tileSize);
-            }
-        }
+        const tileSize = chunk.tileSize || this.tileSize;
+        (chunk.tiles || []).forEach(tile => {
+            ctx.fillStyle = WorldGen.getTerrainColor(tile.type);
+            ctx.fillRect(tile.localX, tile.localY, tileSize, tileSize);
+        });
         
         return canvas;
     }
     
     createMobileChunkDetailCanvas(chunk) {
+        return this.createChunkSizedCanvas().canvas;
+    }
+    
+    createChunkSizedCanvas() {
+        // Backed by fewer pixels than the chunk has world units; the context is
+        // scaled so callers still draw in chunk-local world units
         const canvas = document.createElement('canvas');
-        canvas.width = this.chunkSize;
-        canvas.height = this.chunkSize;
-        return canvas;
+        canvas.width = Math.ceil(this.chunkSize * this.textureScale);
+        canvas.height = Math.ceil(this.chunkSize * this.textureScale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.textureScale, this.textureScale);
+        return { canvas, ctx };
     }
     
     attemptReconnect() {
@@ -281,26 +327,182 @@ class MobileVikingSettlementTycoon {
                 this.connectToServer();
             }, delay);
         } else {
-            this.showMobileNotification('Unable to reconnect. Please refresh.', 'error');
+            this.showMobileNotification('Unable to reconnect. Pick a server or refresh.', 'error');
+            this.showMobileServerModal();
+        }
+    }
+    
+    disconnectFromServer() {
+        if (this.socket) {
+            // Drop handlers first so the disconnect doesn't trigger a reconnect
+            this.socket.off();
+            this.socket.disconnect();
+            this.socket = null;
         }
+        this.isConnected = false;
+        this.otherPlayers.clear();
+    }
+    
+    switchServer(profile) {
+        this.serverProfiles.setActiveProfile(profile.name);
+        this.disconnectFromServer();
+        this.reconnectAttempts = 0;
+        this.serverUrl = profile.url;
+        this.connectToServer();
+        document.getElementById('mobileServerModal').classList.remove('active');
+        this.showMobileNotification(`Connecting to ${profile.name}...`, 'info');
+    }
+    
+    showMobileServerModal() {
+        this.renderMobileServerProfiles();
+        document.getElementById('mobileServerModal').classList.add('active');
     }
     
-    joinWorld(worldId = null) {
+    renderMobileServerProfiles() {
+        document.getElementById('mobileCurrentServer').textContent = this.serverUrl || '-';
+        
+        const list = document.getElementById('mobileServerProfileList');
+        list.innerHTML = '';
+        
+        const profiles = this.serverProfiles.getProfiles();
+        if (profiles.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'mobile-server-empty';
+            empty.textContent = 'No saved servers yet';
+            list.appendChild(empty);
+            return;
+        }
+        
+        profiles.forEach(profile => {
+            const row = document.createElement('div');
+            row.className = 'mobile-server-profile';
+            if (profile.url === this.serverUrl) {
+                row.classList.add('active');
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'mobile-server-info';
+            const name = document.createElement('span');
+            name.className = 'mobile-server-name';
+            name.textContent = profile.name;
+            const url = document.createElement('span');
+            url.className = 'mobile-server-url';
+            url.textContent = profile.url;
+            info.append(name, url);
+            row.appendChild(info);
+            
+            const connectBtn = document.createElement('button');
+            connectBtn.className = 'mobile-action-btn';
+            connectBtn.textContent = 'Connect';
+            connectBtn.addEventListener('click', () => this.switchServer(profile));
+            row.appendChild(connectBtn);
+            
+            if (profile.saved) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'mobile-action-btn';
+                removeBtn.textContent = '✕';
+                removeBtn.addEventListener('click', () => {
+                    this.serverProfiles.removeProfile(profile.name);
+                    this.renderMobileServerProfiles();
+                });
+                row.appendChild(removeBtn);
+            }
+            
+            list.appendChild(row);
+        });
+    }
+    
+    addMobileServerProfile() {
+        const nameInput = document.getElementById('mobileServerProfileName');
+        const urlInput = document.getElementById('mobileServerProfileUrl');
+        
+        try {
+            this.serverProfiles.saveProfile(nameInput.value.trim(), urlInput.value);
+            nameInput.value = '';
+            urlInput.value = '';
+            this.renderMobileServerProfiles();
+        } catch (error) {
+            this.showMobileNotification(error.message, 'error');
+        }
+    }
+    
+    joinWorld(worldId = null, credentials = {}) {
         if (this.socket && this.isConnected) {
+            this.worldCredentials = credentials;
             this.socket.emit('join_world', {
                 worldId: worldId,
-                playerName: localStorage.getItem('playerName') || 'Mobile Viking'
+                playerName: localStorage.getItem('playerName') || 'Mobile Viking',
+                playerId: this.playerId,
+                sessionToken: this.sessionToken,
+                password: credentials.password,
+                inviteCode: credentials.inviteCode
             });
         }
     }
     
+    handleWorldJoinRejected(data) {
+        const { reason } = data;
+        this.showMobileNotification(`Could not join: ${reason}`, 'error');
+        
+        this.worldId = null;
+        this.worldCredentials = {};
+        this.openMobileLobby();
+    }
+    
+    handleWorldCreated(data) {
+        const { name, inviteCode } = data;
+        this.showMobileNotification(`"${name}" created! Code: ${inviteCode}`, 'success');
+        this.worldCredentials = { inviteCode };
+    }
+    
+    loadPlayerIdentity() {
+        const identity = this.serverProfiles.loadIdentity(this.serverUrl);
+        this.playerId = identity.playerId;
+        this.sessionToken = identity.sessionToken;
+    }
+    
+    savePlayerIdentity(playerId, sessionToken) {
+        this.playerId = playerId;
+        this.sessionToken = sessionToken;
+        this.serverProfiles.saveIdentity(this.serverUrl, playerId, sessionToken);
+    }
+    
     handleWorldJoined(data) {
-        const { worldId, playerData, worldData, otherPlayers } = data;
+        const { worldId, playerId, sessionToken, playerData, worldData, otherPlayers } = data;
+        
+        // The server may have issued a fresh identity if ours was unknown
+        if (playerId && sessionToken) {
+            this.savePlayerIdentity(playerId, sessionToken);
+        }
         
+        // Fog and terrain belong to the world, so a different world starts from the server's copy alone
+        if (worldId !== this.worldId) {
+            this.explored = new ExploredMap();
+            this.fogOfWar.clear();
+            this.loadedChunks.clear();
+            this.requestedChunks.clear();
+        }
         this.worldId = worldId;
+        this.worldName = (worldData && worldData.name) || worldId;
+        this.worldInviteCode = worldData && worldData.inviteCode;
+        if (worldData && worldData.seed !== undefined) {
+            this.seed = worldData.seed;
+        }
+        document.getElementById('mobileLobbyModal').classList.remove('active');
         this.resources = playerData.resources || this.resources;
         this.population = playerData.population || this.population;
-        this.buildings = playerData.buildings || this.buildings;
+        if (this.workPrioritiesChanged) {
+            this.socket.emit('set_work_priorities', { priorities: this.workPriorities });
+            this.workPrioritiesChanged = false;
+        } else {
+            this.workPriorities = Simulation.normalizeWorkPriorities(playerData.workPriorities);
+        }
+        this.renderMobileWorkforce();
+        this.pendingBuildings.clear(); // The joined state already includes anything the server accepted
+        this.interestKey = null; // The server starts from a default area around our saved camera
+        this.buildings = (worldData && worldData.buildings) || playerData.buildings || this.buildings;
+        this.ownBuildings = playerData.buildings || [];
+        this.restartProductionClock();
         this.scouts = playerData.scouts || this.scouts;
         this.camera = playerData.camera || this.camera;
         
@@ -310,7 +512,7 @@ class MobileVikingSettlementTycoon {
         
         this.otherPlayers.clear();
         otherPlayers.forEach(player => {
-            this.otherPlayers.set(player.socket_id, player);
+            this.otherPlayers.set(player.player_id, player);
         });
         
         if (playerData.fog_of_war) {
@@ -322,19 +524,230 @@ class MobileVikingSettlementTycoon {
         this.updateMobilePopulationDisplay();
         this.updateMobileStatsDisplay();
         
-        this.showMobileNotification(`Joined world ${worldId}!`, 'success');
+        this.showMobileNotification(`Joined ${this.worldName}!`, 'success');
+        
+        // Apply anything the player did while the connection was down
+        this.replayQueuedActions();
     }
     
-    handlePlayerJoined(data) {
-        const { socketId, playerName, camera } = data;
-        this.otherPlayers.set(socketId, {
-            socket_id: socketId,
-            player_name: playerName,
-            camera: camera
+    placeOptimisticBuilding(action) {
+        const { buildingType, x, y } = action.payload;
+        const buildingData = this.getBuildingData(buildingType);
+        if (!buildingData) return false;
+        
+        if (!this.canAfford(buildingData.cost)) {
+            this.showMobileNotification('Insufficient resources', 'error');
+            return false;
+        }
+        
+        this.pendingBuildings.set(action.id, {
+            id: action.id,
+            type: buildingType,
+            playerId: this.playerId,
+            x, y,
+            ...buildingData,
+            level: 1,
+            pending: true,
+            createdAt: Date.now()
         });
+        
+        this.spendResources(buildingData.cost);
+        this.cancelMobilePlacement();
+        return true;
+    }
+    
+    confirmOptimisticBuilding(actionId, building) {
+        if (!this.pendingBuildings.delete(actionId)) return;
+        this.startPlacementAnimation('confirm', building);
+    }
+    
+    rollbackOptimisticBuilding(actionId) {
+        const ghost = this.pendingBuildings.get(actionId);
+        if (!ghost) return;
+        
+        this.pendingBuildings.delete(actionId);
+        
+        // Refund the tentative deduction
+        Simulation.refundResources(this.resources, ghost.cost);
+        this.updateMobileResourceDisplay();
+        
+        this.startPlacementAnimation('rollback', ghost);
+    }
+    
+    applyPendingCosts(resources) {
+        // Server totals don't include placements still awaiting a verdict
+        const adjusted = { ...resources };
+        for (const ghost of this.pendingBuildings.values()) {
+            for (const [resource, amount] of Object.entries(ghost.cost)) {
+                adjusted[resource] -= amount;
+            }
+        }
+        return adjusted;
+    }
+    
+    startPlacementAnimation(type, building) {
+        this.placementAnimations.push({
+            type,
+            building,
+            startTime: Date.now(),
+            duration: type === 'confirm' ? 400 : 600
+        });
+    }
+    
+    createAction(type, payload) {
+        return {
+            id: `action_${Date.now()}_${++this.actionCounter}`,
+            type,
+            payload,
+            queuedAt: Date.now(),
+            replayed: false
+        };
+    }
+    
+    sendAction(action) {
+        this.pendingActions.set(action.id, action);
+        this.socket.emit(action.type, {
+            ...action.payload,
+            actionId: action.id
+        });
+    }
+    
+    queueAction(action) {
+        if (this.actionQueue.length >= this.maxQueuedActions) {
+            this.showMobileNotification('Offline queue is full', 'error');
+            return;
+        }
+        
+        this.actionQueue.push(action);
+        this.showMobileNotification(`Offline - queued (${this.actionQueue.length} pending)`, 'warning');
+    }
+    
+    describeAction(action) {
+        const { payload } = action;
+        if (action.type === 'place_building') {
+            const buildingData = this.getBuildingData(payload.buildingType);
+            return buildingData ? buildingData.name : payload.buildingType;
+        }
+        if (action.type === 'send_scout') {
+            return 'Scout';
+        }
+        if (action.type === 'upgrade_building') {
+            const building = this.ownBuildings.find(b => b.id === payload.buildingId);
+            return `${building ? building.name : 'Building'} upgrade`;
+        }
+        if (action.type === 'demolish_building') {
+            const building = this.ownBuildings.find(b => b.id === payload.buildingId);
+            return `${building ? building.name : 'Building'} demolition`;
+        }
+        if (action.type === 'relocate_building') {
+            const building = this.ownBuildings.find(b => b.id === payload.buildingId);
+            return `${building ? building.name : 'Building'} move`;
+        }
+        return action.type;
+    }
+    
+    replayQueuedActions() {
+        if (this.actionQueue.length === 0 || !this.socket || !this.isConnected) return;
+        
+        const actions = this.actionQueue;
+        this.actionQueue = [];
+        this.replayResults = { remaining: actions.length, succeeded: 0, failures: [] };
+        
+        this.showMobileNotification(`Syncing ${actions.length} queued action${actions.length === 1 ? '' : 's'}...`, 'info');
+        
+        // Socket.IO keeps emit order, so the server applies them as they were queued
+        actions.forEach(action => {
+            action.replayed = true;
+            this.sendAction(action);
+        });
+    }
+    
+    resolveAction(actionId, error = null) {
+        const action = this.pendingActions.get(actionId);
+        if (!action) return null;
+        
+        this.pendingActions.delete(actionId);
+        
+        if (action.replayed && this.replayResults) {
+            if (error) {
+                this.replayResults.failures.push({ action, reason: error });
+            } else {
+                this.replayResults.succeeded++;
+            }
+            
+            this.replayResults.remaining--;
+            if (this.replayResults.remaining === 0) {
+                this.reportReplayResults();
+            }
+        }
+        
+        return action;
+    }
+    
+    reportReplayResults() {
+        const { succeeded, failures } = this.replayResults;
+        this.replayResults = null;
+        
+        if (succeeded > 0) {
+            this.showMobileNotification(`${succeeded} queued action${succeeded === 1 ? '' : 's'} applied`, 'success');
+        }
+        
+        failures.forEach(({ action, reason }) => {
+            this.showMobileNotification(`${this.describeAction(action)} failed: ${reason}`, 'error');
+        });
+    }
+    
+    handlePlayerJoined(data) {
+        // Just an announcement; the player shows up once they're in our area
+        const { playerName } = data;
         this.showMobileNotification(`${playerName} joined!`, 'info');
     }
     
+    handleEntitiesEntered(data) {
+        const { buildings, players } = data;
+        
+        buildings.forEach(building => {
+            if (!this.buildings.some(b => b.id === building.id)) {
+                this.buildings.push(building);
+            }
+        });
+        
+        players.forEach(player => {
+            this.otherPlayers.set(player.player_id, player);
+        });
+    }
+    
+    handleEntitiesLeft(data) {
+        const { buildingIds, playerIds } = data;
+        
+        if (buildingIds.length > 0) {
+            const leaving = new Set(buildingIds);
+            this.buildings = this.buildings.filter(building => !leaving.has(building.id));
+            this.refreshInspectModal();
+        }
+        
+        playerIds.forEach(playerId => this.otherPlayers.delete(playerId));
+    }
+    
+    updateInterest(cameraChunk) {
+        // Tell the server which area we want updates for whenever it shifts
+        if (!this.socket || !this.isConnected) return;
+        
+        const interestKey = `${cameraChunk.x},${cameraChunk.y},${this.chunkLoadRadius}`;
+        if (interestKey === this.interestKey) return;
+        this.interestKey = interestKey;
+        
+        this.socket.emit('update_interest', {
+            area: {
+                left: (cameraChunk.x - this.chunkLoadRadius) * this.chunkSize,
+                top: (cameraChunk.y - this.chunkLoadRadius) * this.chunkSize,
+                // Inclusive edges, so the chunk past the radius isn't watched too
+                right: (cameraChunk.x + this.chunkLoadRadius + 1) * this.chunkSize - 1,
+                bottom: (cameraChunk.y + this.chunkLoadRadius + 1) * this.chunkSize - 1
+            }
+        });
+    }
+    
     handlePlayerLeft(data) {
         const { playerId } = data;
         const player = this.otherPlayers.get(playerId);
@@ -347,51 +760,151 @@ class MobileVikingSettlementTycoon {
     handleBuildingPlaced(data) {
         const { playerId, building, playerResources } = data;
         
-        if (playerId === this.socket.id) {
-            this.resources = playerResources;
+        if (playerId === this.playerId) {
+            // Swap our ghost for the real building and take the server's totals
+            this.resolveAction(data.actionId);
+            this.confirmOptimisticBuilding(data.actionId, building);
+            this.resources = this.applyPendingCosts(playerResources);
             this.updateMobileResourceDisplay();
-            this.cancelMobilePlacement();
-        } else {
+            building.lastUpdate = Date.now();
+            this.ownBuildings.push(building);
+            this.updateMobileStatsDisplay();
+            this.refreshInspectModal();
+        }
+        
+        if (!this.buildings.some(b => b.id === building.id)) {
             this.buildings.push(building);
         }
         
         this.showMobileNotification(`${building.name} built!`, 'success');
     }
     
+    handleBuildingUpgraded(data) {
+        const { playerId, building, playerResources } = data;
+        this.updateBuilding(building);
+        
+        if (playerId === this.playerId) {
+            this.resolveAction(data.actionId);
+            this.resources = this.applyPendingCosts(playerResources);
+            this.updateMobileResourceDisplay();
+            this.updateMobileStatsDisplay();
+            this.showMobileNotification(`${building.name} is now level ${building.level}`, 'success');
+        }
+        
+        this.refreshInspectModal();
+    }
+    
+    handleBuildingDemolished(data) {
+        const { playerId, buildingId, playerResources } = data;
+        this.buildings = this.buildings.filter(b => b.id !== buildingId);
+        
+        if (playerId === this.playerId) {
+            const building = this.ownBuildings.find(b => b.id === buildingId);
+            this.ownBuildings = this.ownBuildings.filter(b => b.id !== buildingId);
+            this.resolveAction(data.actionId);
+            this.resources = this.applyPendingCosts(playerResources);
+            this.updateMobileResourceDisplay();
+            this.updateMobileStatsDisplay();
+            this.showMobileNotification(`${building ? building.name : 'Building'} demolished`, 'info');
+        }
+        
+        this.refreshInspectModal();
+    }
+    
+    handleBuildingRelocated(data) {
+        const { playerId, building, playerResources } = data;
+        if (this.buildings.some(b => b.id === building.id)) {
+            this.updateBuilding(building);
+        } else {
+            this.buildings.push(building);
+        }
+        
+        if (playerId === this.playerId) {
+            this.resolveAction(data.actionId);
+            this.resources = this.applyPendingCosts(playerResources);
+            this.updateMobileResourceDisplay();
+            this.showMobileNotification(`${building.name} moved`, 'success');
+        }
+        
+        this.refreshInspectModal();
+    }
+    
+    // Upgrade, demolish and relocate rejections
+    handleBuildingActionRejected(data) {
+        const { reason, actionId } = data;
+        const action = this.resolveAction(actionId, reason);
+        if (action && action.replayed) return; // Reported with the replay results
+        
+        this.showMobileNotification(reason, 'error');
+    }
+    
+    updateBuilding(building) {
+        // Our copies keep their lastUpdate, which is on our own clock
+        [this.buildings, this.ownBuildings].forEach(list => {
+            const existing = list.find(b => b.id === building.id);
+            if (existing) {
+                Object.assign(existing, building, { lastUpdate: existing.lastUpdate });
+            }
+        });
+    }
+    
     handleBuildingRejected(data) {
-        const { reason } = data;
+        const { reason, actionId } = data;
+        const action = this.resolveAction(actionId, reason);
+        if (action && action.replayed) return; // Reported with the replay results
+        
         this.showMobileNotification(reason, 'error');
-        this.cancelMobilePlacement();
+        this.rollbackOptimisticBuilding(actionId);
     }
     
     handleScoutSent(data) {
         const { playerId, scout } = data;
         
-        if (playerId === this.socket.id) {
+        if (playerId === this.playerId) {
             const myScout = this.scouts.find(s => s.id === scout.id);
             if (myScout) {
                 Object.assign(myScout, scout);
             }
+            
+            const action = this.resolveAction(data.actionId);
+            if (action && action.replayed) return;
         }
         
         this.showMobileNotification('Scout dispatched!', 'success');
     }
     
     handleScoutRejected(data) {
-        const { reason } = data;
+        const { reason, actionId } = data;
+        const action = this.resolveAction(actionId, reason);
+        if (action && action.replayed) return;
+        
         this.showMobileNotification(reason, 'warning');
     }
     
     handlePlayerUpdated(data) {
-        const { playerId, resources, population, scouts } = data;
+        const { playerId, resources, population, starving, workPriorities, scouts } = data;
         
-        if (playerId === this.socket.id) {
-            if (resources) this.resources = resources;
+        if (playerId === this.playerId) {
+            if (resources) {
+                this.resources = this.applyPendingCosts(resources);
+                this.restartProductionClock();
+            }
             if (population) this.population = population;
+            if (typeof starving === 'boolean') {
+                if (starving && !this.starving) {
+                    this.showMobileNotification('Food has run out - villagers are starving!', 'warning');
+                }
+                this.starving = starving;
+            }
+            if (workPriorities) {
+                this.workPriorities = workPriorities;
+                this.renderMobileWorkforce();
+            }
             if (scouts) this.scouts = scouts;
             
             this.updateMobileResourceDisplay();
             this.updateMobilePopulationDisplay();
+            this.refreshInspectModal();
         }
     }
     
@@ -406,7 +919,17 @@ class MobileVikingSettlementTycoon {
     handleChunksData(data) {
         const { chunks } = data;
         
-        chunks.forEach(({ chunkKey, chunk }) => {
+        chunks.forEach(({ chunkKey, data: encoded }) => {
+            this.requestedChunks.delete(chunkKey);
+            
+            let chunk;
+            try {
+                chunk = ChunkCodec.decode(encoded);
+            } catch (error) {
+                console.warn(`Mobile skipping unreadable chunk ${chunkKey}:`, error.message);
+                return;
+            }
+            
             this.loadedChunks.set(chunkKey, {
                 ...chunk,
                 textureCanvas: this.createMobileChunkCanvas(chunk),
@@ -447,12 +970,16 @@ class MobileVikingSettlementTycoon {
         document.getElementById('platformInfo').textContent = this.deviceInfo.platform;
         document.getElementById('browserInfo').textContent = this.deviceInfo.browser;
         
+        this.renderMobileWorkforce();
         this.updateMobileResourceDisplay();
         this.updateMobilePopulationDisplay();
         this.updateMobileStatsDisplay();
     }
     
     setupMobileEventListeners() {
+        // Last chance to send explored cells when the page goes away
+        window.addEventListener('pagehide', () => this.saveFogOfWarToServer());
+        
         // Tab navigation
         document.querySelectorAll('.mobile-tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
@@ -461,22 +988,54 @@ class MobileVikingSettlementTycoon {
         });
         
         // Building selection
-        document.querySelectorAll('.mobile-building-card').forEach(card => {
-            card.addEventListener('click', (e) => {
-                const buildingType = card.dataset.building;
-                this.selectMobileBuilding(buildingType);
-            });
-        });
+        this.renderMobileBuildingPanel();
         
         // Action buttons - Updated for multiplayer
         document.getElementById('mobileNewTerritoryBtn').addEventListener('click', () => {
-            this.createNewMobileWorld();
+            this.openMobileLobby();
         });
         
         document.getElementById('mobileSaveBtn').addEventListener('click', () => {
             this.showMobileNotification('Saved to server!', 'success');
         });
         
+        // Server profile selection
+        document.getElementById('mobileServerBtn').addEventListener('click', () => {
+            this.showMobileServerModal();
+        });
+        
+        document.getElementById('mobileAddServerBtn').addEventListener('click', () => {
+            this.addMobileServerProfile();
+        });
+        
+        document.getElementById('mobilePlayOfflineBtn').addEventListener('click', () => {
+            this.playOffline();
+        });
+        
+        document.getElementById('mobileUpgradeBtn').addEventListener('click', () => {
+            this.upgradeInspectedBuilding();
+        });
+        
+        document.getElementById('mobileRelocateBtn').addEventListener('click', () => {
+            this.startRelocation();
+        });
+        
+        document.getElementById('mobileDemolishBtn').addEventListener('click', () => {
+            this.demolishInspectedBuilding();
+        });
+        
+        // World lobby
+        document.getElementById('mobileCreateWorldBtn').addEventListener('click', () => {
+            this.createMobileWorld();
+        });
+        
+        document.getElementById('mobileJoinInviteBtn').addEventListener('click', () => {
+            const inviteCode = document.getElementById('mobileInviteCode').value.trim().toUpperCase();
+            if (inviteCode) {
+                this.joinWorld(null, { inviteCode });
+            }
+        });
+        
         // Modal close buttons
         document.querySelectorAll('.mobile-modal-close').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -493,13 +1052,89 @@ class MobileVikingSettlementTycoon {
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
     }
     
-    createNewMobileWorld() {
-        if (this.socket && this.isConnected) {
-            this.socket.disconnect();
-            setTimeout(() => {
-                this.connectToServer();
-            }, 1000);
+    openMobileLobby() {
+        if (!this.socket || !this.isConnected) {
+            this.showMobileNotification('Connect to a server first', 'warning');
+            return;
         }
+        
+        document.getElementById('mobileLobbyCurrent').textContent = this.worldId
+            ? `${this.worldName}${this.worldInviteCode ? ` (code ${this.worldInviteCode})` : ''}`
+            : '-';
+        document.getElementById('mobileLobbyModal').classList.add('active');
+        this.socket.emit('list_worlds');
+    }
+    
+    renderMobileWorldList(worlds) {
+        const list = document.getElementById('mobileWorldList');
+        list.innerHTML = '';
+        
+        if (!worlds || worlds.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'mobile-server-empty';
+            empty.textContent = 'No public worlds yet';
+            list.appendChild(empty);
+            return;
+        }
+        
+        worlds.forEach(world => {
+            const row = document.createElement('div');
+            row.className = 'mobile-server-profile';
+            if (world.id === this.worldId) {
+                row.classList.add('active');
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'mobile-server-info';
+            const name = document.createElement('span');
+            name.className = 'mobile-server-name';
+            name.textContent = `${world.locked ? '🔒 ' : ''}${world.name}`;
+            const details = document.createElement('span');
+            details.className = 'mobile-server-url';
+            details.textContent = `👥 ${world.playerCount}/${world.maxPlayers} · 🌱 ${world.seed} · ⏳ ${this.formatWorldAge(world.createdAt)}`;
+            info.append(name, details);
+            row.appendChild(info);
+            
+            const joinBtn = document.createElement('button');
+            joinBtn.className = 'mobile-action-btn';
+            joinBtn.textContent = 'Join';
+            joinBtn.disabled = world.id === this.worldId || world.playerCount >= world.maxPlayers;
+            joinBtn.addEventListener('click', () => {
+                if (world.locked) {
+                    const password = prompt(`Password for ${world.name}:`);
+                    if (password === null) return;
+                    this.joinWorld(world.id, { password });
+                } else {
+                    this.joinWorld(world.id);
+                }
+            });
+            row.appendChild(joinBtn);
+            
+            list.appendChild(row);
+        });
+    }
+    
+    formatWorldAge(createdAt) {
+        const minutes = Math.floor((Date.now() - createdAt) / 60000);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h`;
+        return `${Math.floor(hours / 24)}d`;
+    }
+    
+    createMobileWorld() {
+        if (!this.socket || !this.isConnected) return;
+        
+        const visibility = document.getElementById('mobileNewWorldVisibility').value;
+        
+        this.socket.emit('create_world', {
+            name: document.getElementById('mobileNewWorldName').value.trim(),
+            isPrivate: visibility === 'private',
+            password: visibility === 'password' ? document.getElementById('mobileNewWorldPassword').value : null,
+            playerName: localStorage.getItem('playerName') || 'Mobile Viking',
+            playerId: this.playerId,
+            sessionToken: this.sessionToken
+        });
     }
     
     switchTab(tabName) {
@@ -518,9 +1153,52 @@ class MobileVikingSettlementTycoon {
         this.activeTab = tabName;
     }
     
+    renderMobileBuildingPanel() {
+        // One card per catalog entry, so new buildings need no markup
+        const grid = document.querySelector('#mobileBuildingsTab .mobile-building-grid');
+        grid.innerHTML = '';
+        
+        BuildingCatalog.getBuildingTypes().forEach(buildingType => {
+            const buildingData = BuildingCatalog.getBuildingData(buildingType);
+            const card = document.createElement('div');
+            card.className = 'mobile-building-card';
+            card.dataset.building = buildingType;
+            card.innerHTML = `
+                <div class="mobile-building-icon">${buildingData.icon}</div>
+                <div class="mobile-building-name">${buildingData.shortName}</div>
+                <div class="mobile-building-cost">${BuildingCatalog.formatCost(buildingData.cost, true)}</div>
+            `;
+            card.addEventListener('click', () => this.selectMobileBuilding(buildingType));
+            grid.appendChild(card);
+        });
+        
+        this.updateMobileBuildingAvailability();
+    }
+    
+    getMissingRequirements(buildingType) {
+        return BuildingCatalog.getMissingRequirements(buildingType, {
+            buildings: this.ownBuildings,
+            population: this.population
+        });
+    }
+    
+    updateMobileBuildingAvailability() {
+        document.querySelectorAll('.mobile-building-card').forEach(card => {
+            const missing = this.getMissingRequirements(card.dataset.building);
+            card.classList.toggle('locked', missing.length > 0);
+        });
+    }
+    
     selectMobileBuilding(buildingType) {
+        const missing = this.getMissingRequirements(buildingType);
+        if (missing.length > 0) {
+            this.showMobileNotification(`Requires ${missing.join(', ')}`, 'warning');
+            return;
+        }
+        
         this.selectedBuilding = buildingType;
         this.placementMode = true;
+        this.relocatingBuildingId = null;
         
         // Update UI
         document.querySelectorAll('.mobile-building-card').forEach(card => {
@@ -718,919 +1396,265 @@ class MobileVikingSettlementTycoon {
     handleTap(x, y) {
         if (this.placementMode && this.selectedBuilding) {
             this.tryPlaceMobileBuilding(x, y);
-        }
-    }
-    
-    handleLongPress() {
-        const worldPos = this.screenToWorld(this.touchState.currentX, this.touchState.currentY);
-        this.sendMobileScoutToExplore(worldPos.x, worldPos.y);
-    }
-    
-    sendMobileScoutToExplore(x, y) {
-        if (this.socket && this.isConnected) {
-            this.socket.emit('send_scout', {
-                targetX: x,
-                targetY: y
-            });
-        } else {
-            this.showMobileNotification('Not connected to server!', 'error');
-        }
-    }
-    
-    tryPlaceMobileBuilding(screenX, screenY) {
-        const worldPos = this.screenToWorld(screenX, screenY);
-        
-        if (!this.isConnected) {
-            // Demo mode - handle locally
-            this.handleMobileDemoBuilding(worldPos.x, worldPos.y);
-            return;
-        }
-        
-        if (!this.socket) {
-            this.showMobileNotification('Not connected to server!', 'error');
-            return;
-        }
-        
-        this.socket.emit('place_building', {
-            buildingType: this.selectedBuilding,
-            x: worldPos.x,
-            y: worldPos.y
-        });
-    }
-    
-    handleMobileDemoBuilding(x, y) {
-        const buildingData = this.getBuildingData(this.selectedBuilding);
-        if (!buildingData) return;
-        
-        // Check resources
-        if (!this.canAfford(buildingData.cost)) {
-            this.showMobileNotification('Insufficient resources', 'error');
-            return;
-        }
-        
-        // Check placement validity
-        if (!this.isValidPlacement(x, y)) {
-            this.showMobileNotification('Invalid placement location', 'error');
+            return;
+        }
+        if (this.relocatingBuildingId) {
+            this.tryRelocateBuilding(x, y);
             return;
         }
         
-        // Create building
-        const building = {
-            id: `mobile_demo_${Date.now()}_${Math.random()}`,
-            type: this.selectedBuilding,
-            x, y,
-            ...buildingData,
-            level: 1,
-            production: 0,
-            lastUpdate: Date.now(),
-            createdAt: Date.now()
-        };
-        
-        // Update resources and buildings
-        this.spendResources(buildingData.cost);
-        this.buildings.push(building);
-        this.cancelMobilePlacement();
-        
-        this.showMobileNotification(`${building.name} built!`, 'success');
-    }
-    
-    cancelMobilePlacement() {
-        this.selectedBuilding = null;
-        this.placementMode = false;
-        
-        // Update UI
-        document.querySelectorAll('.mobile-building-card').forEach(card => {
-            card.classList.remove('selected');
-        });
-    }
-    
-    loadNearbyChunks() {
-        const cameraChunk = this.getChunkCoords(this.camera.x + this.canvas.width / (2 * this.camera.scale), 
-                                                this.camera.y + this.canvas.height / (2 * this.camera.scale));
-        
-        const neededChunks = [];
-        
-        for (let x = cameraChunk.x - this.chunkLoadRadius; x <= cameraChunk.x + this.chunkLoadRadius; x++) {
-            for (let y = cameraChunk.y - this.chunkLoadRadius; y <= cameraChunk.y + this.chunkLoadRadius; y++) {
-                const chunkKey = this.getChunkKey(x, y);
-                if (!this.loadedChunks.has(chunkKey)) {
-                    neededChunks.push({ x, y });
-                }
-            }
-        }
-        
-        if (neededChunks.length > 0 && this.socket && this.isConnected) {
-            this.socket.emit('request_chunks', {
-                chunkCoords: neededChunks
-            });
-        }
-        
-        this.unloadDistantChunks(cameraChunk.x, cameraChunk.y);
-    }
-    
-    getChunkCoords(worldX, worldY) {
-        return {
-            x: Math.floor(worldX / this.chunkSize),
-            y: Math.floor(worldY / this.chunkSize)
-        };
-    }
-    
-    getChunkKey(chunkX, chunkY) {
-        return `${chunkX},${chunkY}`;
-    }
-    
-    generateChunk(chunkX, chunkY) {
-        const chunkKey = this.getChunkKey(chunkX, chunkY);
-        const worldX = chunkX * this.chunkSize;
-        const worldY = chunkY * this.chunkSize;
-        
-        // Create chunk data structure
-        const chunk = {
-            x: chunkX,
-            y: chunkY,
-            worldX: worldX,
-            worldY: worldY,
-            tiles: [],
-            textureCanvas: document.createElement('canvas'),
-            detailCanvas: document.createElement('canvas'),
-            generated: false
-        };
-        
-        // Setup canvases
-        chunk.textureCanvas.width = this.chunkSize;
-        chunk.textureCanvas.height = this.chunkSize;
-        chunk.textureCtx = chunk.textureCanvas.getContext('2d');
-        
-        chunk.detailCanvas.width = this.chunkSize;
-        chunk.detailCanvas.height = this.chunkSize;
-        chunk.detailCtx = chunk.detailCanvas.getContext('2d');
-        
-        // Generate tiles for this chunk
-        this.generateChunkTerrain(chunk);
-        
-        // Render chunk textures
-        this.renderChunkTextures(chunk);
-        
-        // Initialize fog of war for this chunk
-        this.initializeChunkFogOfWar(chunkX, chunkY);
-        
-        // Store chunk
-        this.loadedChunks.set(chunkKey, chunk);
-        chunk.generated = true;
-    }
-    
-    generateChunkTerrain(chunk) {
-        const tilesPerChunk = this.chunkSize / this.tileSize;
-        
-        for (let tileX = 0; tileX < tilesPerChunk; tileX++) {
-            for (let tileY = 0; tileY < tilesPerChunk; tileY++) {
-                const worldTileX = chunk.worldX + (tileX * this.tileSize);
-                const worldTileY = chunk.worldY + (tileY * this.tileSize);
-                
-                // Generate biome-based terrain
-                const biomeData = this.getBiomeAt(worldTileX, worldTileY);
-                const tileType = this.generateBiomeTerrain(worldTileX, worldTileY, biomeData);
-                
-                chunk.tiles.push({
-                    localX: tileX * this.tileSize,
-                    localY: tileY * this.tileSize,
-                    worldX: worldTileX,
-                    worldY: worldTileY,
-                    type: tileType,
-                    biome: biomeData.primary,
-                    biomeStrength: biomeData.strength,
-                    elevation: biomeData.elevation,
-                    temperature: biomeData.temperature,
-                    moisture: biomeData.moisture,
-                    noise: this.seededNoise(worldTileX * 0.02, worldTileY * 0.02),
-                    detailNoise: this.seededNoise(worldTileX * 0.05, worldTileY * 0.05)
-                });
-            }
-        }
-    }
-    
-    getBiomeAt(x, y) {
-        // Generate multiple noise layers for biome determination
-        const scale = 0.003; // Larger biomes
-        const temperatureNoise = this.seededNoise(x * scale + this.seed, y * scale + this.seed);
-        const moistureNoise = this.seededNoise(x * scale + this.seed + 1000, y * scale + this.seed + 1000);
-        const elevationNoise = this.seededNoise(x * scale * 0.5 + this.seed + 2000, y * scale * 0.5 + this.seed + 2000);
-        
-        // Normalize to 0-1 range
-        const temperature = (temperatureNoise + 1) * 0.5;
-        const moisture = (moistureNoise + 1) * 0.5;
-        const elevation = (elevationNoise + 1) * 0.5;
-        
-        // Determine primary biome based on temperature, moisture, and elevation
-        let primaryBiome = 'temperate_plains';
-        let biomeStrength = 1.0;
-        
-        // Arctic conditions (cold)
-        if (temperature < 0.3) {
-            primaryBiome = 'arctic_tundra';
-        }
-        // Cold forest conditions
-        else if (temperature < 0.5 && moisture > 0.4) {
-            primaryBiome = 'boreal_forest';
-        }
-        // Mountainous regions
-        else if (elevation > 0.7) {
-            primaryBiome = 'highland_mountains';
-        }
-        // Coastal areas (high moisture, moderate temperature)
-        else if (moisture > 0.6 && temperature > 0.4 && temperature < 0.7) {
-            primaryBiome = 'coastal_fjords';
-        }
-        // Default temperate plains
-        else {
-            primaryBiome = 'temperate_plains';
-        }
-        
-        // Calculate transition zones between biomes
-        const transitionNoise = this.seededNoise(x * 0.01 + this.seed + 3000, y * 0.01 + this.seed + 3000);
-        biomeStrength = Math.max(0.3, Math.min(1.0, biomeStrength + transitionNoise * 0.3));
-        
-        return {
-            primary: primaryBiome,
-            strength: biomeStrength,
-            temperature,
-            moisture,
-            elevation,
-            transitionNoise
-        };
-    }
-    
-    generateBiomeTerrain(x, y, biomeData) {
-        const detailNoise = this.seededNoise(x * 0.02 + this.seed, y * 0.02 + this.seed);
-        const microNoise = this.seededNoise(x * 0.05 + this.seed + 500, y * 0.05 + this.seed + 500);
-        
-        // Base terrain generation based on biome
-        switch (biomeData.primary) {
-            case 'arctic_tundra':
-                return this.generateArcticTerrain(biomeData, detailNoise, microNoise);
-            
-            case 'boreal_forest':
-                return this.generateBorealTerrain(biomeData, detailNoise, microNoise);
-            
-            case 'coastal_fjords':
-                return this.generateCoastalTerrain(biomeData, detailNoise, microNoise);
-            
-            case 'highland_mountains':
-                return this.generateMountainTerrain(biomeData, detailNoise, microNoise);
-            
-            case 'temperate_plains':
-            default:
-                return this.generateTemperateTerrain(biomeData, detailNoise, microNoise);
-        }
-    }
-    
-    generateArcticTerrain(biomeData, detailNoise, microNoise) {
-        // Arctic tundra: mostly snow, some ice, sparse vegetation
-        if (biomeData.elevation < 0.2) {
-            return detailNoise < -0.3 ? 'arctic_ice' : 'snow';
-        } else if (biomeData.elevation < 0.4 && detailNoise > 0.2) {
-            return 'tundra_grass';
-        } else if (microNoise > 0.4 && biomeData.moisture > 0.3) {
-            return 'sparse_forest';
-        }
-        return 'snow';
-    }
-    
-    generateBorealTerrain(biomeData, detailNoise, microNoise) {
-        // Boreal forest: dense coniferous forests, lakes, rocky areas
-        if (biomeData.elevation < 0.15 && biomeData.moisture > 0.6) {
-            return detailNoise < -0.2 ? 'boreal_lake' : 'wetland';
-        } else if (biomeData.moisture > 0.4) {
-            return detailNoise > 0.2 ? 'dense_conifer_forest' : 'conifer_forest';
-        } else if (biomeData.elevation > 0.6) {
-            return 'rocky_terrain';
-        }
-        return microNoise > 0 ? 'conifer_forest' : 'boreal_clearing';
-    }
-    
-    generateCoastalTerrain(biomeData, detailNoise, microNoise) {
-        // Coastal fjords: water bodies, beaches, coastal forests, cliffs
-        if (biomeData.elevation < 0.1) {
-            return 'deep_fjord_water';
-        } else if (biomeData.elevation < 0.25) {
-            return detailNoise < 0 ? 'shallow_water' : 'rocky_shore';
-        } else if (biomeData.elevation < 0.4 && biomeData.moisture > 0.5) {
-            return microNoise > 0.2 ? 'coastal_forest' : 'beach';
-        } else if (biomeData.elevation > 0.7) {
-            return 'sea_cliff';
-        }
-        return detailNoise > 0.1 ? 'coastal_grass' : 'beach';
-    }
-    
-    generateMountainTerrain(biomeData, detailNoise, microNoise) {
-        // Highland mountains: peaks, alpine meadows, rocky slopes
-        if (biomeData.elevation > 0.9) {
-            return biomeData.temperature < 0.3 ? 'snow_peak' : 'rocky_peak';
-        } else if (biomeData.elevation > 0.7) {
-            return detailNoise > 0.3 ? 'alpine_forest' : 'rocky_slope';
-        } else if (biomeData.elevation > 0.5) {
-            return microNoise > 0.2 ? 'mountain_forest' : 'alpine_meadow';
-        } else if (biomeData.moisture > 0.6) {
-            return 'mountain_stream';
-        }
-        return 'hills';
-    }
-    
-    generateTemperateTerrain(biomeData, detailNoise, microNoise) {
-        // Temperate plains: varied grasslands, deciduous forests, rivers
-        if (biomeData.elevation < 0.15 && biomeData.moisture > 0.7) {
-            return detailNoise < -0.2 ? 'river' : 'wetland';
-        } else if (biomeData.moisture > 0.5 && detailNoise > 0.1) {
-            return microNoise > 0.3 ? 'deciduous_forest' : 'mixed_forest';
-        } else if (biomeData.moisture < 0.3 && detailNoise < -0.2) {
-            return 'dry_grassland';
-        } else if (microNoise > 0.4) {
-            return 'flowering_meadow';
-        }
-        return 'grass';
-    }
-    
-    seededNoise(x, y) {
-        // Seeded multi-octave noise for consistent infinite generation
-        let value = 0;
-        let amplitude = 1;
-        let frequency = 1;
-        
-        for (let i = 0; i < 3; i++) { // Reduced octaves for mobile performance
-            const px = x * frequency;
-            const py = y * frequency;
-            
-            // Simple seeded noise function
-            const n = Math.sin(px * 2.3 + py * 1.7 + this.seed) * 
-                     Math.cos(px * 1.9 + py * 2.1 + this.seed) * 
-                     Math.sin(px * 3.1 + py * 2.9 + this.seed * 2);
-            
-            value += n * amplitude;
-            amplitude *= 0.5;
-            frequency *= 2;
-        }
-        
-        return Math.max(-1, Math.min(1, value * 0.5));
-    }
-    
-    renderChunkTextures(chunk) {
-        const ctx = chunk.textureCtx;
-        const detailCtx = chunk.detailCtx;
-        
-        // Render base terrain
-        chunk.tiles.forEach(tile => {
-            this.drawEnhancedTerrainTile(ctx, tile.type, tile.localX, tile.localY, this.tileSize, tile.noise, tile.detailNoise, tile.moisture);
-        });
-        
-        // Add detail overlay
-        chunk.tiles.forEach(tile => {
-            this.drawTerrainDetails(detailCtx, tile.type, tile.localX, tile.localY, this.tileSize, tile.detailNoise);
-        });
-    }
-    
-    drawEnhancedTerrainTile(ctx, tileType, x, y, size, noise, detailNoise, moisture) {
-        switch(tileType) {
-            // Arctic biome tiles
-            case 'arctic_ice':
-                this.drawArcticIceTile(ctx, x, y, size);
-                break;
-            case 'tundra_grass':
-                this.drawTundraGrassTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'sparse_forest':
-                this.drawSparseForestTile(ctx, x, y, size, detailNoise);
-                break;
-                
-            // Boreal biome tiles
-            case 'boreal_lake':
-                this.drawBorealLakeTile(ctx, x, y, size);
-                break;
-            case 'wetland':
-                this.drawWetlandTile(ctx, x, y, size, moisture);
-                break;
-            case 'dense_conifer_forest':
-                this.drawDenseConiferTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'conifer_forest':
-                this.drawConiferForestTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'boreal_clearing':
-                this.drawBorealClearingTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'rocky_terrain':
-                this.drawRockyTerrainTile(ctx, x, y, size, detailNoise);
-                break;
-                
-            // Coastal biome tiles
-            case 'deep_fjord_water':
-                this.drawDeepFjordTile(ctx, x, y, size);
-                break;
-            case 'rocky_shore':
-                this.drawRockyShoreTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'coastal_forest':
-                this.drawCoastalForestTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'sea_cliff':
-                this.drawSeaCliffTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'coastal_grass':
-                this.drawCoastalGrassTile(ctx, x, y, size, moisture);
-                break;
-                
-            // Mountain biome tiles
-            case 'snow_peak':
-                this.drawSnowPeakTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'rocky_peak':
-                this.drawRockyPeakTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'alpine_forest':
-                this.drawAlpineForestTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'rocky_slope':
-                this.drawRockySlopeTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'alpine_meadow':
-                this.drawAlpineMeadowTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'mountain_forest':
-                this.drawMountainForestTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'mountain_stream':
-                this.drawMountainStreamTile(ctx, x, y, size);
-                break;
-                
-            // Temperate biome tiles
-            case 'river':
-                this.drawRiverTile(ctx, x, y, size);
-                break;
-            case 'deciduous_forest':
-                this.drawDeciduousForestTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'mixed_forest':
-                this.drawMixedForestTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'dry_grassland':
-                this.drawDryGrasslandTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'flowering_meadow':
-                this.drawFloweringMeadowTile(ctx, x, y, size, detailNoise);
-                break;
-                
-            // Fallback tiles
-            case 'grass':
-                this.drawEnhancedGrassTile(ctx, x, y, size, detailNoise, moisture || 0.5);
-                break;
-            case 'snow':
-                this.drawEnhancedSnowTile(ctx, x, y, size, detailNoise);
-                break;
-            case 'hills':
-                this.drawEnhancedHillsTile(ctx, x, y, size, detailNoise);
-                break;
-        }
-    }
-    
-    // Arctic biome tile renderers (mobile optimized)
-    drawArcticIceTile(ctx, x, y, size) {
-        const gradient = ctx.createRadialGradient(x + size/2, y + size/2, 0, x + size/2, y + size/2, size/2);
-        gradient.addColorStop(0, '#e8f4fd');
-        gradient.addColorStop(1, '#b8daf2');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x, y, size, size);
-        
-        // Ice crystals (simplified for mobile)
-        ctx.fillStyle = '#ffffff';
-        for (let i = 0; i < 2; i++) {
-            const crystalX = x + Math.random() * size;
-            const crystalY = y + Math.random() * size;
-            ctx.fillRect(crystalX, crystalY, 1, 1);
-        }
-    }
-    
-    drawTundraGrassTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#8fbc8f';
-        ctx.fillRect(x, y, size, size);
-        
-        // Sparse grass tufts
-        ctx.fillStyle = '#556b2f';
-        for (let i = 0; i < 2; i++) {
-            const grassX = x + Math.random() * size;
-            const grassY = y + Math.random() * size;
-            ctx.fillRect(grassX, grassY, 1, 2);
-        }
-        
-        // Moss patches
-        if (detailNoise > 0.2) {
-            ctx.fillStyle = '#9acd32';
-            ctx.fillRect(x + size * 0.6, y + size * 0.4, 2, 2);
-        }
-    }
-    
-    drawSparseForestTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#8fbc8f';
-        ctx.fillRect(x, y, size, size);
-        
-        // Single tree
-        const treeX = x + size/2;
-        const treeY = y + size/2;
-        
-        // Trunk
-        ctx.fillStyle = '#654321';
-        ctx.fillRect(treeX - 1, treeY, 1, 4);
-        
-        // Conifer canopy
-        ctx.fillStyle = '#228b22';
-        ctx.fillRect(treeX - 2, treeY - 3, 4, 4);
-    }
-    
-    // Boreal biome tile renderers
-    drawBorealLakeTile(ctx, x, y, size) {
-        const gradient = ctx.createRadialGradient(x + size/2, y + size/2, 0, x + size/2, y + size/2, size/2);
-        gradient.addColorStop(0, '#4682b4');
-        gradient.addColorStop(1, '#2f4f4f');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x, y, size, size);
-    }
-    
-    drawWetlandTile(ctx, x, y, size, moisture) {
-        ctx.fillStyle = moisture > 0.7 ? '#2e8b57' : '#6b8e23';
-        ctx.fillRect(x, y, size, size);
-        
-        // Wetland vegetation
-        ctx.fillStyle = '#228b22';
-        for (let i = 0; i < 3; i++) {
-            const reedX = x + Math.random() * size;
-            const reedY = y + Math.random() * size;
-            ctx.fillRect(reedX, reedY, 1, 3);
-        }
-    }
-    
-    drawDenseConiferTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#013220';
-        ctx.fillRect(x, y, size, size);
-        
-        // Dense trees (simplified)
-        for (let i = 0; i < 4; i++) {
-            const treeX = x + (i % 2) * size/2 + 2;
-            const treeY = y + Math.floor(i / 2) * size/2 + 2;
-            
-            ctx.fillStyle = '#654321';
-            ctx.fillRect(treeX, treeY, 1, 3);
-            
-            ctx.fillStyle = '#228b22';
-            ctx.fillRect(treeX - 1, treeY - 2, 3, 3);
-        }
-    }
-    
-    drawConiferForestTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#2d5016';
-        ctx.fillRect(x, y, size, size);
-        
-        // Moderate trees
-        for (let i = 0; i < 2; i++) {
-            const treeX = x + i * size/2 + size/4;
-            const treeY = y + size/2;
-            
-            ctx.fillStyle = '#654321';
-            ctx.fillRect(treeX, treeY, 1, 4);
-            
-            ctx.fillStyle = '#228b22';
-            ctx.fillRect(treeX - 2, treeY - 3, 4, 4);
+        const worldPos = this.screenToWorld(x, y);
+        const building = this.getBuildingAt(worldPos.x, worldPos.y);
+        if (building) {
+            this.inspectBuilding(building);
         }
     }
     
-    drawBorealClearingTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#9acd32';
-        ctx.fillRect(x, y, size, size);
-        
-        // Grass texture
-        ctx.fillStyle = '#6b8e23';
-        for (let i = 0; i < 6; i++) {
-            const grassX = x + Math.random() * size;
-            const grassY = y + Math.random() * size;
-            ctx.fillRect(grassX, grassY, 1, 1);
+    getBuildingAt(worldX, worldY) {
+        // Last drawn is on top
+        for (let i = this.buildings.length - 1; i >= 0; i--) {
+            const building = this.buildings[i];
+            if (worldX >= building.x && worldX <= building.x + building.size &&
+                worldY >= building.y && worldY <= building.y + building.size) {
+                return building;
+            }
         }
+        return null;
     }
     
-    drawRockyTerrainTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#708090';
-        ctx.fillRect(x, y, size, size);
-        
-        // Rocky outcrops
-        ctx.fillStyle = '#2f4f4f';
-        for (let i = 0; i < 3; i++) {
-            const rockX = x + Math.random() * size;
-            const rockY = y + Math.random() * size;
-            ctx.fillRect(rockX, rockY, 2, 2);
-        }
+    inspectBuilding(building) {
+        this.inspectedBuildingId = building.id;
+        this.demolishArmed = false;
+        document.getElementById('mobileInspectModal').classList.add('active');
+        this.refreshInspectModal();
     }
     
-    // Coastal biome tile renderers
-    drawDeepFjordTile(ctx, x, y, size) {
-        const gradient = ctx.createLinearGradient(x, y, x, y + size);
-        gradient.addColorStop(0, '#191970');
-        gradient.addColorStop(1, '#0000cd');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x, y, size, size);
+    getInspectedBuilding() {
+        if (!this.inspectedBuildingId) return null;
+        return this.buildings.find(b => b.id === this.inspectedBuildingId) || null;
     }
     
-    drawRockyShoreTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#696969';
-        ctx.fillRect(x, y, size, size);
+    refreshInspectModal() {
+        const modal = document.getElementById('mobileInspectModal');
+        if (!modal.classList.contains('active')) return;
         
-        // Rocky shore elements
-        ctx.fillStyle = '#2f4f4f';
-        for (let i = 0; i < 3; i++) {
-            const rockX = x + Math.random() * size;
-            const rockY = y + Math.random() * size;
-            ctx.fillRect(rockX, rockY, 2, 2);
+        const building = this.getInspectedBuilding();
+        if (!building) {
+            // Gone, or out of our area
+            modal.classList.remove('active');
+            return;
         }
-    }
-    
-    drawCoastalForestTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#2e8b57';
-        ctx.fillRect(x, y, size, size);
         
-        // Coastal trees
-        const treeX = x + size/2;
-        const treeY = y + size/2;
+        const isOwn = building.playerId === this.playerId;
+        const upgradeCost = BuildingCatalog.getUpgradeCost(building.type, building.level);
+        const describeLevel = level => {
+            const housing = BuildingCatalog.getHousing(building.type, level);
+            if (housing) return `Houses 👥${housing}`;
+            return BuildingCatalog.formatCost(BuildingCatalog.getOutput(building.type, level), true);
+        };
+        const rows = [
+            ['Level', `${building.level} / ${BuildingCatalog.getMaxLevel(building.type)}`],
+            ['Output', describeLevel(building.level)]
+        ];
+        const slots = BuildingCatalog.getWorkerSlots(building.type);
+        if (isOwn && slots > 0) {
+            const workers = Simulation.assignWorkers(this, this.ownBuildings).staffing.get(building.id) || 0;
+            rows.push(['Workers', `${workers} / ${slots}`]);
+        }
+        if (upgradeCost) {
+            rows.push(['Next level', describeLevel(building.level + 1)]);
+            rows.push(['Upgrade cost', BuildingCatalog.formatCost(upgradeCost, true)]);
+        }
+        if (isOwn) {
+            rows.push(['Move fee', BuildingCatalog.formatCost(Simulation.getRelocateFee(building.type), true) || 'Free']);
+            rows.push(['Refund', BuildingCatalog.formatCost(Simulation.getDemolishRefund(building.type), true) || 'Nothing']);
+        } else {
+            rows.push(['Owner', 'Another player']);
+        }
+        
+        document.getElementById('mobileInspectTitle').textContent = `${building.icon} ${building.name}`;
+        const details = document.getElementById('mobileInspectDetails');
+        details.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'device-info-item';
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'device-label';
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            row.append(labelSpan, valueSpan);
+            details.appendChild(row);
+        });
         
-        ctx.fillStyle = '#8b4513';
-        ctx.fillRect(treeX, treeY, 1, 4);
+        const upgradeBtn = document.getElementById('mobileUpgradeBtn');
+        upgradeBtn.textContent = upgradeCost ? '⬆️ Upgrade' : 'Max level';
+        upgradeBtn.disabled = !isOwn || !upgradeCost || !this.canAfford(upgradeCost);
         
-        ctx.fillStyle = '#32cd32';
-        ctx.fillRect(treeX - 2, treeY - 3, 4, 4);
-    }
-    
-    drawSeaCliffTile(ctx, x, y, size, detailNoise) {
-        const gradient = ctx.createLinearGradient(x, y, x, y + size);
-        gradient.addColorStop(0, '#d3d3d3');
-        gradient.addColorStop(1, '#696969');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x, y, size, size);
+        document.getElementById('mobileRelocateBtn').disabled =
+            !isOwn || !this.canAfford(Simulation.getRelocateFee(building.type));
         
-        // Cliff lines
-        ctx.strokeStyle = '#2f4f4f';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(x, y + size/2);
-        ctx.lineTo(x + size, y + size/2 + 2);
-        ctx.stroke();
+        const demolishBtn = document.getElementById('mobileDemolishBtn');
+        demolishBtn.textContent = this.demolishArmed ? '⚠️ Tap again to demolish' : '🔨 Demolish';
+        demolishBtn.disabled = !isOwn;
     }
     
-    drawCoastalGrassTile(ctx, x, y, size, moisture) {
-        const grassColor = moisture > 0.6 ? '#32cd32' : '#9acd32';
-        ctx.fillStyle = grassColor;
-        ctx.fillRect(x, y, size, size);
+    upgradeInspectedBuilding() {
+        const building = this.getInspectedBuilding();
+        if (!building) return;
         
-        // Coastal grass
-        ctx.fillStyle = '#6b8e23';
-        for (let i = 0; i < 8; i++) {
-            const grassX = x + Math.random() * size;
-            const grassY = y + Math.random() * size;
-            ctx.fillRect(grassX, grassY, 1, 1);
+        // Same checks the server makes, so obvious failures skip the round trip
+        const error = Simulation.getUpgradeError({ id: this.playerId, resources: this.resources }, building);
+        if (error) {
+            this.showMobileNotification(Protocol.REJECTIONS[error], 'error');
+            return;
         }
-    }
-    
-    // Mountain biome tile renderers
-    drawSnowPeakTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#fffafa';
-        ctx.fillRect(x, y, size, size);
         
-        // Snow drifts
-        ctx.fillStyle = '#ffffff';
-        for (let i = 0; i < 4; i++) {
-            const driftX = x + Math.random() * size;
-            const driftY = y + Math.random() * size;
-            ctx.fillRect(driftX, driftY, 2, 1);
+        const action = this.createAction('upgrade_building', { buildingId: building.id });
+        
+        if (this.socket && this.isConnected) {
+            this.sendAction(action);
+        } else {
+            this.queueAction(action);
         }
     }
     
-    drawRockyPeakTile(ctx, x, y, size, detailNoise) {
-        const gradient = ctx.createLinearGradient(x, y, x, y + size);
-        gradient.addColorStop(0, '#dcdcdc');
-        gradient.addColorStop(1, '#696969');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x, y, size, size);
+    startRelocation() {
+        const building = this.getInspectedBuilding();
+        if (!building || building.playerId !== this.playerId) return;
         
-        // Rocky formations
-        ctx.fillStyle = '#2f4f4f';
-        ctx.fillRect(x + size/4, y, size/2, size/3);
+        // The modal would cover the map
+        document.getElementById('mobileInspectModal').classList.remove('active');
+        this.cancelMobilePlacement();
+        this.relocatingBuildingId = building.id;
+        this.showMobileNotification(`Tap where the ${building.name} should go`, 'info');
     }
     
-    drawAlpineForestTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#2f4f2f';
-        ctx.fillRect(x, y, size, size);
-        
-        // Alpine tree
-        const treeX = x + size/2;
-        const treeY = y + size/2;
+    tryRelocateBuilding(screenX, screenY) {
+        const building = this.buildings.find(b => b.id === this.relocatingBuildingId);
+        this.relocatingBuildingId = null;
+        if (!building) return;
         
-        ctx.fillStyle = '#654321';
-        ctx.fillRect(treeX, treeY, 1, 3);
+        const worldPos = this.screenToWorld(screenX, screenY);
+        const player = { id: this.playerId, resources: this.resources };
+        const world = { seed: this.seed, buildings: this.buildings };
+        const error = Simulation.getRelocationError(world, player, building, worldPos.x, worldPos.y);
+        if (error) {
+            this.showMobileNotification(Protocol.REJECTIONS[error], 'error');
+            return;
+        }
         
-        ctx.fillStyle = '#006400';
-        ctx.fillRect(treeX - 1, treeY - 2, 3, 3);
-    }
-    
-    drawRockySlopeTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#a9a9a9';
-        ctx.fillRect(x, y, size, size);
+        const action = this.createAction('relocate_building', { buildingId: building.id, x: worldPos.x, y: worldPos.y });
         
-        // Sloped rocks
-        ctx.fillStyle = '#696969';
-        for (let i = 0; i < 4; i++) {
-            const rockX = x + Math.random() * size;
-            const rockY = y + Math.random() * size;
-            ctx.fillRect(rockX, rockY, 2, 1);
+        if (this.socket && this.isConnected) {
+            this.sendAction(action);
+        } else {
+            this.queueAction(action);
         }
     }
     
-    drawAlpineMeadowTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#adff2f';
-        ctx.fillRect(x, y, size, size);
+    demolishInspectedBuilding() {
+        const building = this.getInspectedBuilding();
+        if (!building || building.playerId !== this.playerId) return;
         
-        // Alpine flowers
-        const colors = ['#ff1493', '#ffd700', '#ff69b4'];
-        for (let i = 0; i < 3; i++) {
-            ctx.fillStyle = colors[i % colors.length];
-            const flowerX = x + Math.random() * size;
-            const flowerY = y + Math.random() * size;
-            ctx.fillRect(flowerX, flowerY, 1, 1);
+        if (!this.demolishArmed) {
+            this.demolishArmed = true;
+            this.refreshInspectModal();
+            return;
         }
-    }
-    
-    drawMountainForestTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#228b22';
-        ctx.fillRect(x, y, size, size);
+        this.demolishArmed = false;
+        document.getElementById('mobileInspectModal').classList.remove('active');
         
-        // Mountain tree
-        const treeX = x + size/2;
-        const treeY = y + size/2;
-        
-        ctx.fillStyle = '#8b4513';
-        ctx.fillRect(treeX, treeY, 1, 4);
-        
-        ctx.fillStyle = '#006400';
-        ctx.fillRect(treeX - 2, treeY - 3, 4, 4);
-    }
-    
-    drawMountainStreamTile(ctx, x, y, size) {
-        ctx.fillStyle = '#228b22';
-        ctx.fillRect(x, y, size, size);
+        const action = this.createAction('demolish_building', { buildingId: building.id });
         
-        // Stream
-        ctx.strokeStyle = '#87ceeb';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(x, y + size/4);
-        ctx.lineTo(x + size, y + 3*size/4);
-        ctx.stroke();
+        if (this.socket && this.isConnected) {
+            this.sendAction(action);
+        } else {
+            this.queueAction(action);
+        }
     }
     
-    // Temperate biome tile renderers
-    drawRiverTile(ctx, x, y, size) {
-        ctx.fillStyle = '#32cd32';
-        ctx.fillRect(x, y, size, size);
-        
-        // River
-        ctx.strokeStyle = '#4169e1';
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.moveTo(x, y + size/3);
-        ctx.lineTo(x + size, y + 2*size/3);
-        ctx.stroke();
+    handleLongPress() {
+        const worldPos = this.screenToWorld(this.touchState.currentX, this.touchState.currentY);
+        this.sendMobileScoutToExplore(worldPos.x, worldPos.y);
     }
     
-    drawDeciduousForestTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#228b22';
-        ctx.fillRect(x, y, size, size);
+    sendMobileScoutToExplore(x, y) {
+        const action = this.createAction('send_scout', { targetX: x, targetY: y });
         
-        // Deciduous trees
-        for (let i = 0; i < 2; i++) {
-            const treeX = x + i * size/2 + size/4;
-            const treeY = y + size/2;
-            
-            ctx.fillStyle = '#8b4513';
-            ctx.fillRect(treeX, treeY, 1, 4);
-            
-            ctx.fillStyle = '#32cd32';
-            ctx.fillRect(treeX - 2, treeY - 3, 4, 4);
+        if (this.socket && this.isConnected) {
+            this.sendAction(action);
+        } else {
+            this.queueAction(action);
         }
     }
     
-    drawMixedForestTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#2e8b57';
-        ctx.fillRect(x, y, size, size);
-        
-        // Mixed trees
-        const treeX = x + size/2;
-        const treeY = y + size/2;
+    tryPlaceMobileBuilding(screenX, screenY) {
+        const worldPos = this.screenToWorld(screenX, screenY);
         
-        ctx.fillStyle = '#654321';
-        ctx.fillRect(treeX, treeY, 1, 4);
+        const action = this.createAction('place_building', {
+            buildingType: this.selectedBuilding,
+            x: worldPos.x,
+            y: worldPos.y
+        });
         
-        if (Math.random() > 0.5) {
-            ctx.fillStyle = '#228b22';
-            ctx.fillRect(treeX - 1, treeY - 3, 3, 4);
-        } else {
-            ctx.fillStyle = '#32cd32';
-            ctx.fillRect(treeX - 2, treeY - 3, 4, 4);
+        if (!this.socket || !this.isConnected) {
+            // Connection blip - queue it for the server to validate on reconnect
+            this.queueAction(action);
+            this.cancelMobilePlacement();
+            return;
         }
-    }
-    
-    drawDryGrasslandTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#daa520';
-        ctx.fillRect(x, y, size, size);
         
-        // Dry grass
-        ctx.fillStyle = '#b8860b';
-        for (let i = 0; i < 10; i++) {
-            const grassX = x + Math.random() * size;
-            const grassY = y + Math.random() * size;
-            ctx.fillRect(grassX, grassY, 1, 1);
-        }
+        // Show it straight away; the server confirms or rolls it back
+        if (!this.placeOptimisticBuilding(action)) return;
+        
+        this.sendAction(action);
     }
     
-    drawFloweringMeadowTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#90ee90';
-        ctx.fillRect(x, y, size, size);
+    cancelMobilePlacement() {
+        this.selectedBuilding = null;
+        this.placementMode = false;
         
-        // Wildflowers
-        const flowers = ['#ff1493', '#ffd700', '#ff69b4'];
-        for (let i = 0; i < 6; i++) {
-            ctx.fillStyle = flowers[Math.floor(Math.random() * flowers.length)];
-            const flowerX = x + Math.random() * size;
-            const flowerY = y + Math.random() * size;
-            ctx.fillRect(flowerX, flowerY, 1, 1);
-        }
+        // Update UI
+        document.querySelectorAll('.mobile-building-card').forEach(card => {
+            card.classList.remove('selected');
+        });
     }
     
-    drawEnhancedGrassTile(ctx, x, y, size, detailNoise, moisture) {
-        const baseGreen = moisture > 0 ? '#4caf50' : '#7cb342';
-        ctx.fillStyle = baseGreen;
-        ctx.fillRect(x, y, size, size);
+    loadNearbyChunks() {
+        const cameraChunk = this.getChunkCoords(this.camera.x + this.canvas.width / (2 * this.camera.scale), 
+                                                this.camera.y + this.canvas.height / (2 * this.camera.scale));
+        
+        const neededChunks = [];
+        const now = Date.now();
         
-        // Grass texture
-        ctx.fillStyle = '#388e3c';
-        for (let i = 0; i < 4; i++) {
-            const patchX = x + Math.random() * size;
-            const patchY = y + Math.random() * size;
-            ctx.fillRect(patchX, patchY, 1, 1);
+        for (let x = cameraChunk.x - this.chunkLoadRadius; x <= cameraChunk.x + this.chunkLoadRadius; x++) {
+            for (let y = cameraChunk.y - this.chunkLoadRadius; y <= cameraChunk.y + this.chunkLoadRadius; y++) {
+                const chunkKey = this.getChunkKey(x, y);
+                const requestedAt = this.requestedChunks.get(chunkKey);
+                if (!this.loadedChunks.has(chunkKey) && !(requestedAt && now - requestedAt < this.chunkRequestTimeout)) {
+                    neededChunks.push({ x, y });
+                }
+            }
         }
-    }
-    
-    drawEnhancedSnowTile(ctx, x, y, size, detailNoise) {
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(x, y, size, size);
         
-        // Snow sparkles
-        ctx.fillStyle = '#f0f0f0';
-        for (let i = 0; i < 6; i++) {
-            const sparkleX = x + Math.random() * size;
-            const sparkleY = y + Math.random() * size;
-            ctx.fillRect(sparkleX, sparkleY, 1, 1);
+        if (neededChunks.length > 0 && this.socket && this.isConnected) {
+            neededChunks.forEach(({ x, y }) => this.requestedChunks.set(this.getChunkKey(x, y), now));
+            this.socket.emit('request_chunks', {
+                chunkCoords: neededChunks
+            });
         }
+        
+        this.updateInterest(cameraChunk);
+        this.unloadDistantChunks(cameraChunk.x, cameraChunk.y);
     }
     
-    drawEnhancedHillsTile(ctx, x, y, size, detailNoise) {
-        const gradient = ctx.createLinearGradient(x, y, x + size, y + size);
-        gradient.addColorStop(0, '#8d6e63');
-        gradient.addColorStop(1, '#6d4c41');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x, y, size, size);
-        
-        // Hill texture
-        ctx.fillStyle = '#795548';
-        for (let i = 0; i < 3; i++) {
-            const rockX = x + Math.random() * size;
-            const rockY = y + Math.random() * size;
-            ctx.fillRect(rockX, rockY, 2, 1);
-        }
+    getChunkCoords(worldX, worldY) {
+        return WorldGrid.getChunkCoords(worldX, worldY);
     }
     
-    drawTerrainDetails(ctx, tileType, x, y, size, detailNoise) {
-        ctx.globalAlpha = 0.4;
-        
-        // Add ambient details based on terrain type
-        switch(tileType) {
-            case 'grass':
-                if (Math.random() < 0.3) {
-                    ctx.fillStyle = '#2e7d32';
-                    ctx.fillRect(x + Math.random() * size, y + Math.random() * size, 1, 1);
-                }
-                break;
-            case 'conifer_forest':
-            case 'dense_conifer_forest':
-                if (Math.random() < 0.2) {
-                    ctx.fillStyle = '#3e2723';
-                    ctx.fillRect(x + Math.random() * size, y + Math.random() * size, 1, 2);
-                }
-                break;
-        }
-        
-        ctx.globalAlpha = 1;
+    getChunkKey(chunkX, chunkY) {
+        return WorldGrid.getChunkKey(chunkX, chunkY);
     }
     
     unloadDistantChunks(centerChunkX, centerChunkY) {
@@ -1653,20 +1677,43 @@ class MobileVikingSettlementTycoon {
             this.loadedChunks.delete(chunkKey);
             this.fogOfWar.delete(chunkKey);
         });
+        
+        // The canvases are gone but the cells aren't; flush them before moving on
+        if (chunksToUnload.length > 0) {
+            this.saveFogOfWarToServer();
+        }
     }
     
     initializeChunkFogOfWar(chunkX, chunkY) {
         const chunkKey = this.getChunkKey(chunkX, chunkY);
         
-        const fogCanvas = document.createElement('canvas');
-        fogCanvas.width = this.chunkSize;
-        fogCanvas.height = this.chunkSize;
-        const fogCtx = fogCanvas.getContext('2d');
+        const { canvas, ctx } = this.createChunkSizedCanvas();
+        
+        this.fogOfWar.set(chunkKey, { canvas, ctx });
+        this.rasterizeChunkFog(chunkX, chunkY);
+    }
+    
+    rasterizeChunkFog(chunkX, chunkY) {
+        // Redraw a chunk's fog canvas from the explored cells
+        const fogData = this.fogOfWar.get(this.getChunkKey(chunkX, chunkY));
+        if (!fogData) return;
+        
+        const { ctx } = fogData;
+        const cellSize = ExploredMap.CELL_SIZE;
+        const worldX = chunkX * this.chunkSize;
+        const worldY = chunkY * this.chunkSize;
         
-        fogCtx.fillStyle = 'rgba(0, 0, 0, 0.9)';
-        fogCtx.fillRect(0, 0, this.chunkSize, this.chunkSize);
+        ctx.clearRect(0, 0, this.chunkSize, this.chunkSize);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+        ctx.fillRect(0, 0, this.chunkSize, this.chunkSize);
         
-        this.fogOfWar.set(chunkKey, { canvas: fogCanvas, ctx: fogCtx });
+        for (let localX = 0; localX < this.chunkSize; localX += cellSize) {
+            for (let localY = 0; localY < this.chunkSize; localY += cellSize) {
+                if (this.explored.isExplored(worldX + localX, worldY + localY)) {
+                    ctx.clearRect(localX, localY, cellSize, cellSize);
+                }
+            }
+        }
     }
     
     spawnInitialScout() {
@@ -1685,11 +1732,21 @@ class MobileVikingSettlementTycoon {
     }
     
     revealArea(x, y, radius) {
+        this.explored.revealCircle(x, y, radius);
+        
         const chunkCoords = this.getChunkCoords(x, y);
-        const chunkKey = this.getChunkKey(chunkCoords.x, chunkCoords.y);
-        const fogData = this.fogOfWar.get(chunkKey);
         
-        if (!fogData) return;
+        // Neighbouring chunks the circle spills into are redrawn outright
+        for (const chunk of this.loadedChunks.values()) {
+            const isCentreChunk = chunk.x === chunkCoords.x && chunk.y === chunkCoords.y;
+            if (!isCentreChunk &&
+                x + radius > chunk.worldX && x - radius < chunk.worldX + this.chunkSize &&
+                y + radius > chunk.worldY && y - radius < chunk.worldY + this.chunkSize) {
+                this.rasterizeChunkFog(chunk.x, chunk.y);
+            }
+        }
+        
+        if (!this.fogOfWar.has(this.getChunkKey(chunkCoords.x, chunkCoords.y))) return;
         
         this.revealAnimations.push({
             x, y, radius: 0, targetRadius: radius,
@@ -1705,13 +1762,15 @@ class MobileVikingSettlementTycoon {
             this.resources = { food: 100, wood: 50, iron: 25, gold: 10 };
             this.population = 5;
             this.buildings = [];
+            this.ownBuildings = [];
             this.camera = { x: 0, y: 0, scale: 1 };
             this.scouts = [];
             this.exploredAreas.clear();
             this.revealAnimations = [];
             this.loadedChunks.clear();
+            this.requestedChunks.clear();
             this.fogOfWar.clear();
-            this.seed = Math.random() * 10000;
+            this.explored = new ExploredMap();
             
             this.loadNearbyChunks();
             this.spawnInitialScout();
@@ -1739,37 +1798,21 @@ class MobileVikingSettlementTycoon {
     }
     
     saveFogOfWarToServer() {
-        if (this.socket && this.isConnected) {
-            const fogOfWarData = {};
-            for (const [chunkKey, fogData] of this.fogOfWar) {
-                fogOfWarData[chunkKey] = fogData.canvas.toDataURL();
-            }
-            
-            this.socket.emit('save_fog_of_war', {
-                fogOfWarData: fogOfWarData,
-                exploredAreas: Array.from(this.exploredAreas)
-            });
-        }
+        this.lastFogSync = Date.now();
+        if (!this.socket || !this.isConnected) return; // Diffs wait for the next connection
+        
+        const exploredChunks = this.explored.takeDirty();
+        if (Object.keys(exploredChunks).length === 0) return;
+        
+        this.socket.emit('save_fog_of_war', { exploredChunks });
     }
     
     restoreFogOfWarFromServer(fogOfWarData) {
         try {
-            for (const [chunkKey, dataURL] of Object.entries(fogOfWarData)) {
-                const img = new Image();
-                img.onload = () => {
-                    let fogData = this.fogOfWar.get(chunkKey);
-                    if (!fogData) {
-                        const [chunkX, chunkY] = chunkKey.split(',').map(Number);
-                        this.initializeChunkFogOfWar(chunkX, chunkY);
-                        fogData = this.fogOfWar.get(chunkKey);
-                    }
-                    
-                    if (fogData) {
-                        fogData.ctx.clearRect(0, 0, this.chunkSize, this.chunkSize);
-                        fogData.ctx.drawImage(img, 0, 0);
-                    }
-                };
-                img.src = dataURL;
+            this.explored.merge(fogOfWarData);
+            
+            for (const chunk of this.loadedChunks.values()) {
+                this.rasterizeChunkFog(chunk.x, chunk.y);
             }
         } catch (error) {
             console.error('Mobile failed to restore fog of war:', error);
@@ -1777,70 +1820,130 @@ class MobileVikingSettlementTycoon {
     }
     
     getBuildingData(type) {
-        const buildings = {
-            longhouse: {
-                name: 'Longhouse',
-                icon: '🏘️',
-                cost: { wood: 20, food: 10 },
-                produces: { population: 3 },
-                size: 32
-            },
-            farm: {
-                name: 'Farm',
-                icon: '🌾',
-                cost: { wood: 15 },
-                produces: { food: 2 },
-                size: 28
-            },
-            lumbermill: {
-                name: 'Lumber Mill',
-                icon: '🪓',
-                cost: { wood: 25, iron: 5 },
-                produces: { wood: 3 },
-                size: 30
-            },
-            blacksmith: {
-                name: 'Blacksmith',
-                icon: '⚒️',
-                cost: { wood: 30, iron: 10 },
-                produces: { iron: 2 },
-                size: 26
-            },
-            tradingpost: {
-                name: 'Trading Post',
-                icon: '⛵',
-                cost: { wood: 40, gold: 5 },
-                produces: { gold: 1 },
-                size: 30
-            },
-            temple: {
-                name: 'Temple',
-                icon: '⚡',
-                cost: { wood: 50, iron: 20, gold: 15 },
-                produces: { happiness: 10 },
-                size: 36
-            }
-        };
-        
-        return buildings[type];
+        return BuildingCatalog.getBuildingData(type);
     }
     
     canAfford(cost) {
-        for (const [resource, amount] of Object.entries(cost)) {
-            if (this.resources[resource] < amount) {
-                return false;
-            }
-        }
-        return true;
+        return Simulation.canAfford(this.resources, cost);
     }
     
     spendResources(cost) {
-        for (const [resource, amount] of Object.entries(cost)) {
-            this.resources[resource] -= amount;
-        }
+        Simulation.spendResources(this.resources, cost);
         this.updateMobileResourceDisplay();
     }
     
+    updateMobileResourceDisplay() {
+        // Net rates, the same as the desktop resource bar
+        const rates = Simulation.getProductionRates(this, this.ownBuildings);
+        
+        [['food', 'mobileFood'], ['wood', 'mobileWood'], ['iron', 'mobileIron'], ['gold', 'mobileGold']].forEach(([resource, id]) => {
+            const element = document.getElementById(id);
+            element.textContent = Math.floor(this.resources[resource]);
+            
+            const rate = element.nextElementSibling;
+            rate.textContent = `(${rates[resource] > 0 ? '+' : ''}${rates[resource].toFixed(1)}/s)`;
+            rate.classList.toggle('negative', rates[resource] < 0);
+        });
+    }
+    
+    updateMobilePopulationDisplay() {
+        document.getElementById('mobilePop').textContent = this.population;
+        this.updateMobileWorkforce();
+        this.updateMobileBuildingAvailability();
+    }
+    
+    renderMobileWorkforce() {
+        // Same priority list as the desktop settlement panel
+        const list = document.getElementById('mobileWorkforceList');
+        list.innerHTML = '';
+        
+        this.workPriorities.forEach((buildingType, index) => {
+            const buildingData = BuildingCatalog.getBuildingData(buildingType);
+            const row = document.createElement('div');
+            row.className = 'device-info-item mobile-workforce-row';
+            row.dataset.building = buildingType;
+            
+            const name = document.createElement('span');
+            name.className = 'device-label';
+            name.textContent = `${index + 1}. ${buildingData.icon} ${buildingData.shortName}`;
+            const count = document.createElement('span');
+            count.className = 'mobile-workforce-count';
+            
+            const up = document.createElement('button');
+            up.className = 'mobile-priority-btn';
+            up.textContent = '▲';
+            up.disabled = index === 0;
+            up.addEventListener('click', () => this.moveWorkPriority(buildingType, -1));
+            
+            const down = document.createElement('button');
+            down.className = 'mobile-priority-btn';
+            down.textContent = '▼';
+            down.disabled = index === this.workPriorities.length - 1;
+            down.addEventListener('click', () => this.moveWorkPriority(buildingType, 1));
+            
+            row.append(name, count, up, down);
+            list.appendChild(row);
+        });
+        
+        this.updateMobileWorkforce();
+    }
+    
+    updateMobileWorkforce() {
+        const { staffing, idle } = Simulation.assignWorkers(this, this.ownBuildings);
+        
+        document.getElementById('mobileWorkforceIdle').textContent = `${idle} idle`;
+        document.getElementById('mobileWorkforceHousing').textContent =
+            `${this.population} / ${Simulation.getHousingCapacity(this.ownBuildings)} housed`;
+        
+        document.querySelectorAll('.mobile-workforce-row').forEach(row => {
+            const buildings = this.ownBuildings.filter(b => b.type === row.dataset.building);
+            const assigned = buildings.reduce((total, b) => total + (staffing.get(b.id) || 0), 0);
+            const slots = buildings.length * BuildingCatalog.getWorkerSlots(row.dataset.building);
+            row.querySelector('.mobile-workforce-count').textContent = `${assigned} / ${slots}`;
+        });
+    }
+    
+    moveWorkPriority(buildingType, offset) {
+        const priorities = [...this.workPriorities];
+        const index = priorities.indexOf(buildingType);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= priorities.length) return;
+        
+        [priorities[index], priorities[target]] = [priorities[target], priorities[index]];
+        this.workPriorities = priorities;
+        this.renderMobileWorkforce();
+        this.refreshInspectModal();
+        
+        if (this.socket && this.isConnected) {
+            this.socket.emit('set_work_priorities', { priorities });
+        } else {
+            this.workPrioritiesChanged = true;
+        }
+    }
+    
+    updateMobileStatsDisplay() {
+        // Same formulas as the desktop settlement panel
+        const { happiness, defense, prosperity } = Simulation.getStats(this.ownBuildings);
+        
+        document.getElementById('mobileHappinessBar').style.width = `${happiness}%`;
+        document.getElementById('mobileDefenseBar').style.width = `${defense}%`;
+        document.getElementById('mobileProsperityBar').style.width = `${prosperity}%`;
+        
+        this.updateMobileBuildingAvailability();
+    }
+    
+    showMobileNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `mobile-notification ${type}`;
+        notification.textContent = message;
+        
+        document.getElementById('mobileNotifications').appendChild(notification);
+        
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+    
     addBuilding(type, x, y) {
         const buildingData = this.getBuildingData(type);
         if (!buildingData) return;
@@ -1856,20 +1959,10 @@ class MobileVikingSettlementTycoon {
         };
         
         this.buildings.push(building);
+        this.ownBuildings.push(building);
         this.updateMobileStatsDisplay();
     }
     
-    isValidPlacement(x, y) {
-        // Simplified validation for mobile
-        for (const building of this.buildings) {
-            const distance = Math.sqrt((building.x - x) ** 2 + (building.y - y) ** 2);
-            if (distance < building.size) {
-                return false;
-            }
-        }
-        return true;
-    }
-    
     screenToWorld(screenX, screenY) {
         return {
             x: (screenX / this.camera.scale) + this.camera.x,
@@ -1880,16 +1973,39 @@ class MobileVikingSettlementTycoon {
     update(deltaTime) {
         this.loadNearbyChunks();
         this.updateRevealAnimations();
+        this.updatePlacementAnimations();
         
-        // Save fog of war periodically
-        if (Math.random() < 0.01) {
+        // Send explored-cell diffs on a fixed schedule
+        if (Date.now() - this.lastFogSync >= this.fogSyncInterval) {
             this.saveFogOfWarToServer();
         }
         
+        this.updateEconomy();
         this.updateMobileResourceDisplay();
         this.updateMobilePopulationDisplay();
     }
     
+    updateEconomy() {
+        // Predict production between the server's updates; its totals replace ours when they arrive
+        if (Simulation.accrueProduction(this, this.ownBuildings, Date.now()) > 0) {
+            this.refreshInspectModal();
+        }
+    }
+    
+    restartProductionClock() {
+        // The server just produced, so our buildings' next cycle starts now.
+        // Stamped with our own clock, so clock skew with the server doesn't matter.
+        const now = Date.now();
+        this.ownBuildings.forEach(building => {
+            building.lastUpdate = now;
+        });
+    }
+    
+    updatePlacementAnimations() {
+        const now = Date.now();
+        this.placementAnimations = this.placementAnimations.filter(anim => now - anim.startTime < anim.duration);
+    }
+    
     updateRevealAnimations() {
         const now = Date.now();
         
@@ -1942,6 +2058,9 @@ class MobileVikingSettlementTycoon {
         
         this.renderTerrain();
         this.renderBuildings();
+        this.renderQueuedBuildings();
+        this.renderPendingBuildings();
+        this.renderPlacementAnimations();
         this.renderScouts();
         this.renderMobileOtherPlayers();
         this.renderFogOfWar();
@@ -1967,16 +2086,39 @@ class MobileVikingSettlementTycoon {
                 continue;
             }
             
-            // Draw base terrain
-            this.ctx.drawImage(chunk.textureCanvas, chunk.worldX, chunk.worldY);
+            // Draw base terrain, stretched from the low-resolution canvas
+            this.ctx.drawImage(chunk.textureCanvas, chunk.worldX, chunk.worldY, this.chunkSize, this.chunkSize);
             
             // Draw detail overlay with reduced opacity for mobile performance
             this.ctx.globalAlpha = 0.4;
-            this.ctx.drawImage(chunk.detailCanvas, chunk.worldX, chunk.worldY);
+            this.ctx.drawImage(chunk.detailCanvas, chunk.worldX, chunk.worldY, this.chunkSize, this.chunkSize);
             this.ctx.globalAlpha = 1;
         }
     }
     
+    renderFogOfWar() {
+        const viewBounds = {
+            left: this.camera.x,
+            right: this.camera.x + this.canvas.width / this.camera.scale,
+            top: this.camera.y,
+            bottom: this.camera.y + this.canvas.height / this.camera.scale
+        };
+        
+        for (const [chunkKey, chunk] of this.loadedChunks) {
+            if (chunk.worldX + this.chunkSize < viewBounds.left || 
+                chunk.worldX > viewBounds.right ||
+                chunk.worldY + this.chunkSize < viewBounds.top || 
+                chunk.worldY > viewBounds.bottom) {
+                continue;
+            }
+            
+            const fogData = this.fogOfWar.get(chunkKey);
+            if (fogData) {
+                this.ctx.drawImage(fogData.canvas, chunk.worldX, chunk.worldY, this.chunkSize, this.chunkSize);
+            }
+        }
+    }
+    
     renderBuildings() {
         this.buildings.forEach(building => {
             this.ctx.fillStyle = 'rgba(0,0,0,0.3)';
@@ -1993,7 +2135,108 @@ class MobileVikingSettlementTycoon {
                 building.x + building.size / 2,
                 building.y + building.size * 0.7
             );
+            
+            if (building.level > 1) {
+                this.renderLevelBadge(building);
+            }
+        });
+    }
+    
+    renderLevelBadge(building) {
+        // Gold disc with the level in the bottom-right corner
+        const radius = 7;
+        const centerX = building.x + building.size - radius + 2;
+        const centerY = building.y + building.size - radius + 2;
+        
+        this.ctx.fillStyle = '#d4af37';
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.fillStyle = '#2c1810';
+        this.ctx.font = 'bold 9px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(building.level, centerX, centerY + 3);
+    }
+    
+    renderPendingBuildings() {
+        // Ghosts pulse until the server confirms them
+        const pulse = 0.45 + 0.15 * Math.sin(Date.now() / 150);
+        
+        this.ctx.save();
+        this.pendingBuildings.forEach(ghost => {
+            this.ctx.globalAlpha = pulse;
+            this.ctx.fillStyle = '#8b4513';
+            this.ctx.fillRect(ghost.x, ghost.y, ghost.size, ghost.size);
+            
+            this.ctx.globalAlpha = 1;
+            this.ctx.strokeStyle = '#ffd54f';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.strokeRect(ghost.x, ghost.y, ghost.size, ghost.size);
+            this.ctx.setLineDash([]);
+            
+            this.ctx.globalAlpha = pulse;
+            this.ctx.fillStyle = '#f0f0f0';
+            this.ctx.font = `${ghost.size * 0.6}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(ghost.icon, ghost.x + ghost.size / 2, ghost.y + ghost.size * 0.7);
+        });
+        this.ctx.restore();
+    }
+    
+    renderPlacementAnimations() {
+        const now = Date.now();
+        
+        this.ctx.save();
+        this.placementAnimations.forEach(anim => {
+            const progress = Math.min((now - anim.startTime) / anim.duration, 1);
+            const { x, y, size } = anim.building;
+            const centerX = x + size / 2;
+            const centerY = y + size / 2;
+            
+            if (anim.type === 'confirm') {
+                // Ring expanding out of the settled building
+                const radius = size / 2 + size * 0.5 * this.easeOutQuad(progress);
+                this.ctx.globalAlpha = 1 - progress;
+                this.ctx.strokeStyle = '#4caf50';
+                this.ctx.lineWidth = 3;
+                this.ctx.beginPath();
+                this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+                this.ctx.stroke();
+            } else {
+                // Rejected ghost shrinks away in red
+                const scaledSize = size * (1 - this.easeOutQuad(progress));
+                this.ctx.globalAlpha = 0.7 * (1 - progress);
+                this.ctx.fillStyle = '#f44336';
+                this.ctx.fillRect(centerX - scaledSize / 2, centerY - scaledSize / 2, scaledSize, scaledSize);
+            }
+        });
+        this.ctx.restore();
+    }
+    
+    renderQueuedBuildings() {
+        // Faint placeholders for placements waiting on a reconnect
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.4;
+        
+        this.actionQueue.forEach(action => {
+            if (action.type !== 'place_building') return;
+            
+            const buildingData = this.getBuildingData(action.payload.buildingType);
+            if (!buildingData) return;
+            
+            const { x, y } = action.payload;
+            this.ctx.fillStyle = '#8b4513';
+            this.ctx.fillRect(x, y, buildingData.size, buildingData.size);
+            
+            this.ctx.fillStyle = '#f0f0f0';
+            this.ctx.font = `${buildingData.size * 0.6}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('⏳', x + buildingData.size / 2, y + buildingData.size * 0.7);
         });
+        
+        this.ctx.restore();
     }
     
     renderScouts() {
@@ -2108,14 +2351,10 @@ class MobileVikingSettlementTycoon {
     }
 }
 
-// Start the mobile game when page loads
-window.addEventListener('load', () => {
-    // Add check for Socket.IO availability
-    if (typeof io === 'undefined') {
-        console.error('Socket.IO client library not loaded for mobile. Please check server connection.');
-        return;
-    }
-    
+// Start the mobile game when page loads. The loader appends this script
+// after 'load' may already have fired; without Socket.IO, connectToServer
+// falls back to the in-page server.
+function startMobileGame() {
     const game = new MobileVikingSettlementTycoon();
     
     // Auto-save every 2 minutes
@@ -2127,7 +2366,13 @@ window.addEventListener('load', () => {
     setTimeout(() => {
         game.loadGame();
     }, 100);
-});
+}
+
+if (document.readyState === 'complete') {
+    startMobileGame();
+} else {
+    window.addEventListener('load', startMobileGame);
+}
 
 // Handle visibility change to pause/resume game
 document.addEventListener('visibilitychange', () => {
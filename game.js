@@ -6,11 +6,33 @@ class VikingSettlementTycoon {
         // Multiplayer setup
         this.socket = null;
         this.worldId = null;
+        this.worldName = null;
+        this.worldInviteCode = null;
+        this.worldCredentials = {}; // Password or invite code used to join the current world
+        
+        // Stable identity so a reconnect reclaims the same settlement; each
+        // server has its own, loaded when we connect to it
+        this.playerId = null;
+        this.sessionToken = null;
         this.isMultiplayer = true;
         this.otherPlayers = new Map(); // playerId -> player data
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
+        this.serverProfiles = new ServerProfiles();
+        this.serverUrl = null;
+        this.localServer = null; // Created on first offline play
+        
+        // Offline action queue
+        this.actionQueue = []; // Actions taken while disconnected, replayed on rejoin
+        this.pendingActions = new Map(); // actionId -> action awaiting a server verdict
+        this.replayResults = null;
+        this.maxQueuedActions = 50;
+        this.actionCounter = 0;
+        
+        // Optimistic placement
+        this.pendingBuildings = new Map(); // actionId -> ghost building awaiting the server's verdict
+        this.placementAnimations = []; // Confirm and rollback effects
         
         // Game state
         this.camera = { x: 0, y: 0, scale: 1 };
@@ -21,19 +43,32 @@ class VikingSettlementTycoon {
             gold: 10
         };
         this.population = 5;
-        this.buildings = [];
+        this.starving = false; // The server's last cycle ran out of food
+        this.workPriorities = BuildingCatalog.getWorkerTypes(); // Order villagers fill worker slots in
+        this.workPrioritiesChanged = false; // Changed while disconnected; sent on the next join
+        this.buildings = []; // Buildings in the area we're subscribed to, any owner
+        this.ownBuildings = []; // Every building we own, wherever it is
         this.selectedBuilding = null;
         this.placementMode = false;
+        this.inspectedBuildingId = null; // Building shown in the inspect panel
+        this.relocatingBuildingId = null; // Inspected building waiting for the spot to move it to
+        this.demolishArmed = false; // The first Demolish press only asks for confirmation
         
         // Infinite terrain system
-        this.chunkSize = 512; // Size of each chunk in pixels
-        this.tileSize = 32;
+        this.chunkSize = WorldGrid.CHUNK_SIZE; // World units, the same on every client and the server
+        this.tileSize = WorldGrid.TILE_SIZE;
         this.loadedChunks = new Map(); // Map of chunk coordinates to chunk data
+        this.requestedChunks = new Map(); // Chunks asked for but not received yet -> request time
+        this.chunkRequestTimeout = 5000;
         this.chunkLoadRadius = 3; // How many chunks to load around camera
-        this.seed = Math.random() * 10000; // Seed for consistent generation
+        this.seed = null; // Terrain seed of the joined world
         
         // Exploration system
         this.fogOfWar = new Map(); // Map of chunk coordinates to fog canvas
+        this.explored = new ExploredMap(); // Explored cells, the source of truth the fog canvases are drawn from
+        this.fogSyncInterval = 5000; // ms between explored-cell diffs to the server
+        this.lastFogSync = Date.now();
+        this.interestKey = null; // Last area sent with update_interest
         this.scouts = [];
         this.exploredAreas = new Set();
         this.revealAnimations = [];
@@ -52,202 +87,252 @@ class VikingSettlementTycoon {
     
     init() {
         this.setupCanvas();
-        this.connectToServer();
+        this.resolveServerAndConnect();
         this.setupEventListeners();
         this.setupUI();
         this.gameLoop();
     }
     
+    async resolveServerAndConnect() {
+        this.serverUrl = await this.serverProfiles.resolveServerUrl();
+        this.connectToServer();
+    }
+    
     connectToServer() {
         try {
-            // Use a fallback server URL for GitHub Pages deployment
-            const serverUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
-                ? 'http://localhost:3000' 
-                : 'https://your-server-url.herokuapp.com'; // Replace with your actual server URL
+            console.log(`Connecting to ${this.serverUrl}`);
+            this.loadPlayerIdentity();
+            const auth = { protocolVersion: Protocol.VERSION };
+            this.socket = this.isPlayingOffline()
+                ? this.getLocalServer().connect(auth)
+                : io(this.serverUrl, { auth });
             
-            this.socket = io(serverUrl);
+            this.socket.on('connect_error', (error) => {
+                // The server refuses clients speaking an older or newer protocol
+                if (error.data && error.data.code === 'protocol_mismatch') {
+                    this.handleProtocolMismatch(error.data);
+                }
+            });
             
             this.socket.on('connect', () => {
                 console.log('Connected to multiplayer server');
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
-                this.showNotification('Connected to multiplayer server!', 'success');
+                this.showNotification(this.isPlayingOffline() ? 'Playing offline' : 'Connected to multiplayer server!', 'success');
                 
-                // Join world
-                this.joinWorld();
+                // Rejoin the previous world after a reconnect, otherwise any open world
+                this.joinWorld(this.worldId, this.worldCredentials);
             });
             
             this.socket.on('disconnect', () => {
                 console.log('Disconnected from server');
                 this.isConnected = false;
+                // Verdicts for in-flight actions died with the old connection
+                this.pendingActions.clear();
+                this.replayResults = null;
+                this.requestedChunks.clear();
                 this.showNotification('Disconnected from server', 'warning');
                 this.attemptReconnect();
             });
             
-            this.socket.on('world_joined', (data) => {
+            this.onServerEvent('world_joined', (data) => {
                 this.handleWorldJoined(data);
             });
             
-            this.socket.on('player_joined', (data) => {
+            this.onServerEvent('world_join_rejected', (data) => {
+                this.handleWorldJoinRejected(data);
+            });
+            
+            this.onServerEvent('worlds_list', (data) => {
+                this.renderWorldList(data.worlds);
+            });
+            
+            this.onServerEvent('world_created', (data) => {
+                this.handleWorldCreated(data);
+            });
+            
+            this.onServerEvent('player_joined', (data) => {
                 this.handlePlayerJoined(data);
             });
             
-            this.socket.on('player_left', (data) => {
+            this.onServerEvent('player_left', (data) => {
                 this.handlePlayerLeft(data);
             });
             
-            this.socket.on('building_placed', (data) => {
+            this.onServerEvent('building_placed', (data) => {
                 this.handleBuildingPlaced(data);
             });
             
-            this.socket.on('building_rejected', (data) => {
+            this.onServerEvent('building_rejected', (data) => {
                 this.handleBuildingRejected(data);
             });
             
-            this.socket.on('scout_sent', (data) => {
+            this.onServerEvent('building_upgraded', (data) => {
+                this.handleBuildingUpgraded(data);
+            });
+            
+            this.onServerEvent('upgrade_rejected', (data) => {
+                this.handleBuildingActionRejected(data);
+            });
+            
+            this.onServerEvent('building_demolished', (data) => {
+                this.handleBuildingDemolished(data);
+            });
+            
+            this.onServerEvent('demolish_rejected', (data) => {
+                this.handleBuildingActionRejected(data);
+            });
+            
+            this.onServerEvent('building_relocated', (data) => {
+                this.handleBuildingRelocated(data);
+            });
+            
+            this.onServerEvent('relocate_rejected', (data) => {
+                this.handleBuildingActionRejected(data);
+            });
+            
+            this.onServerEvent('scout_sent', (data) => {
                 this.handleScoutSent(data);
             });
             
-            this.socket.on('scout_rejected', (data) => {
+            this.onServerEvent('scout_rejected', (data) => {
                 this.handleScoutRejected(data);
             });
             
-            this.socket.on('player_updated', (data) => {
+            this.onServerEvent('player_updated', (data) => {
                 this.handlePlayerUpdated(data);
             });
             
-            this.socket.on('player_camera_updated', (data) => {
+            this.onServerEvent('player_camera_updated', (data) => {
                 this.handlePlayerCameraUpdated(data);
             });
             
-            this.socket.on('chunks_data', (data) => {
+            this.onServerEvent('chunks_data', (data) => {
                 this.handleChunksData(data);
             });
             
-            this.socket.on('area_explored', (data) => {
+            this.onServerEvent('area_explored', (data) => {
                 this.handleAreaExplored(data);
             });
             
-            this.socket.on('error', (data) => {
+            this.onServerEvent('entities_entered', (data) => {
+                this.handleEntitiesEntered(data);
+            });
+            
+            this.onServerEvent('entities_left', (data) => {
+                this.handleEntitiesLeft(data);
+            });
+            
+            this.onServerEvent('server_message', (data) => {
+                this.showNotification(data.message, 'info');
+            });
+            
+            this.onServerEvent('kicked', (data) => {
+                this.handleKicked(data);
+            });
+            
+            this.onServerEvent('error', (data) => {
                 console.error('Server error:', data.message);
                 this.showNotification(data.message, 'error');
             });
             
         } catch (error) {
             console.error('Failed to connect to server:', error);
-            this.showNotification('Failed to connect to multiplayer server - running in demo mode', 'warning');
+            if (this.isPlayingOffline()) return;
             
-            // Initialize offline/demo mode
-            this.initializeDemoMode();
+            this.showNotification('Failed to connect to multiplayer server - playing offline', 'warning');
+            this.playOffline();
         }
     }
     
-    initializeDemoMode() {
-        // Initialize basic game state for demo/offline play
-        this.isConnected = false;
-        this.worldId = 'demo_world';
-        
-        // Initialize with default data
-        this.scouts = [{
-            id: `scout_demo_${Date.now()}`,
-            x: 0,
-            y: 0,
-            speed: 30,
-            target: null,
-            exploring: false,
-            health: 100,
-            range: 60
-        }];
-        
-        this.setupCanvas();
-        this.setupEventListeners();
-        this.setupUI();
-        
-        // Generate initial chunks around spawn
-        this.generateInitialChunks();
-        
-        this.showNotification('Running in offline demo mode', 'info');
+    isPlayingOffline() {
+        return this.serverUrl === LocalServer.URL;
     }
     
-    generateInitialChunks() {
-        // Generate a few chunks around the starting position for demo mode
-        for (let x = -1; x <= 1; x++) {
-            for (let y = -1; y <= 1; y++) {
-                const chunk = this.generateDemoChunk(x, y);
-                const chunkKey = this.getChunkKey(x, y);
-                this.loadedChunks.set(chunkKey, chunk);
-                this.initializeChunkFogOfWar(x, y);
-            }
+    getLocalServer() {
+        if (!this.localServer) {
+            this.localServer = new LocalServer({ storage: localStorage });
         }
-        
-        // Reveal initial area
-        this.revealArea(0, 0, 100);
+        return this.localServer;
     }
     
-    generateDemoChunk(chunkX, chunkY) {
-        const chunk = {
-            x: chunkX,
-            y: chunkY,
-            worldX: chunkX * this.chunkSize,
-            worldY: chunkY * this.chunkSize,
-            tiles: [],
-            textureCanvas: document.createElement('canvas'),
-            detailCanvas: document.createElement('canvas'),
-            generated: true
-        };
-        
-        // Setup canvases
-        chunk.textureCanvas.width = this.chunkSize;
-        chunk.textureCanvas.height = this.chunkSize;
-        chunk.detailCanvas.width = this.chunkSize;
-        chunk.detailCanvas.height = this.chunkSize;
-        
-        const ctx = chunk.textureCanvas.getContext('2d');
-        const detailCtx = chunk.detailCanvas.getContext('2d');
+    playOffline() {
+        // The emulated server answers the same events, so the game runs as it does online
+        this.disconnectFromServer();
+        this.reconnectAttempts = 0;
+        this.worldId = null; // Online worlds don't exist offline
+        this.worldCredentials = {};
+        this.serverUrl = LocalServer.URL;
+        this.connectToServer();
+        this.hideConnectionScreen();
+    }
+    
+    onServerEvent(event, handler) {
+        this.socket.on(event, (data) => {
+            // Drop payloads that don't match the shared protocol instead of crashing on them
+            const { valid, errors } = Protocol.validateServerEvent(event, data);
+            if (!valid) {
+                console.warn(`Ignoring malformed ${event}:`, errors);
+                return;
+            }
+            handler(data);
+        });
+    }
+    
+    handleProtocolMismatch({ protocolVersion }) {
+        console.error(`Server speaks protocol ${protocolVersion}, this client speaks ${Protocol.VERSION}`);
+        this.disconnectFromServer();
         
-        // Simple terrain generation for demo
-        const tilesPerChunk = this.chunkSize / this.tileSize;
+        const errorDiv = document.createElement('div');
+        errorDiv.innerHTML = `
+            <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); 
+                        background: #f44336; color: white; padding: 20px; border-radius: 10px; 
+                        text-align: center; z-index: 9999;">
+                <h3>Update Required</h3>
+                <p>The server is running a different version of the game.</p>
+                <p>Please refresh the page to get the latest version.</p>
+                <button onclick="window.location.reload()" 
+                        style="margin-top: 10px; padding: 10px 20px; background: white; 
+                               color: #f44336; border: none; border-radius: 5px; cursor: pointer;">
+                    Refresh Page
+                </button>
+            </div>
+        `;
+        document.body.appendChild(errorDiv);
+    }
+    
+    handleKicked({ reason }) {
+        // Removed by an administrator: don't reconnect on our own
+        this.disconnectFromServer();
+        this.showNotification(reason, 'error');
+        this.showConnectionScreen();
+    }
+    
+    getTileColor(tileType) {
+        return WorldGen.getTerrainColor(tileType);
+    }
+    
+    createChunkCanvas(chunk) {
+        // Rasterize server-provided tiles into a chunk texture
+        const canvas = document.createElement('canvas');
+        canvas.width = this.chunkSize;
+        canvas.height = this.chunkSize;
+        const ctx = canvas.getContext('2d');
         
-        for (let tileX = 0; tileX < tilesPerChunk; tileX++) {
-            for (let tileY = 0; tileY < tilesPerChunk; tileY++) {
-                const worldTileX = chunk.worldX + (tileX * this.tileSize);
-                const worldTileY = chunk.worldY + (tileY * this.tileSize);
-                
-                // Simple noise for terrain
-                const noise = Math.sin(worldTileX * 0.01) * Math.cos(worldTileY * 0.01);
-                let tileType = 'grass';
-                
-                if (noise < -0.3) tileType = 'water';
-                else if (noise > 0.3) tileType = 'forest';
-                else if (noise > 0.1) tileType = 'hills';
-                
-                // Draw tile
-                const localX = tileX * this.tileSize;
-                const localY = tileY * this.tileSize;
-                
-                switch(tileType) {
-                    case 'water':
-                        ctx.fillStyle = '#2196f3';
-                        break;
-                    case 'forest':
-                        ctx.fillStyle = '#2e7d32';
-                        break;
-                    case 'hills':
-                        ctx.fillStyle = '#8d6e63';
-                        break;
-                    default:
-                        ctx.fillStyle = '#4caf50';
-                }
-                
-                ctx.fillRect(localX, localY, this.tileSize, this.tileSize);
-                
-                chunk.tiles.push({
-                    localX, localY, worldX: worldTileX, worldY: worldTileY, type: tileType
-                });
-            }
-        }
+        const tileSize = chunk.tileSize || this.tileSize;
+        (chunk.tiles || []).forEach(tile => {
+            ctx.fillStyle = this.getTileColor(tile.type);
+            ctx.fillRect(tile.localX, tile.localY, tileSize, tileSize);
+        });
         
-        return chunk;
+        return canvas;
+    }
+    
+    createChunkDetailCanvas(chunk) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.chunkSize;
+        canvas.height = this.chunkSize;
+        return canvas;
     }
     
     attemptReconnect() {
@@ -260,28 +345,191 @@ class VikingSettlementTycoon {
                 this.connectToServer();
             }, delay);
         } else {
-            this.showNotification('Unable to reconnect. Please refresh the page.', 'error');
+            this.showNotification('Unable to reconnect. Pick another server or refresh the page.', 'error');
+            this.showConnectionScreen();
+        }
+    }
+    
+    disconnectFromServer() {
+        if (this.socket) {
+            // Drop handlers first so the disconnect doesn't trigger a reconnect
+            this.socket.off();
+            this.socket.disconnect();
+            this.socket = null;
+        }
+        this.isConnected = false;
+        this.otherPlayers.clear();
+    }
+    
+    switchServer(profile) {
+        this.serverProfiles.setActiveProfile(profile.name);
+        this.disconnectFromServer();
+        this.reconnectAttempts = 0;
+        this.serverUrl = profile.url;
+        this.connectToServer();
+        this.hideConnectionScreen();
+        this.showNotification(`Connecting to ${profile.name}...`, 'info');
+    }
+    
+    showConnectionScreen() {
+        this.renderServerProfiles();
+        document.getElementById('connectionScreen').classList.add('active');
+    }
+    
+    hideConnectionScreen() {
+        document.getElementById('connectionScreen').classList.remove('active');
+    }
+    
+    renderServerProfiles() {
+        document.getElementById('currentServerUrl').textContent = this.serverUrl || '-';
+        
+        const list = document.getElementById('serverProfileList');
+        list.innerHTML = '';
+        
+        const profiles = this.serverProfiles.getProfiles();
+        if (profiles.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'server-profile-empty';
+            empty.textContent = 'No saved servers yet';
+            list.appendChild(empty);
+            return;
+        }
+        
+        profiles.forEach(profile => {
+            const row = document.createElement('div');
+            row.className = 'server-profile';
+            if (profile.url === this.serverUrl) {
+                row.classList.add('active');
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'server-profile-info';
+            const name = document.createElement('span');
+            name.className = 'server-profile-name';
+            name.textContent = profile.name;
+            const url = document.createElement('span');
+            url.className = 'server-profile-url';
+            url.textContent = profile.url;
+            info.append(name, url);
+            row.appendChild(info);
+            
+            const connectBtn = document.createElement('button');
+            connectBtn.className = 'action-btn';
+            connectBtn.textContent = 'Connect';
+            connectBtn.addEventListener('click', () => this.switchServer(profile));
+            row.appendChild(connectBtn);
+            
+            // Only the player's own profiles can be removed, config.json ones are fixed
+            if (profile.saved) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'action-btn';
+                removeBtn.textContent = '✕';
+                removeBtn.addEventListener('click', () => {
+                    this.serverProfiles.removeProfile(profile.name);
+                    this.renderServerProfiles();
+                });
+                row.appendChild(removeBtn);
+            }
+            
+            list.appendChild(row);
+        });
+    }
+    
+    addServerProfile() {
+        const nameInput = document.getElementById('serverProfileName');
+        const urlInput = document.getElementById('serverProfileUrl');
+        
+        try {
+            this.serverProfiles.saveProfile(nameInput.value.trim(), urlInput.value);
+            nameInput.value = '';
+            urlInput.value = '';
+            this.renderServerProfiles();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
         }
     }
     
-    joinWorld(worldId = null) {
+    joinWorld(worldId = null, credentials = {}) {
         if (this.socket && this.isConnected) {
+            this.worldCredentials = credentials;
             this.socket.emit('join_world', {
                 worldId: worldId,
-                playerName: localStorage.getItem('playerName') || 'Viking Player'
+                playerName: localStorage.getItem('playerName') || 'Viking Player',
+                playerId: this.playerId,
+                sessionToken: this.sessionToken,
+                password: credentials.password,
+                inviteCode: credentials.inviteCode
             });
         }
     }
     
+    handleWorldJoinRejected(data) {
+        const { reason } = data;
+        this.showNotification(`Could not join world: ${reason}`, 'error');
+        
+        // Forget the stale world so the next reconnect picks an open one
+        this.worldId = null;
+        this.worldCredentials = {};
+        this.openLobby();
+    }
+    
+    handleWorldCreated(data) {
+        const { name, inviteCode } = data;
+        this.showNotification(`World "${name}" created! Invite code: ${inviteCode}`, 'success');
+        this.worldCredentials = { inviteCode };
+    }
+    
+    loadPlayerIdentity() {
+        const identity = this.serverProfiles.loadIdentity(this.serverUrl);
+        this.playerId = identity.playerId;
+        this.sessionToken = identity.sessionToken;
+    }
+    
+    savePlayerIdentity(playerId, sessionToken) {
+        this.playerId = playerId;
+        this.sessionToken = sessionToken;
+        this.serverProfiles.saveIdentity(this.serverUrl, playerId, sessionToken);
+    }
+    
     handleWorldJoined(data) {
-        const { worldId, playerData, worldData, otherPlayers } = data;
+        const { worldId, playerId, sessionToken, playerData, worldData, otherPlayers } = data;
         
+        // The server may have issued a fresh identity if ours was unknown
+        if (playerId && sessionToken) {
+            this.savePlayerIdentity(playerId, sessionToken);
+        }
+        
+        // Fog and terrain belong to the world, so a different world starts from the server's copy alone
+        if (worldId !== this.worldId) {
+            this.explored = new ExploredMap();
+            this.fogOfWar.clear();
+            this.loadedChunks.clear();
+            this.requestedChunks.clear();
+        }
         this.worldId = worldId;
+        this.worldName = (worldData && worldData.name) || worldId;
+        this.worldInviteCode = worldData && worldData.inviteCode;
+        if (worldData && worldData.seed !== undefined) {
+            this.seed = worldData.seed;
+        }
+        this.hideLobby();
         
         // Load player data
         this.resources = playerData.resources || this.resources;
         this.population = playerData.population || this.population;
-        this.buildings = playerData.buildings || this.buildings;
+        if (this.workPrioritiesChanged) {
+            this.socket.emit('set_work_priorities', { priorities: this.workPriorities });
+            this.workPrioritiesChanged = false;
+        } else {
+            this.workPriorities = Simulation.normalizeWorkPriorities(playerData.workPriorities);
+        }
+        this.renderWorkforcePanel();
+        // World buildings include every player's, own ones are tagged with our id
+        this.pendingBuildings.clear(); // The joined state already includes anything the server accepted
+        this.interestKey = null; // The server starts from a default area around our saved camera
+        this.buildings = (worldData && worldData.buildings) || playerData.buildings || this.buildings;
+        this.ownBuildings = playerData.buildings || [];
+        this.restartProductionClock();
         this.scouts = playerData.scouts || this.scouts;
         this.camera = playerData.camera || this.camera;
         
@@ -292,7 +540,7 @@ class VikingSettlementTycoon {
         // Load other players
         this.otherPlayers.clear();
         otherPlayers.forEach(player => {
-            this.otherPlayers.set(player.socket_id, player);
+            this.otherPlayers.set(player.player_id, player);
         });
         
         // Initialize fog of war from saved data
@@ -305,19 +553,231 @@ class VikingSettlementTycoon {
         this.updatePopulationDisplay();
         this.updateStatsDisplay();
         
-        this.showNotification(`Joined world ${worldId} with ${otherPlayers.length} other players!`, 'success');
+        this.showNotification(`Joined world ${this.worldName} with ${otherPlayers.length} other players!`, 'success');
+        
+        // Apply anything the player did while the connection was down
+        this.replayQueuedActions();
     }
     
-    handlePlayerJoined(data) {
-        const { socketId, playerName, camera } = data;
-        this.otherPlayers.set(socketId, {
-            socket_id: socketId,
-            player_name: playerName,
-            camera: camera
+    placeOptimisticBuilding(action) {
+        const { buildingType, x, y } = action.payload;
+        const buildingData = this.getBuildingData(buildingType);
+        if (!buildingData) return false;
+        
+        if (!this.canAfford(buildingData.cost)) {
+            this.showNotification('Insufficient resources', 'error');
+            return false;
+        }
+        
+        this.pendingBuildings.set(action.id, {
+            id: action.id,
+            type: buildingType,
+            playerId: this.playerId,
+            x, y,
+            ...buildingData,
+            level: 1,
+            pending: true,
+            createdAt: Date.now()
+        });
+        
+        this.spendResources(buildingData.cost);
+        this.cancelPlacement();
+        return true;
+    }
+    
+    confirmOptimisticBuilding(actionId, building) {
+        if (!this.pendingBuildings.delete(actionId)) return;
+        this.startPlacementAnimation('confirm', building);
+    }
+    
+    rollbackOptimisticBuilding(actionId) {
+        const ghost = this.pendingBuildings.get(actionId);
+        if (!ghost) return;
+        
+        this.pendingBuildings.delete(actionId);
+        
+        // Refund the tentative deduction
+        Simulation.refundResources(this.resources, ghost.cost);
+        this.updateResourceDisplay();
+        
+        this.startPlacementAnimation('rollback', ghost);
+    }
+    
+    applyPendingCosts(resources) {
+        // Server totals don't include placements still awaiting a verdict
+        const adjusted = { ...resources };
+        for (const ghost of this.pendingBuildings.values()) {
+            for (const [resource, amount] of Object.entries(ghost.cost)) {
+                adjusted[resource] -= amount;
+            }
+        }
+        return adjusted;
+    }
+    
+    startPlacementAnimation(type, building) {
+        this.placementAnimations.push({
+            type,
+            building,
+            startTime: Date.now(),
+            duration: type === 'confirm' ? 400 : 600
+        });
+    }
+    
+    createAction(type, payload) {
+        return {
+            id: `action_${Date.now()}_${++this.actionCounter}`,
+            type,
+            payload,
+            queuedAt: Date.now(),
+            replayed: false
+        };
+    }
+    
+    sendAction(action) {
+        this.pendingActions.set(action.id, action);
+        this.socket.emit(action.type, {
+            ...action.payload,
+            actionId: action.id
+        });
+    }
+    
+    queueAction(action) {
+        if (this.actionQueue.length >= this.maxQueuedActions) {
+            this.showNotification('Offline action queue is full', 'error');
+            return;
+        }
+        
+        this.actionQueue.push(action);
+        this.showNotification(`Offline - ${this.describeAction(action)} queued (${this.actionQueue.length} pending)`, 'warning');
+    }
+    
+    describeAction(action) {
+        const { payload } = action;
+        if (action.type === 'place_building') {
+            const buildingData = this.getBuildingData(payload.buildingType);
+            const name = buildingData ? buildingData.name : payload.buildingType;
+            return `${name} at (${Math.round(payload.x)}, ${Math.round(payload.y)})`;
+        }
+        if (action.type === 'send_scout') {
+            return `Scout to (${Math.round(payload.targetX)}, ${Math.round(payload.targetY)})`;
+        }
+        if (action.type === 'upgrade_building') {
+            const building = this.ownBuildings.find(b => b.id === payload.buildingId);
+            return `${building ? building.name : 'Building'} upgrade`;
+        }
+        if (action.type === 'demolish_building') {
+            const building = this.ownBuildings.find(b => b.id === payload.buildingId);
+            return `${building ? building.name : 'Building'} demolition`;
+        }
+        if (action.type === 'relocate_building') {
+            const building = this.ownBuildings.find(b => b.id === payload.buildingId);
+            return `${building ? building.name : 'Building'} move to (${Math.round(payload.x)}, ${Math.round(payload.y)})`;
+        }
+        return action.type;
+    }
+    
+    replayQueuedActions() {
+        if (this.actionQueue.length === 0 || !this.socket || !this.isConnected) return;
+        
+        const actions = this.actionQueue;
+        this.actionQueue = [];
+        this.replayResults = { remaining: actions.length, succeeded: 0, failures: [] };
+        
+        this.showNotification(`Replaying ${actions.length} queued action${actions.length === 1 ? '' : 's'}...`, 'info');
+        
+        // Socket.IO keeps emit order, so the server applies them as they were queued
+        actions.forEach(action => {
+            action.replayed = true;
+            this.sendAction(action);
+        });
+    }
+    
+    resolveAction(actionId, error = null) {
+        const action = this.pendingActions.get(actionId);
+        if (!action) return null;
+        
+        this.pendingActions.delete(actionId);
+        
+        if (action.replayed && this.replayResults) {
+            if (error) {
+                this.replayResults.failures.push({ action, reason: error });
+            } else {
+                this.replayResults.succeeded++;
+            }
+            
+            this.replayResults.remaining--;
+            if (this.replayResults.remaining === 0) {
+                this.reportReplayResults();
+            }
+        }
+        
+        return action;
+    }
+    
+    reportReplayResults() {
+        const { succeeded, failures } = this.replayResults;
+        this.replayResults = null;
+        
+        if (succeeded > 0) {
+            this.showNotification(`${succeeded} queued action${succeeded === 1 ? '' : 's'} applied`, 'success');
+        }
+        
+        failures.forEach(({ action, reason }) => {
+            this.showNotification(`Queued ${this.describeAction(action)} failed: ${reason}`, 'error');
         });
+    }
+    
+    handlePlayerJoined(data) {
+        // Just an announcement; the player shows up once they're in our area
+        const { playerName } = data;
         this.showNotification(`${playerName} joined the world!`, 'info');
     }
     
+    handleEntitiesEntered(data) {
+        const { buildings, players } = data;
+        
+        buildings.forEach(building => {
+            if (!this.buildings.some(b => b.id === building.id)) {
+                this.buildings.push(building);
+            }
+        });
+        
+        players.forEach(player => {
+            this.otherPlayers.set(player.player_id, player);
+        });
+    }
+    
+    handleEntitiesLeft(data) {
+        const { buildingIds, playerIds } = data;
+        
+        if (buildingIds.length > 0) {
+            const leaving = new Set(buildingIds);
+            this.buildings = this.buildings.filter(building => !leaving.has(building.id));
+            this.refreshInspectPanel();
+        }
+        
+        playerIds.forEach(playerId => this.otherPlayers.delete(playerId));
+    }
+    
+    updateInterest(cameraChunk) {
+        // Tell the server which area we want updates for whenever it shifts
+        if (!this.socket || !this.isConnected) return;
+        
+        const interestKey = `${cameraChunk.x},${cameraChunk.y},${this.chunkLoadRadius}`;
+        if (interestKey === this.interestKey) return;
+        this.interestKey = interestKey;
+        
+        this.socket.emit('update_interest', {
+            area: {
+                left: (cameraChunk.x - this.chunkLoadRadius) * this.chunkSize,
+                top: (cameraChunk.y - this.chunkLoadRadius) * this.chunkSize,
+                // Inclusive edges, so the chunk past the radius isn't watched too
+                right: (cameraChunk.x + this.chunkLoadRadius + 1) * this.chunkSize - 1,
+                bottom: (cameraChunk.y + this.chunkLoadRadius + 1) * this.chunkSize - 1
+            }
+        });
+    }
+    
     handlePlayerLeft(data) {
         const { playerId } = data;
         const player = this.otherPlayers.get(playerId);
@@ -330,55 +790,154 @@ class VikingSettlementTycoon {
     handleBuildingPlaced(data) {
         const { playerId, building, playerResources } = data;
         
-        if (playerId === this.socket.id) {
-            // Update own resources
-            this.resources = playerResources;
+        if (playerId === this.playerId) {
+            // Swap our ghost for the real building and take the server's totals
+            this.resolveAction(data.actionId);
+            this.confirmOptimisticBuilding(data.actionId, building);
+            this.resources = this.applyPendingCosts(playerResources);
             this.updateResourceDisplay();
-            this.cancelPlacement();
-        } else {
-            // Add other player's building to render list
+            building.lastUpdate = Date.now();
+            this.ownBuildings.push(building);
+            this.updateStatsDisplay();
+            this.refreshInspectPanel();
+        }
+        
+        // Add building to render list
+        if (!this.buildings.some(b => b.id === building.id)) {
             this.buildings.push(building);
         }
         
         this.showNotification(`${building.name} built!`, 'success');
     }
     
+    handleBuildingUpgraded(data) {
+        const { playerId, building, playerResources } = data;
+        this.updateBuilding(building);
+        
+        if (playerId === this.playerId) {
+            this.resolveAction(data.actionId);
+            this.resources = this.applyPendingCosts(playerResources);
+            this.updateResourceDisplay();
+            this.updateStatsDisplay();
+            this.showNotification(`${building.name} upgraded to level ${building.level}!`, 'success');
+        }
+        
+        this.refreshInspectPanel();
+    }
+    
+    handleBuildingDemolished(data) {
+        const { playerId, buildingId, playerResources } = data;
+        this.buildings = this.buildings.filter(b => b.id !== buildingId);
+        
+        if (playerId === this.playerId) {
+            const building = this.ownBuildings.find(b => b.id === buildingId);
+            this.ownBuildings = this.ownBuildings.filter(b => b.id !== buildingId);
+            this.resolveAction(data.actionId);
+            this.resources = this.applyPendingCosts(playerResources);
+            this.updateResourceDisplay();
+            this.updateStatsDisplay();
+            this.showNotification(`${building ? building.name : 'Building'} demolished`, 'info');
+        }
+        
+        this.refreshInspectPanel();
+    }
+    
+    handleBuildingRelocated(data) {
+        const { playerId, building, playerResources } = data;
+        if (this.buildings.some(b => b.id === building.id)) {
+            this.updateBuilding(building);
+        } else {
+            this.buildings.push(building);
+        }
+        
+        if (playerId === this.playerId) {
+            this.resolveAction(data.actionId);
+            this.resources = this.applyPendingCosts(playerResources);
+            this.updateResourceDisplay();
+            this.showNotification(`${building.name} moved`, 'success');
+        }
+        
+        this.refreshInspectPanel();
+    }
+    
+    // Upgrade, demolish and relocate rejections
+    handleBuildingActionRejected(data) {
+        const { reason, actionId } = data;
+        const action = this.resolveAction(actionId, reason);
+        if (action && action.replayed) return; // Reported with the replay results
+        
+        this.showNotification(reason, 'error');
+    }
+    
+    updateBuilding(building) {
+        // Our copies keep their lastUpdate, which is on our own clock
+        [this.buildings, this.ownBuildings].forEach(list => {
+            const existing = list.find(b => b.id === building.id);
+            if (existing) {
+                Object.assign(existing, building, { lastUpdate: existing.lastUpdate });
+            }
+        });
+    }
+    
     handleBuildingRejected(data) {
-        const { reason } = data;
+        const { reason, actionId } = data;
+        const action = this.resolveAction(actionId, reason);
+        if (action && action.replayed) return; // Reported with the replay results
+        
         this.showNotification(reason, 'error');
-        this.cancelPlacement();
+        this.rollbackOptimisticBuilding(actionId);
     }
     
     handleScoutSent(data) {
         const { playerId, scout } = data;
         
-        if (playerId === this.socket.id) {
+        if (playerId === this.playerId) {
             // Update own scout
             const myScout = this.scouts.find(s => s.id === scout.id);
             if (myScout) {
                 Object.assign(myScout, scout);
             }
+            
+            const action = this.resolveAction(data.actionId);
+            if (action && action.replayed) return;
         }
         
         this.showNotification('Scout dispatched!', 'success');
     }
     
     handleScoutRejected(data) {
-        const { reason } = data;
+        const { reason, actionId } = data;
+        const action = this.resolveAction(actionId, reason);
+        if (action && action.replayed) return;
+        
         this.showNotification(reason, 'warning');
     }
     
     handlePlayerUpdated(data) {
-        const { playerId, resources, population, scouts } = data;
+        const { playerId, resources, population, starving, workPriorities, scouts } = data;
         
-        if (playerId === this.socket.id) {
+        if (playerId === this.playerId) {
             // Update own data
-            if (resources) this.resources = resources;
+            if (resources) {
+                this.resources = this.applyPendingCosts(resources);
+                this.restartProductionClock();
+            }
             if (population) this.population = population;
+            if (typeof starving === 'boolean') {
+                if (starving && !this.starving) {
+                    this.showNotification('Food has run out - villagers are starving! Build or staff more farms', 'warning');
+                }
+                this.starving = starving;
+            }
+            if (workPriorities) {
+                this.workPriorities = workPriorities;
+                this.renderWorkforcePanel();
+            }
             if (scouts) this.scouts = scouts;
             
             this.updateResourceDisplay();
             this.updatePopulationDisplay();
+            this.refreshInspectPanel();
         }
     }
     
@@ -393,7 +952,17 @@ class VikingSettlementTycoon {
     handleChunksData(data) {
         const { chunks } = data;
         
-        chunks.forEach(({ chunkKey, chunk }) => {
+        chunks.forEach(({ chunkKey, data: encoded }) => {
+            this.requestedChunks.delete(chunkKey);
+            
+            let chunk;
+            try {
+                chunk = ChunkCodec.decode(encoded);
+            } catch (error) {
+                console.warn(`Skipping unreadable chunk ${chunkKey}:`, error.message);
+                return;
+            }
+            
             this.loadedChunks.set(chunkKey, {
                 ...chunk,
                 textureCanvas: this.createChunkCanvas(chunk),
@@ -427,87 +996,411 @@ class VikingSettlementTycoon {
     }
     
     getChunkCoords(worldX, worldY) {
-        return {
-            x: Math.floor(worldX / this.chunkSize),
-            y: Math.floor(worldY / this.chunkSize)
-        };
+        return WorldGrid.getChunkCoords(worldX, worldY);
     }
     
     getChunkKey(chunkX, chunkY) {
-        return `${chunkX},${chunkY}`;
+        return WorldGrid.getChunkKey(chunkX, chunkY);
+    }
+    
+    setupEventListeners() {
+        // Last chance to send explored cells when the page goes away
+        window.addEventListener('pagehide', () => this.saveFogOfWarToServer());
+        
+        // Mouse events
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e));
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault()); // Prevent right-click menu
+        
+        // Touch events
+        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e));
+        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e));
+        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        
+        // Keyboard events
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        
+        // Building selection
+        this.renderBuildingPanel();
+        
+        // Action buttons - Updated for multiplayer
+        document.getElementById('generateMapBtn').addEventListener('click', () => {
+            // In multiplayer, this opens the world lobby
+            this.openLobby();
+        });
+        
+        document.getElementById('saveGameBtn').addEventListener('click', () => {
+            // In multiplayer, this saves to server automatically
+            this.showNotification('Game saved to server!', 'success');
+        });
+        
+        // Server connection screen
+        document.getElementById('serverBtn').addEventListener('click', () => {
+            this.showConnectionScreen();
+        });
+        
+        document.getElementById('addServerProfileBtn').addEventListener('click', () => {
+            this.addServerProfile();
+        });
+        
+        document.getElementById('playOfflineBtn').addEventListener('click', () => {
+            this.playOffline();
+        });
+        
+        // Building inspect panel
+        document.getElementById('upgradeBuildingBtn').addEventListener('click', () => {
+            this.upgradeInspectedBuilding();
+        });
+        
+        document.getElementById('relocateBuildingBtn').addEventListener('click', () => {
+            this.startRelocation();
+        });
+        
+        document.getElementById('demolishBuildingBtn').addEventListener('click', () => {
+            this.demolishInspectedBuilding();
+        });
+        
+        document.getElementById('closeInspectBtn').addEventListener('click', () => {
+            this.closeInspectPanel();
+        });
+        
+        document.getElementById('closeConnectionBtn').addEventListener('click', () => {
+            this.hideConnectionScreen();
+        });
+        
+        // World lobby
+        document.getElementById('createWorldBtn').addEventListener('click', () => {
+            this.createWorld();
+        });
+        
+        document.getElementById('joinInviteBtn').addEventListener('click', () => {
+            this.joinWithInviteCode();
+        });
+        
+        document.getElementById('refreshWorldsBtn').addEventListener('click', () => {
+            this.requestWorldList();
+        });
+        
+        document.getElementById('closeLobbyBtn').addEventListener('click', () => {
+            this.hideLobby();
+        });
+    }
+    
+    openLobby() {
+        if (!this.socket || !this.isConnected) {
+            this.showNotification('Connect to a server to browse worlds', 'warning');
+            return;
+        }
+        
+        const currentWorld = document.getElementById('lobbyCurrentWorld');
+        currentWorld.textContent = this.worldId
+            ? `Current world: ${this.worldName}${this.worldInviteCode ? ` · Invite code: ${this.worldInviteCode}` : ''}`
+            : 'Not in a world';
+        
+        document.getElementById('lobbyScreen').classList.add('active');
+        this.requestWorldList();
+    }
+    
+    hideLobby() {
+        document.getElementById('lobbyScreen').classList.remove('active');
+    }
+    
+    requestWorldList() {
+        if (this.socket && this.isConnected) {
+            this.socket.emit('list_worlds');
+        }
+    }
+    
+    renderWorldList(worlds) {
+        const list = document.getElementById('worldList');
+        list.innerHTML = '';
+        
+        if (!worlds || worlds.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'world-list-empty';
+            empty.textContent = 'No public worlds yet - create one!';
+            list.appendChild(empty);
+            return;
+        }
+        
+        worlds.forEach(world => {
+            const row = document.createElement('div');
+            row.className = 'world-row';
+            if (world.id === this.worldId) {
+                row.classList.add('active');
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'world-info';
+            const name = document.createElement('span');
+            name.className = 'world-name';
+            name.textContent = `${world.locked ? '🔒 ' : ''}${world.name}`;
+            const details = document.createElement('span');
+            details.className = 'world-details';
+            details.textContent = `👥 ${world.playerCount}/${world.maxPlayers} · 🌱 ${world.seed} · ⏳ ${this.formatWorldAge(world.createdAt)}`;
+            info.append(name, details);
+            row.appendChild(info);
+            
+            const joinBtn = document.createElement('button');
+            joinBtn.className = 'action-btn';
+            joinBtn.textContent = 'Join';
+            joinBtn.disabled = world.id === this.worldId || world.playerCount >= world.maxPlayers;
+            joinBtn.addEventListener('click', () => {
+                if (world.locked) {
+                    const password = prompt(`Password for ${world.name}:`);
+                    if (password === null) return;
+                    this.joinWorld(world.id, { password });
+                } else {
+                    this.joinWorld(world.id);
+                }
+            });
+            row.appendChild(joinBtn);
+            
+            list.appendChild(row);
+        });
+    }
+    
+    formatWorldAge(createdAt) {
+        const minutes = Math.floor((Date.now() - createdAt) / 60000);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h`;
+        return `${Math.floor(hours / 24)}d`;
+    }
+    
+    createWorld() {
+        if (!this.socket || !this.isConnected) return;
+        
+        const name = document.getElementById('newWorldName').value.trim();
+        const visibility = document.getElementById('newWorldVisibility').value;
+        const password = document.getElementById('newWorldPassword').value;
+        
+        this.socket.emit('create_world', {
+            name,
+            isPrivate: visibility === 'private',
+            password: visibility === 'password' ? password : null,
+            playerName: localStorage.getItem('playerName') || 'Viking Player',
+            playerId: this.playerId,
+            sessionToken: this.sessionToken
+        });
+    }
+    
+    joinWithInviteCode() {
+        const inviteCode = document.getElementById('inviteCodeInput').value.trim().toUpperCase();
+        if (!inviteCode) {
+            this.showNotification('Enter an invite code', 'warning');
+            return;
+        }
+        this.joinWorld(null, { inviteCode });
+    }
+    
+    handleMouseDown(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        
+        if (this.placementMode && this.selectedBuilding) {
+            this.tryPlaceBuilding(x, y);
+        } else if (this.relocatingBuildingId && e.button !== 2) {
+            this.tryRelocateBuilding(x, y);
+        } else if (e.button === 2) { // Right click to send scout
+            const worldPos = this.screenToWorld(x, y);
+            this.sendScoutToExplore(worldPos.x, worldPos.y);
+        } else {
+            const worldPos = this.screenToWorld(x, y);
+            const building = this.getBuildingAt(worldPos.x, worldPos.y);
+            if (building) {
+                this.inspectBuilding(building);
+                return;
+            }
+            
+            this.isDragging = true;
+            this.dragStart = { x, y };
+            this.cameraStart = { x: this.camera.x, y: this.camera.y };
+        }
+    }
+    
+    getBuildingAt(worldX, worldY) {
+        // Last drawn is on top
+        for (let i = this.buildings.length - 1; i >= 0; i--) {
+            const building = this.buildings[i];
+            if (worldX >= building.x && worldX <= building.x + building.size &&
+                worldY >= building.y && worldY <= building.y + building.size) {
+                return building;
+            }
+        }
+        return null;
+    }
+    
+    inspectBuilding(building) {
+        this.inspectedBuildingId = building.id;
+        this.relocatingBuildingId = null;
+        this.demolishArmed = false;
+        document.getElementById('inspectPanel').classList.add('active');
+        this.refreshInspectPanel();
+    }
+    
+    closeInspectPanel() {
+        this.inspectedBuildingId = null;
+        this.relocatingBuildingId = null;
+        this.demolishArmed = false;
+        document.getElementById('inspectPanel').classList.remove('active');
+    }
+    
+    getInspectedBuilding() {
+        if (!this.inspectedBuildingId) return null;
+        return this.buildings.find(b => b.id === this.inspectedBuildingId) || null;
+    }
+    
+    refreshInspectPanel() {
+        if (!this.inspectedBuildingId) return;
+        
+        const building = this.getInspectedBuilding();
+        if (!building) {
+            // Gone, or out of our area
+            this.closeInspectPanel();
+            return;
+        }
+        
+        const isOwn = building.playerId === this.playerId;
+        const upgradeCost = BuildingCatalog.getUpgradeCost(building.type, building.level);
+        const cycle = `every ${Simulation.RULES.productionInterval / 1000}s`;
+        const describeLevel = level => {
+            const housing = BuildingCatalog.getHousing(building.type, level);
+            if (housing) return `Houses 👥 ${housing}`;
+            return `${BuildingCatalog.formatCost(BuildingCatalog.getOutput(building.type, level))} ${cycle}`;
+        };
+        const rows = [
+            ['Level', `${building.level} / ${BuildingCatalog.getMaxLevel(building.type)}`],
+            ['Output', describeLevel(building.level)]
+        ];
+        const slots = BuildingCatalog.getWorkerSlots(building.type);
+        if (isOwn && slots > 0) {
+            const workers = Simulation.assignWorkers(this, this.ownBuildings).staffing.get(building.id) || 0;
+            rows.push(['Workers', `${workers} / ${slots}`]);
+        }
+        if (upgradeCost) {
+            rows.push(['Next level', describeLevel(building.level + 1)]);
+            rows.push(['Upgrade cost', BuildingCatalog.formatCost(upgradeCost)]);
+        }
+        if (isOwn) {
+            rows.push(['Move fee', BuildingCatalog.formatCost(Simulation.getRelocateFee(building.type)) || 'Free']);
+            rows.push(['Demolish refund', BuildingCatalog.formatCost(Simulation.getDemolishRefund(building.type)) || 'Nothing']);
+        } else {
+            rows.push(['Owner', 'Another player']);
+        }
+        
+        document.getElementById('inspectTitle').textContent = `${building.icon} ${building.name}`;
+        const details = document.getElementById('inspectDetails');
+        details.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'inspect-row';
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            row.append(labelSpan, valueSpan);
+            details.appendChild(row);
+        });
+        
+        const upgradeBtn = document.getElementById('upgradeBuildingBtn');
+        upgradeBtn.textContent = upgradeCost ? '⬆️ Upgrade (U)' : 'Max level';
+        upgradeBtn.disabled = !isOwn || !upgradeCost || !this.canAfford(upgradeCost);
+        
+        const relocateBtn = document.getElementById('relocateBuildingBtn');
+        relocateBtn.textContent = this.relocatingBuildingId ? '📍 Click the new spot' : '🚚 Move (M)';
+        relocateBtn.disabled = !isOwn || !this.canAfford(Simulation.getRelocateFee(building.type));
+        
+        const demolishBtn = document.getElementById('demolishBuildingBtn');
+        demolishBtn.textContent = this.demolishArmed ? '⚠️ Confirm demolish' : '🔨 Demolish';
+        demolishBtn.disabled = !isOwn;
     }
     
-    setupEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e));
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault()); // Prevent right-click menu
-        
-        // Touch events
-        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e));
-        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e));
-        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+    upgradeInspectedBuilding() {
+        const building = this.getInspectedBuilding();
+        if (!building) return;
         
-        // Keyboard events
-        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        // Same checks the server makes, so obvious failures skip the round trip
+        const error = Simulation.getUpgradeError({ id: this.playerId, resources: this.resources }, building);
+        if (error) {
+            this.showNotification(Protocol.REJECTIONS[error], 'error');
+            return;
+        }
         
-        // Building selection
-        document.querySelectorAll('.building-card').forEach(card => {
-            card.addEventListener('click', (e) => {
-                const buildingType = card.dataset.building;
-                this.selectBuilding(buildingType);
-            });
-        });
+        const action = this.createAction('upgrade_building', { buildingId: building.id });
         
-        // Action buttons - Updated for multiplayer
-        document.getElementById('generateMapBtn').addEventListener('click', () => {
-            // In multiplayer, this creates a new world
-            this.createNewWorld();
-        });
+        if (this.socket && this.isConnected) {
+            this.sendAction(action);
+        } else {
+            this.queueAction(action);
+        }
+    }
+    
+    startRelocation() {
+        const building = this.getInspectedBuilding();
+        if (!building || building.playerId !== this.playerId) return;
         
-        document.getElementById('saveGameBtn').addEventListener('click', () => {
-            // In multiplayer, this saves to server automatically
-            this.showNotification('Game saved to server!', 'success');
-        });
+        this.cancelPlacement();
+        this.relocatingBuildingId = building.id;
+        this.refreshInspectPanel();
+        this.showNotification(`Click where the ${building.name} should go (Esc to cancel)`, 'info');
     }
     
-    createNewWorld() {
+    tryRelocateBuilding(screenX, screenY) {
+        const building = this.getInspectedBuilding();
+        this.relocatingBuildingId = null;
+        this.refreshInspectPanel();
+        if (!building) return;
+        
+        const worldPos = this.screenToWorld(screenX, screenY);
+        const player = { id: this.playerId, resources: this.resources };
+        const world = { seed: this.seed, buildings: this.buildings };
+        const error = Simulation.getRelocationError(world, player, building, worldPos.x, worldPos.y);
+        if (error) {
+            this.showNotification(Protocol.REJECTIONS[error], 'error');
+            return;
+        }
+        
+        const action = this.createAction('relocate_building', { buildingId: building.id, x: worldPos.x, y: worldPos.y });
+        
         if (this.socket && this.isConnected) {
-            // Disconnect from current world and join a new one
-            this.socket.disconnect();
-            setTimeout(() => {
-                this.connectToServer();
-            }, 1000);
+            this.sendAction(action);
+        } else {
+            this.queueAction(action);
         }
     }
     
-    handleMouseDown(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    demolishInspectedBuilding() {
+        const building = this.getInspectedBuilding();
+        if (!building || building.playerId !== this.playerId) return;
         
-        if (this.placementMode && this.selectedBuilding) {
-            this.tryPlaceBuilding(x, y);
-        } else if (e.button === 2) { // Right click to send scout
-            const worldPos = this.screenToWorld(x, y);
-            this.sendScoutToExplore(worldPos.x, worldPos.y);
+        if (!this.demolishArmed) {
+            this.demolishArmed = true;
+            this.refreshInspectPanel();
+            return;
+        }
+        this.demolishArmed = false;
+        this.refreshInspectPanel();
+        
+        const action = this.createAction('demolish_building', { buildingId: building.id });
+        
+        if (this.socket && this.isConnected) {
+            this.sendAction(action);
         } else {
-            this.isDragging = true;
-            this.dragStart = { x, y };
-            this.cameraStart = { x: this.camera.x, y: this.camera.y };
+            this.queueAction(action);
         }
     }
     
     sendScoutToExplore(x, y) {
+        const action = this.createAction('send_scout', { targetX: x, targetY: y });
+        
         if (this.socket && this.isConnected) {
-            this.socket.emit('send_scout', {
-                targetX: x,
-                targetY: y
-            });
+            this.sendAction(action);
         } else {
-            this.showNotification('Not connected to server!', 'error');
+            this.queueAction(action);
         }
     }
     
@@ -566,21 +1459,74 @@ class VikingSettlementTycoon {
     }
     
     handleKeyDown(e) {
+        // Letters typed into the lobby and profile forms aren't hotkeys
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+        
         const speed = 50;
         switch(e.key.toLowerCase()) {
             case 'w': this.camera.y -= speed; break;
             case 's': this.camera.y += speed; break;
             case 'a': this.camera.x -= speed; break;
             case 'd': this.camera.x += speed; break;
+            case 'u': this.upgradeInspectedBuilding(); break;
+            case 'm': this.startRelocation(); break;
             case 'escape':
                 this.cancelPlacement();
+                this.closeInspectPanel();
                 break;
         }
     }
     
+    renderBuildingPanel() {
+        // One card per catalog entry, so new buildings need no markup
+        const grid = document.querySelector('#buildingPanel .building-grid');
+        grid.innerHTML = '';
+        
+        BuildingCatalog.getBuildingTypes().forEach(buildingType => {
+            const buildingData = BuildingCatalog.getBuildingData(buildingType);
+            const card = document.createElement('div');
+            card.className = 'building-card';
+            card.dataset.building = buildingType;
+            card.innerHTML = `
+                <div class="building-icon">${buildingData.icon}</div>
+                <div class="building-name">${buildingData.name}</div>
+                <div class="building-cost">${BuildingCatalog.formatCost(buildingData.cost)}</div>
+            `;
+            card.addEventListener('click', () => this.selectBuilding(buildingType));
+            grid.appendChild(card);
+        });
+        
+        this.updateBuildingAvailability();
+    }
+    
+    getMissingRequirements(buildingType) {
+        return BuildingCatalog.getMissingRequirements(buildingType, {
+            buildings: this.ownBuildings,
+            population: this.population
+        });
+    }
+    
+    updateBuildingAvailability() {
+        document.querySelectorAll('.building-card').forEach(card => {
+            const missing = this.getMissingRequirements(card.dataset.building);
+            card.classList.toggle('locked', missing.length > 0);
+            card.title = missing.length > 0 ? `Requires ${missing.join(', ')}` : '';
+        });
+    }
+    
     selectBuilding(buildingType) {
+        const missing = this.getMissingRequirements(buildingType);
+        if (missing.length > 0) {
+            this.showNotification(`Requires ${missing.join(', ')}`, 'warning');
+            return;
+        }
+        
         this.selectedBuilding = buildingType;
         this.placementMode = true;
+        this.relocatingBuildingId = null;
         
         // Update UI
         document.querySelectorAll('.building-card').forEach(card => {
@@ -595,139 +1541,39 @@ class VikingSettlementTycoon {
     tryPlaceBuilding(screenX, screenY) {
         const worldPos = this.screenToWorld(screenX, screenY);
         
-        if (!this.isConnected) {
-            // Demo mode - handle locally
-            this.handleDemoBuilding(worldPos.x, worldPos.y);
-            return;
-        }
-        
-        if (!this.socket) {
-            this.showNotification('Not connected to server!', 'error');
-            return;
-        }
-        
-        // Send to server for validation and placement
-        this.socket.emit('place_building', {
+        const action = this.createAction('place_building', {
             buildingType: this.selectedBuilding,
             x: worldPos.x,
             y: worldPos.y
         });
-    }
-    
-    handleDemoBuilding(x, y) {
-        const buildingData = this.getBuildingData(this.selectedBuilding);
-        if (!buildingData) return;
-        
-        // Check resources
-        if (!this.canAfford(buildingData.cost)) {
-            this.showNotification('Insufficient resources', 'error');
-            return;
-        }
         
-        // Check placement validity
-        if (!this.isValidPlacement(x, y)) {
-            this.showNotification('Invalid placement location', 'error');
+        if (!this.socket || !this.isConnected) {
+            // Connection blip - queue it for the server to validate on reconnect
+            this.queueAction(action);
+            this.cancelPlacement();
             return;
         }
         
-        // Create building
-        const building = {
-            id: `demo_${Date.now()}_${Math.random()}`,
-            type: this.selectedBuilding,
-            x, y,
-            ...buildingData,
-            level: 1,
-            production: 0,
-            lastUpdate: Date.now(),
-            createdAt: Date.now()
-        };
-        
-        // Update resources and buildings
-        this.spendResources(buildingData.cost);
-        this.buildings.push(building);
-        this.cancelPlacement();
+        // Show it straight away; the server confirms or rolls it back
+        if (!this.placeOptimisticBuilding(action)) return;
         
-        this.showNotification(`${building.name} built!`, 'success');
+        // Send to server for validation and placement
+        this.sendAction(action);
     }
     
     getBuildingData(type) {
-        const buildings = {
-            longhouse: {
-                name: 'Longhouse',
-                icon: '🏘️',
-                cost: { wood: 20, food: 10 },
-                produces: { population: 3 },
-                size: 48
-            },
-            farm: {
-                name: 'Farm',
-                icon: '🌾',
-                cost: { wood: 15 },
-                produces: { food: 2 },
-                size: 40
-            },
-            lumbermill: {
-                name: 'Lumber Mill',
-                icon: '🪓',
-                cost: { wood: 25, iron: 5 },
-                produces: { wood: 3 },
-                size: 44
-            },
-            blacksmith: {
-                name: 'Blacksmith',
-                icon: '⚒️',
-                cost: { wood: 30, iron: 10 },
-                produces: { iron: 2 },
-                size: 36
-            },
-            tradingpost: {
-                name: 'Trading Post',
-                icon: '⛵',
-                cost: { wood: 40, gold: 5 },
-                produces: { gold: 1 },
-                size: 42
-            },
-            temple: {
-                name: 'Temple',
-                icon: '⚡',
-                cost: { wood: 50, iron: 20, gold: 15 },
-                produces: { happiness: 10 },
-                size: 52
-            }
-        };
-        
-        return buildings[type];
+        return BuildingCatalog.getBuildingData(type);
     }
     
     canAfford(cost) {
-        for (const [resource, amount] of Object.entries(cost)) {
-            if (this.resources[resource] < amount) {
-                return false;
-            }
-        }
-        return true;
+        return Simulation.canAfford(this.resources, cost);
     }
     
     spendResources(cost) {
-        for (const [resource, amount] of Object.entries(cost)) {
-            this.resources[resource] -= amount;
-        }
+        Simulation.spendResources(this.resources, cost);
         this.updateResourceDisplay();
     }
     
-    isValidPlacement(x, y) {
-        const buildingData = this.getBuildingData(this.selectedBuilding);
-        if (!buildingData) return false;
-        
-        for (const building of this.buildings) {
-            const distance = Math.sqrt((building.x - x) ** 2 + (building.y - y) ** 2);
-            if (distance < buildingData.size) {
-                return false;
-            }
-        }
-        return true;
-    }
-    
     cancelPlacement() {
         this.selectedBuilding = null;
         this.placementMode = false;
@@ -743,12 +1589,14 @@ class VikingSettlementTycoon {
                                                 this.camera.y + this.canvas.height / (2 * this.camera.scale));
         
         const neededChunks = [];
+        const now = Date.now();
         
         // Determine which chunks we need
         for (let x = cameraChunk.x - this.chunkLoadRadius; x <= cameraChunk.x + this.chunkLoadRadius; x++) {
             for (let y = cameraChunk.y - this.chunkLoadRadius; y <= cameraChunk.y + this.chunkLoadRadius; y++) {
                 const chunkKey = this.getChunkKey(x, y);
-                if (!this.loadedChunks.has(chunkKey)) {
+                const requestedAt = this.requestedChunks.get(chunkKey);
+                if (!this.loadedChunks.has(chunkKey) && !(requestedAt && now - requestedAt < this.chunkRequestTimeout)) {
                     neededChunks.push({ x, y });
                 }
             }
@@ -756,11 +1604,14 @@ class VikingSettlementTycoon {
         
         // Request chunks from server
         if (neededChunks.length > 0 && this.socket && this.isConnected) {
+            neededChunks.forEach(({ x, y }) => this.requestedChunks.set(this.getChunkKey(x, y), now));
             this.socket.emit('request_chunks', {
                 chunkCoords: neededChunks
             });
         }
         
+        this.updateInterest(cameraChunk);
+        
         // Unload distant chunks to save memory
         this.unloadDistantChunks(cameraChunk.x, cameraChunk.y);
     }
@@ -785,6 +1636,11 @@ class VikingSettlementTycoon {
             this.loadedChunks.delete(chunkKey);
             this.fogOfWar.delete(chunkKey);
         });
+        
+        // The canvases are gone but the cells aren't; flush them before moving on
+        if (chunksToUnload.length > 0) {
+            this.saveFogOfWarToServer();
+        }
     }
     
     initializeChunkFogOfWar(chunkX, chunkY) {
@@ -795,18 +1651,49 @@ class VikingSettlementTycoon {
         fogCanvas.height = this.chunkSize;
         const fogCtx = fogCanvas.getContext('2d');
         
-        fogCtx.fillStyle = 'rgba(0, 0, 0, 0.9)';
-        fogCtx.fillRect(0, 0, this.chunkSize, this.chunkSize);
-        
         this.fogOfWar.set(chunkKey, { canvas: fogCanvas, ctx: fogCtx });
+        this.rasterizeChunkFog(chunkX, chunkY);
+    }
+    
+    rasterizeChunkFog(chunkX, chunkY) {
+        // Redraw a chunk's fog canvas from the explored cells
+        const fogData = this.fogOfWar.get(this.getChunkKey(chunkX, chunkY));
+        if (!fogData) return;
+        
+        const { ctx } = fogData;
+        const cellSize = ExploredMap.CELL_SIZE;
+        const worldX = chunkX * this.chunkSize;
+        const worldY = chunkY * this.chunkSize;
+        
+        ctx.clearRect(0, 0, this.chunkSize, this.chunkSize);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+        ctx.fillRect(0, 0, this.chunkSize, this.chunkSize);
+        
+        for (let localX = 0; localX < this.chunkSize; localX += cellSize) {
+            for (let localY = 0; localY < this.chunkSize; localY += cellSize) {
+                if (this.explored.isExplored(worldX + localX, worldY + localY)) {
+                    ctx.clearRect(localX, localY, cellSize, cellSize);
+                }
+            }
+        }
     }
     
     revealArea(x, y, radius) {
+        this.explored.revealCircle(x, y, radius);
+        
         const chunkCoords = this.getChunkCoords(x, y);
-        const chunkKey = this.getChunkKey(chunkCoords.x, chunkCoords.y);
-        const fogData = this.fogOfWar.get(chunkKey);
         
-        if (!fogData) return;
+        // Neighbouring chunks the circle spills into are redrawn outright
+        for (const chunk of this.loadedChunks.values()) {
+            const isCentreChunk = chunk.x === chunkCoords.x && chunk.y === chunkCoords.y;
+            if (!isCentreChunk &&
+                x + radius > chunk.worldX && x - radius < chunk.worldX + this.chunkSize &&
+                y + radius > chunk.worldY && y - radius < chunk.worldY + this.chunkSize) {
+                this.rasterizeChunkFog(chunk.x, chunk.y);
+            }
+        }
+        
+        if (!this.fogOfWar.has(this.getChunkKey(chunkCoords.x, chunkCoords.y))) return;
         
         this.revealAnimations.push({
             x, y, radius: 0, targetRadius: radius,
@@ -832,38 +1719,21 @@ class VikingSettlementTycoon {
     }
     
     saveFogOfWarToServer() {
-        if (this.socket && this.isConnected) {
-            // Convert fog of war to serializable format
-            const fogOfWarData = {};
-            for (const [chunkKey, fogData] of this.fogOfWar) {
-                fogOfWarData[chunkKey] = fogData.canvas.toDataURL();
-            }
-            
-            this.socket.emit('save_fog_of_war', {
-                fogOfWarData: fogOfWarData,
-                exploredAreas: Array.from(this.exploredAreas)
-            });
-        }
+        this.lastFogSync = Date.now();
+        if (!this.socket || !this.isConnected) return; // Diffs wait for the next connection
+        
+        const exploredChunks = this.explored.takeDirty();
+        if (Object.keys(exploredChunks).length === 0) return;
+        
+        this.socket.emit('save_fog_of_war', { exploredChunks });
     }
     
     restoreFogOfWarFromServer(fogOfWarData) {
         try {
-            for (const [chunkKey, dataURL] of Object.entries(fogOfWarData)) {
-                const img = new Image();
-                img.onload = () => {
-                    let fogData = this.fogOfWar.get(chunkKey);
-                    if (!fogData) {
-                        const [chunkX, chunkY] = chunkKey.split(',').map(Number);
-                        this.initializeChunkFogOfWar(chunkX, chunkY);
-                        fogData = this.fogOfWar.get(chunkKey);
-                    }
-                    
-                    if (fogData) {
-                        fogData.ctx.clearRect(0, 0, this.chunkSize, this.chunkSize);
-                        fogData.ctx.drawImage(img, 0, 0);
-                    }
-                };
-                img.src = dataURL;
+            this.explored.merge(fogOfWarData);
+            
+            for (const chunk of this.loadedChunks.values()) {
+                this.rasterizeChunkFog(chunk.x, chunk.y);
             }
         } catch (error) {
             console.error('Failed to restore fog of war:', error);
@@ -871,6 +1741,7 @@ class VikingSettlementTycoon {
     }
     
     setupUI() {
+        this.renderWorkforcePanel();
         this.updateResourceDisplay();
         this.updatePopulationDisplay();
         this.updateStatsDisplay();
@@ -882,16 +1753,39 @@ class VikingSettlementTycoon {
         
         // Update reveal animations
         this.updateRevealAnimations();
+        this.updatePlacementAnimations();
         
-        // Save fog of war periodically
-        if (Math.random() < 0.01) { // 1% chance per frame
+        // Send explored-cell diffs on a fixed schedule
+        if (Date.now() - this.lastFogSync >= this.fogSyncInterval) {
             this.saveFogOfWarToServer();
         }
         
+        this.updateEconomy();
         this.updateResourceDisplay();
         this.updatePopulationDisplay();
     }
     
+    updateEconomy() {
+        // Predict production between the server's updates; its totals replace ours when they arrive
+        if (Simulation.accrueProduction(this, this.ownBuildings, Date.now()) > 0) {
+            this.refreshInspectPanel();
+        }
+    }
+    
+    restartProductionClock() {
+        // The server just produced, so our buildings' next cycle starts now.
+        // Stamped with our own clock, so clock skew with the server doesn't matter.
+        const now = Date.now();
+        this.ownBuildings.forEach(building => {
+            building.lastUpdate = now;
+        });
+    }
+    
+    updatePlacementAnimations() {
+        const now = Date.now();
+        this.placementAnimations = this.placementAnimations.filter(anim => now - anim.startTime < anim.duration);
+    }
+    
     updateRevealAnimations() {
         const now = Date.now();
         
@@ -949,6 +1843,9 @@ class VikingSettlementTycoon {
         
         // Render buildings (all players)
         this.renderBuildings();
+        this.renderQueuedBuildings();
+        this.renderPendingBuildings();
+        this.renderPlacementAnimations();
         
         // Render scouts
         this.renderScouts();
@@ -1009,7 +1906,7 @@ class VikingSettlementTycoon {
             this.ctx.fillRect(screenPos.x + 3, screenPos.y + 3, building.size, building.size);
             
             // Building base - different color for other players
-            if (building.playerId && building.playerId !== this.socket.id) {
+            if (building.playerId && building.playerId !== this.playerId) {
                 this.ctx.fillStyle = '#6d4c41'; // Darker brown for other players
             } else {
                 this.ctx.fillStyle = '#8b4513';
@@ -1027,12 +1924,122 @@ class VikingSettlementTycoon {
             );
             
             // Player indicator for other players
-            if (building.playerId && building.playerId !== this.socket.id) {
+            if (building.playerId && building.playerId !== this.playerId) {
                 this.ctx.fillStyle = '#ff9800';
                 this.ctx.font = '8px Arial';
                 this.ctx.fillText('●', screenPos.x + building.size - 4, screenPos.y + 8);
             }
+            
+            if (building.level > 1) {
+                this.renderLevelBadge(building);
+            }
+            
+            if (building.id === this.inspectedBuildingId) {
+                this.ctx.strokeStyle = '#d4af37';
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(screenPos.x - 2, screenPos.y - 2, building.size + 4, building.size + 4);
+            }
+        });
+    }
+    
+    renderLevelBadge(building) {
+        // Gold disc with the level in the bottom-right corner
+        const radius = 7;
+        const centerX = building.x + building.size - radius + 2;
+        const centerY = building.y + building.size - radius + 2;
+        
+        this.ctx.fillStyle = '#d4af37';
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#2c1810';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = '#2c1810';
+        this.ctx.font = 'bold 9px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(building.level, centerX, centerY + 3);
+    }
+    
+    renderPendingBuildings() {
+        // Ghosts pulse until the server confirms them
+        const pulse = 0.45 + 0.15 * Math.sin(Date.now() / 150);
+        
+        this.ctx.save();
+        this.pendingBuildings.forEach(ghost => {
+            this.ctx.globalAlpha = pulse;
+            this.ctx.fillStyle = '#8b4513';
+            this.ctx.fillRect(ghost.x, ghost.y, ghost.size, ghost.size);
+            
+            this.ctx.globalAlpha = 1;
+            this.ctx.strokeStyle = '#ffd54f';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.strokeRect(ghost.x, ghost.y, ghost.size, ghost.size);
+            this.ctx.setLineDash([]);
+            
+            this.ctx.globalAlpha = pulse;
+            this.ctx.fillStyle = '#f0f0f0';
+            this.ctx.font = `${ghost.size * 0.6}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(ghost.icon, ghost.x + ghost.size / 2, ghost.y + ghost.size * 0.7);
+        });
+        this.ctx.restore();
+    }
+    
+    renderPlacementAnimations() {
+        const now = Date.now();
+        
+        this.ctx.save();
+        this.placementAnimations.forEach(anim => {
+            const progress = Math.min((now - anim.startTime) / anim.duration, 1);
+            const { x, y, size } = anim.building;
+            const centerX = x + size / 2;
+            const centerY = y + size / 2;
+            
+            if (anim.type === 'confirm') {
+                // Ring expanding out of the settled building
+                const radius = size / 2 + size * 0.5 * this.easeOutQuad(progress);
+                this.ctx.globalAlpha = 1 - progress;
+                this.ctx.strokeStyle = '#4caf50';
+                this.ctx.lineWidth = 3;
+                this.ctx.beginPath();
+                this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+                this.ctx.stroke();
+            } else {
+                // Rejected ghost shrinks away in red
+                const scaledSize = size * (1 - this.easeOutQuad(progress));
+                this.ctx.globalAlpha = 0.7 * (1 - progress);
+                this.ctx.fillStyle = '#f44336';
+                this.ctx.fillRect(centerX - scaledSize / 2, centerY - scaledSize / 2, scaledSize, scaledSize);
+            }
         });
+        this.ctx.restore();
+    }
+    
+    renderQueuedBuildings() {
+        // Faint placeholders for placements waiting on a reconnect
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.4;
+        
+        this.actionQueue.forEach(action => {
+            if (action.type !== 'place_building') return;
+            
+            const buildingData = this.getBuildingData(action.payload.buildingType);
+            if (!buildingData) return;
+            
+            const { x, y } = action.payload;
+            this.ctx.fillStyle = '#8b4513';
+            this.ctx.fillRect(x, y, buildingData.size, buildingData.size);
+            
+            this.ctx.fillStyle = '#f0f0f0';
+            this.ctx.font = `${buildingData.size * 0.6}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('⏳', x + buildingData.size / 2, y + buildingData.size * 0.7);
+        });
+        
+        this.ctx.restore();
     }
     
     renderOtherPlayers() {
@@ -1150,7 +2157,7 @@ class VikingSettlementTycoon {
         if (this.worldId) {
             this.ctx.fillStyle = '#ffffff';
             this.ctx.font = '10px Space Mono';
-            this.ctx.fillText(`World: ${this.worldId}`, 20, 45);
+            this.ctx.fillText(`World: ${this.worldName || this.worldId}`, 20, 45);
         }
         
         // Player count
@@ -1176,68 +2183,108 @@ class VikingSettlementTycoon {
     }
     
     updateResourceDisplay() {
-        // Calculate production rates per second
-        const productionRates = {
-            food: 0,
-            wood: 0,
-            iron: 0,
-            gold: 0
-        };
+        // Net rates per second: our staffed buildings' output minus what the population eats
+        const productionRates = Simulation.getProductionRates(this, this.ownBuildings);
         
-        // Calculate population growth rate
-        let populationRate = 0;
-        
-        // Calculate total production from all buildings
-        this.buildings.forEach(building => {
-            if (building.produces) {
-                for (const [resource, amount] of Object.entries(building.produces)) {
-                    if (productionRates.hasOwnProperty(resource)) {
-                        productionRates[resource] += amount / 3; // Per second (buildings produce every 3 seconds)
-                    } else if (resource === 'population') {
-                        populationRate += amount / 3; // Population growth rate
-                    }
-                }
-            }
+        ['food', 'wood', 'iron', 'gold'].forEach(resource => {
+            document.getElementById(resource).textContent = Math.floor(this.resources[resource]);
+            this.showRate(document.getElementById(resource).nextElementSibling, productionRates[resource]);
         });
         
-        // Update display with production rates
-        document.getElementById('food').textContent = Math.floor(this.resources.food);
-        document.querySelector('#food').nextElementSibling.textContent = `(${productionRates.food > 0 ? '+' : ''}${productionRates.food.toFixed(1)}/ps)`;
-        
-        document.getElementById('wood').textContent = Math.floor(this.resources.wood);
-        document.querySelector('#wood').nextElementSibling.textContent = `(${productionRates.wood > 0 ? '+' : ''}${productionRates.wood.toFixed(1)}/ps)`;
-        
-        document.getElementById('iron').textContent = Math.floor(this.resources.iron);
-        document.querySelector('#iron').nextElementSibling.textContent = `(${productionRates.iron > 0 ? '+' : ''}${productionRates.iron.toFixed(1)}/ps)`;
-        
-        document.getElementById('gold').textContent = Math.floor(this.resources.gold);
-        document.querySelector('#gold').nextElementSibling.textContent = `(${productionRates.gold > 0 ? '+' : ''}${productionRates.gold.toFixed(1)}/ps)`;
-        
         // Update population display
         document.getElementById('population').textContent = this.population;
-        document.querySelector('#population').nextElementSibling.textContent = `(${populationRate > 0 ? '+' : ''}${populationRate.toFixed(1)}/ps)`;
+        this.showRate(document.querySelector('#population').nextElementSibling, productionRates.population);
+    }
+    
+    showRate(element, rate) {
+        element.textContent = `(${rate > 0 ? '+' : ''}${rate.toFixed(1)}/ps)`;
+        element.classList.toggle('negative', rate < 0);
     }
     
     updatePopulationDisplay() {
         document.getElementById('population').textContent = this.population;
+        this.updateWorkforceDisplay();
+        this.updateBuildingAvailability();
     }
     
-    updateStatsDisplay() {
-        // Calculate happiness based on buildings
-        const temples = this.buildings.filter(b => b.type === 'temple').length;
-        const happiness = Math.min(100, 50 + temples * 15);
+    renderWorkforcePanel() {
+        // One row per staffed building type in priority order; counts are
+        // filled in by updateWorkforceDisplay
+        const list = document.getElementById('workforceList');
+        list.innerHTML = '';
+        
+        this.workPriorities.forEach((buildingType, index) => {
+            const buildingData = BuildingCatalog.getBuildingData(buildingType);
+            const row = document.createElement('div');
+            row.className = 'workforce-row';
+            row.dataset.building = buildingType;
+            
+            const name = document.createElement('span');
+            name.className = 'workforce-name';
+            name.textContent = `${index + 1}. ${buildingData.icon} ${buildingData.shortName}`;
+            const count = document.createElement('span');
+            count.className = 'workforce-count';
+            
+            const up = document.createElement('button');
+            up.className = 'workforce-move';
+            up.textContent = '▲';
+            up.title = 'Staff these first';
+            up.disabled = index === 0;
+            up.addEventListener('click', () => this.moveWorkPriority(buildingType, -1));
+            
+            const down = document.createElement('button');
+            down.className = 'workforce-move';
+            down.textContent = '▼';
+            down.disabled = index === this.workPriorities.length - 1;
+            down.addEventListener('click', () => this.moveWorkPriority(buildingType, 1));
+            
+            row.append(name, count, up, down);
+            list.appendChild(row);
+        });
+        
+        this.updateWorkforceDisplay();
+    }
+    
+    updateWorkforceDisplay() {
+        const { staffing, idle } = Simulation.assignWorkers(this, this.ownBuildings);
+        
+        document.getElementById('workforceIdle').textContent = `${idle} idle`;
+        document.getElementById('workforceHousing').textContent =
+            `${this.population} / ${Simulation.getHousingCapacity(this.ownBuildings)} housed`;
+        
+        document.querySelectorAll('.workforce-row').forEach(row => {
+            const buildings = this.ownBuildings.filter(b => b.type === row.dataset.building);
+            const assigned = buildings.reduce((total, b) => total + (staffing.get(b.id) || 0), 0);
+            const slots = buildings.length * BuildingCatalog.getWorkerSlots(row.dataset.building);
+            row.querySelector('.workforce-count').textContent = `${assigned} / ${slots}`;
+        });
+    }
+    
+    moveWorkPriority(buildingType, offset) {
+        const priorities = [...this.workPriorities];
+        const index = priorities.indexOf(buildingType);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= priorities.length) return;
         
-        // Calculate defense
-        const blacksmiths = this.buildings.filter(b => b.type === 'blacksmith').length;
-        const defense = Math.min(100, blacksmiths * 20);
+        [priorities[index], priorities[target]] = [priorities[target], priorities[index]];
+        this.workPriorities = priorities;
+        this.renderWorkforcePanel();
+        this.refreshInspectPanel();
         
-        // Calculate prosperity
-        const tradingPosts = this.buildings.filter(b => b.type === 'tradingpost').length;
-        const prosperity = Math.min(100, 30 + tradingPosts * 25);
+        if (this.socket && this.isConnected) {
+            this.socket.emit('set_work_priorities', { priorities });
+        } else {
+            this.workPrioritiesChanged = true;
+        }
+    }
+    
+    updateStatsDisplay() {
+        const { happiness, defense, prosperity } = Simulation.getStats(this.ownBuildings);
         
         document.getElementById('happinessBar').style.width = `${happiness}%`;
         document.getElementById('defenseBar').style.width = `${defense}%`;
-        document.getElementById('prosperityBar').style.width = `${prosperity}%`;
+        document.getElementById('prosperityBar').style.width = `${prosperity}%`;        
+        this.updateBuildingAvailability();
     }
     
     showNotification(message, type = 'info') {
@@ -1266,32 +2313,10 @@ class VikingSettlementTycoon {
     }
 }
 
-// Start the game when page loads
-window.addEventListener('load', () => {
-    // Add check for Socket.IO availability
-    if (typeof io === 'undefined') {
-        console.error('Socket.IO client library not loaded. Please check server connection.');
-        
-        // Show user-friendly error message
-        const errorDiv = document.createElement('div');
-        errorDiv.innerHTML = `
-            <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); 
-                        background: #f44336; color: white; padding: 20px; border-radius: 10px; 
-                        text-align: center; z-index: 9999;">
-                <h3>Connection Error</h3>
-                <p>Unable to connect to multiplayer server.</p>
-                <p>Please refresh the page or try again later.</p>
-                <button onclick="window.location.reload()" 
-                        style="margin-top: 10px; padding: 10px 20px; background: white; 
-                               color: #f44336; border: none; border-radius: 5px; cursor: pointer;">
-                    Refresh Page
-                </button>
-            </div>
-        `;
-        document.body.appendChild(errorDiv);
-        return;
-    }
-    
+// Start the game when page loads. The loader appends this script after a
+// successful or offline start, by which time 'load' may already have fired.
+// Without Socket.IO, connectToServer falls back to the in-page server.
+function startGame() {
     try {
         const game = new VikingSettlementTycoon();
     } catch (error) {
@@ -1315,4 +2340,10 @@ window.addEventListener('load', () => {
         `;
         document.body.appendChild(errorDiv);
     }
-});
\ No newline at end of file
+}
+
+if (document.readyState === 'complete') {
+    startGame();
+} else {
+    window.addEventListener('load', startGame);
+}
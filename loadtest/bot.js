@@ -0,0 +1,207 @@
+const { io } = require('socket.io-client');
+const Protocol = require('../shared/protocol');
+const BuildingCatalog = require('../shared/buildings');
+const WorldGrid = require('../shared/world-grid');
+
+const BUILDING_TYPES = BuildingCatalog.getBuildingTypes();
+const CHUNK_SIZE = WorldGrid.CHUNK_SIZE;
+const CHUNK_LOAD_RADIUS = 3;
+const VIEW_WIDTH = 1280;
+const VIEW_HEIGHT = 720;
+
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+// One headless player that drives the same events as VikingSettlementTycoon:
+// joins a world, pans its camera, loads chunks around it, places buildings
+// and sends scouts on randomized schedules. Round trips are reported to
+// `stats` as they complete.
+class Bot {
+    constructor(index, stats, options) {
+        this.index = index;
+        this.stats = stats;
+        this.options = options;
+        this.socket = null;
+        this.timers = [];
+        this.joined = false;
+        this.camera = { x: randomBetween(-2000, 2000), y: randomBetween(-2000, 2000), scale: 1 };
+        this.heading = randomBetween(0, Math.PI * 2);
+        this.loadedChunks = new Set();
+        this.interestKey = null;
+        this.pendingActions = new Map(); // actionId -> send time
+        this.pendingChunkRequests = []; // { sentAt, remaining }, answered in order
+        this.actionCounter = 0;
+    }
+
+    start() {
+        const connectStarted = Date.now();
+        this.socket = io(this.options.url, {
+            auth: { protocolVersion: Protocol.VERSION },
+            reconnection: false
+        });
+
+        // Count every server event for throughput
+        this.socket.onAny((event) => this.stats.received(event));
+
+        this.socket.on('connect', () => {
+            this.stats.recordLatency('connect', Date.now() - connectStarted);
+            this.joinStarted = Date.now();
+            this.emit('join_world', { worldId: this.options.worldId, playerName: `Bot ${this.index}` });
+        });
+
+        this.socket.on('connect_error', (error) => {
+            this.stats.count('connect_errors');
+            if (this.options.verbose) console.warn(`Bot ${this.index} could not connect: ${error.message}`);
+        });
+
+        this.socket.on('disconnect', (reason) => {
+            if (reason !== 'io client disconnect') this.stats.count('disconnects');
+            this.clearTimers();
+        });
+
+        this.socket.on('world_joined', (data) => this.handleWorldJoined(data));
+        this.socket.on('world_join_rejected', () => this.stats.count('join_rejections'));
+        this.socket.on('building_placed', (data) => this.resolveAction('place_building', data.actionId));
+        this.socket.on('building_rejected', (data) => this.resolveAction('place_building', data.actionId, true));
+        this.socket.on('scout_sent', (data) => this.resolveAction('send_scout', data.actionId));
+        this.socket.on('scout_rejected', (data) => this.resolveAction('send_scout', data.actionId, true));
+        this.socket.on('chunks_data', (data) => this.handleChunksData(data));
+        this.socket.on('error', () => this.stats.count('server_errors'));
+    }
+
+    stop() {
+        this.clearTimers();
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+        }
+    }
+
+    emit(event, data) {
+        this.stats.sent(event);
+        this.socket.emit(event, data);
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    // Runs `action` again and again, waiting a random time in [min, max) between runs
+    schedule(min, max, action) {
+        const run = () => {
+            if (!this.socket || !this.socket.connected) return;
+            action();
+            this.timers.push(setTimeout(run, randomBetween(min, max)));
+        };
+        this.timers.push(setTimeout(run, randomBetween(min, max)));
+    }
+
+    handleWorldJoined(data) {
+        this.stats.recordLatency('join_world', Date.now() - this.joinStarted);
+        if (this.joined) return;
+        this.joined = true;
+        this.stats.count('joined');
+
+        if (data.playerData.camera) {
+            this.camera = { ...data.playerData.camera };
+        }
+
+        const { schedules } = this.options;
+        this.schedule(...schedules.camera, () => this.panCamera());
+        this.schedule(...schedules.building, () => this.placeBuilding());
+        this.schedule(...schedules.scout, () => this.sendScout());
+        this.loadNearbyChunks();
+    }
+
+    panCamera() {
+        // Wander like a player dragging the map, turning now and then
+        this.heading += randomBetween(-0.5, 0.5);
+        this.camera.x += Math.cos(this.heading) * 40;
+        this.camera.y += Math.sin(this.heading) * 40;
+
+        this.emit('update_camera', { camera: this.camera });
+        this.loadNearbyChunks();
+    }
+
+    loadNearbyChunks() {
+        const cameraChunkX = Math.floor((this.camera.x + VIEW_WIDTH / 2) / CHUNK_SIZE);
+        const cameraChunkY = Math.floor((this.camera.y + VIEW_HEIGHT / 2) / CHUNK_SIZE);
+
+        const interestKey = `${cameraChunkX},${cameraChunkY}`;
+        if (interestKey === this.interestKey) return;
+        this.interestKey = interestKey;
+
+        const neededChunks = [];
+        for (let x = cameraChunkX - CHUNK_LOAD_RADIUS; x <= cameraChunkX + CHUNK_LOAD_RADIUS; x++) {
+            for (let y = cameraChunkY - CHUNK_LOAD_RADIUS; y <= cameraChunkY + CHUNK_LOAD_RADIUS; y++) {
+                const chunkKey = `${x},${y}`;
+                if (!this.loadedChunks.has(chunkKey)) {
+                    this.loadedChunks.add(chunkKey);
+                    neededChunks.push({ x, y });
+                }
+            }
+        }
+
+        if (neededChunks.length > 0) {
+            this.pendingChunkRequests.push({ sentAt: Date.now(), remaining: neededChunks.length });
+            this.emit('request_chunks', { chunkCoords: neededChunks });
+        }
+
+        this.emit('update_interest', {
+            area: {
+                left: (cameraChunkX - CHUNK_LOAD_RADIUS) * CHUNK_SIZE,
+                top: (cameraChunkY - CHUNK_LOAD_RADIUS) * CHUNK_SIZE,
+                right: (cameraChunkX + CHUNK_LOAD_RADIUS + 1) * CHUNK_SIZE,
+                bottom: (cameraChunkY + CHUNK_LOAD_RADIUS + 1) * CHUNK_SIZE
+            }
+        });
+    }
+
+    handleChunksData(data) {
+        // Big requests arrive over several messages; time until the last one
+        const request = this.pendingChunkRequests[0];
+        if (!request) return;
+
+        request.remaining -= data.chunks.length;
+        if (request.remaining <= 0) {
+            this.pendingChunkRequests.shift();
+            this.stats.recordLatency('request_chunks', Date.now() - request.sentAt);
+        }
+    }
+
+    placeBuilding() {
+        const buildingType = BUILDING_TYPES[Math.floor(Math.random() * BUILDING_TYPES.length)];
+        this.sendAction('place_building', {
+            buildingType,
+            x: this.camera.x + randomBetween(0, VIEW_WIDTH),
+            y: this.camera.y + randomBetween(0, VIEW_HEIGHT)
+        });
+    }
+
+    sendScout() {
+        // Any two targets in this square are within the server's scout range
+        this.sendAction('send_scout', {
+            targetX: randomBetween(-1500, 1500),
+            targetY: randomBetween(-1500, 1500)
+        });
+    }
+
+    sendAction(event, data) {
+        const actionId = `bot${this.index}_${++this.actionCounter}`;
+        this.pendingActions.set(actionId, Date.now());
+        this.emit(event, { ...data, actionId });
+    }
+
+    resolveAction(event, actionId, rejected = false) {
+        const sentAt = this.pendingActions.get(actionId);
+        if (!sentAt) return;
+
+        this.pendingActions.delete(actionId);
+        this.stats.recordLatency(event, Date.now() - sentAt);
+        if (rejected) this.stats.count(`${event}_rejected`);
+    }
+}
+
+module.exports = Bot;
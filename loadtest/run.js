@@ -0,0 +1,179 @@
+// Spawns headless bots against a server and reports latency percentiles and
+// event throughput. Usage:
+//   npm run loadtest -- --bots 200 --duration 60 --url http://localhost:3000
+const Bot = require('./bot');
+
+const DEFAULTS = {
+    url: 'http://localhost:3000',
+    bots: 100,
+    duration: 60, // Seconds of load once every bot has been started
+    rampUp: 20, // Bots started per second
+    worldId: null, // Every bot joins this world; otherwise open worlds fill up one by one
+    reportInterval: 5,
+    verbose: false
+};
+
+const USAGE = 'Usage: npm run loadtest -- [--bots <n>] [--duration <s>] [--ramp-up <bots/s>] ' +
+    '[--report-interval <s>] [--url <url>] [--world-id <id>] [--verbose]';
+
+// Milliseconds between actions, as [min, max)
+const SCHEDULES = {
+    camera: [100, 300],
+    building: [5000, 15000],
+    scout: [10000, 30000]
+};
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '').replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+        if (!(key in DEFAULTS)) {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+
+        if (typeof DEFAULTS[key] === 'boolean') {
+            options[key] = true;
+        } else {
+            const value = argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${argv[i - 1]}`);
+            }
+            options[key] = typeof DEFAULTS[key] === 'number' ? parsePositive(argv[i - 1], value) : value;
+        }
+    }
+    if (!Number.isInteger(options.bots)) {
+        throw new Error(`--bots must be a whole number, got ${options.bots}`);
+    }
+    return options;
+}
+
+function parsePositive(flag, value) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new Error(`${flag} must be a positive number, got "${value}"`);
+    }
+    return number;
+}
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+class Stats {
+    constructor() {
+        this.latencies = new Map(); // round trip name -> list of milliseconds
+        this.counters = new Map();
+        this.sentEvents = 0;
+        this.receivedEvents = 0;
+        this.sentByEvent = new Map();
+        this.receivedByEvent = new Map();
+    }
+
+    sent(event) {
+        this.sentEvents++;
+        this.sentByEvent.set(event, (this.sentByEvent.get(event) || 0) + 1);
+    }
+
+    received(event) {
+        this.receivedEvents++;
+        this.receivedByEvent.set(event, (this.receivedByEvent.get(event) || 0) + 1);
+    }
+
+    count(name) {
+        this.counters.set(name, (this.counters.get(name) || 0) + 1);
+    }
+
+    recordLatency(name, milliseconds) {
+        if (!this.latencies.has(name)) this.latencies.set(name, []);
+        this.latencies.get(name).push(milliseconds);
+    }
+
+    latencyRows() {
+        return Array.from(this.latencies, ([name, values]) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return {
+                roundTrip: name,
+                count: sorted.length,
+                p50: percentile(sorted, 0.5),
+                p90: percentile(sorted, 0.9),
+                p99: percentile(sorted, 0.99),
+                max: sorted[sorted.length - 1]
+            };
+        });
+    }
+}
+
+function printProgress(stats, startedAt, previous, interval) {
+    const seconds = (Date.now() - startedAt) / 1000;
+    const sentRate = (stats.sentEvents - previous.sent) / interval;
+    const receivedRate = (stats.receivedEvents - previous.received) / interval;
+    console.log(`[${seconds.toFixed(0)}s] joined ${stats.counters.get('joined') || 0}, ` +
+        `sending ${sentRate.toFixed(0)}/s, receiving ${receivedRate.toFixed(0)}/s`);
+}
+
+function printReport(stats, options, elapsedSeconds) {
+    console.log(`\n${options.bots} bots against ${options.url} for ${elapsedSeconds.toFixed(1)}s`);
+
+    console.log('\nRound trip latency (ms)');
+    console.table(stats.latencyRows());
+
+    console.log('Throughput');
+    console.table({
+        sent: { total: stats.sentEvents, perSecond: Math.round(stats.sentEvents / elapsedSeconds) },
+        received: { total: stats.receivedEvents, perSecond: Math.round(stats.receivedEvents / elapsedSeconds) }
+    });
+
+    const byEvent = {};
+    for (const [event, total] of stats.sentByEvent) byEvent[`-> ${event}`] = total;
+    for (const [event, total] of stats.receivedByEvent) byEvent[`<- ${event}`] = total;
+    console.log('Events');
+    console.table(byEvent);
+
+    console.log('Counters');
+    console.table(Object.fromEntries(stats.counters));
+}
+
+async function main() {
+    let options;
+    try {
+        options = { ...parseArgs(process.argv.slice(2)), schedules: SCHEDULES };
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+    const stats = new Stats();
+    const bots = [];
+
+    console.log(`Starting ${options.bots} bots against ${options.url} at ${options.rampUp}/s`);
+    const startedAt = Date.now();
+
+    let previous = { sent: 0, received: 0 };
+    const reportTimer = setInterval(() => {
+        printProgress(stats, startedAt, previous, options.reportInterval);
+        previous = { sent: stats.sentEvents, received: stats.receivedEvents };
+    }, options.reportInterval * 1000);
+
+    for (let i = 0; i < options.bots; i++) {
+        const bot = new Bot(i, stats, options);
+        bots.push(bot);
+        bot.start();
+        await new Promise(resolve => setTimeout(resolve, 1000 / options.rampUp));
+    }
+
+    await new Promise(resolve => setTimeout(resolve, options.duration * 1000));
+
+    clearInterval(reportTimer);
+    bots.forEach(bot => bot.stop());
+    printReport(stats, options, (Date.now() - startedAt) / 1000);
+
+    // Fail the run when bots couldn't get in, so scripts can catch regressions
+    const joined = stats.counters.get('joined') || 0;
+    process.exit(joined === options.bots ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
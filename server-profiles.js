@@ -0,0 +1,176 @@
+// Resolves which multiplayer server the clients connect to.
+// Priority: ?server= / ?profile= query parameter, the player's active saved
+// profile, config.json served next to the page, then the page's own origin.
+class ServerProfiles {
+    constructor(storageKey = 'vikingServerProfiles', identitiesKey = 'vikingPlayerIdentities') {
+        this.storageKey = storageKey;
+        this.identitiesKey = identitiesKey;
+        this.remoteConfig = null;
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && Array.isArray(saved.profiles)) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('Failed to read server profiles:', error);
+        }
+        return { profiles: [], activeProfile: null };
+    }
+
+    saveSettings(settings) {
+        localStorage.setItem(this.storageKey, JSON.stringify(settings));
+    }
+
+    async loadRemoteConfig() {
+        if (this.remoteConfig) return this.remoteConfig;
+
+        try {
+            const response = await fetch('config.json', { cache: 'no-store' });
+            this.remoteConfig = response.ok ? await response.json() : {};
+        } catch (error) {
+            // No config.json deployed next to the page
+            this.remoteConfig = {};
+        }
+        return this.remoteConfig;
+    }
+
+    getProfiles() {
+        // Profiles from config.json first, then the player's own
+        const remoteProfiles = (this.remoteConfig && Array.isArray(this.remoteConfig.profiles))
+            ? this.remoteConfig.profiles
+            : [];
+        const savedProfiles = this.loadSettings().profiles;
+
+        const profiles = new Map();
+        remoteProfiles.forEach(profile => {
+            if (profile && profile.name && profile.url) {
+                profiles.set(profile.name, { name: profile.name, url: profile.url, saved: false });
+            }
+        });
+        savedProfiles.forEach(profile => {
+            profiles.set(profile.name, { name: profile.name, url: profile.url, saved: true });
+        });
+
+        return Array.from(profiles.values());
+    }
+
+    getActiveProfileName() {
+        return this.loadSettings().activeProfile
+            || (this.remoteConfig && this.remoteConfig.defaultProfile)
+            || null;
+    }
+
+    saveProfile(name, url) {
+        const normalizedUrl = ServerProfiles.normalizeUrl(url);
+        if (!name || !normalizedUrl) {
+            throw new Error('A profile needs a name and a valid http(s) URL');
+        }
+
+        const settings = this.loadSettings();
+        settings.profiles = settings.profiles.filter(profile => profile.name !== name);
+        settings.profiles.push({ name, url: normalizedUrl });
+        this.saveSettings(settings);
+
+        return { name, url: normalizedUrl };
+    }
+
+    removeProfile(name) {
+        const settings = this.loadSettings();
+        settings.profiles = settings.profiles.filter(profile => profile.name !== name);
+        if (settings.activeProfile === name) {
+            settings.activeProfile = null;
+        }
+        this.saveSettings(settings);
+    }
+
+    setActiveProfile(name) {
+        const settings = this.loadSettings();
+        settings.activeProfile = name;
+        this.saveSettings(settings);
+    }
+
+    async resolveServerUrl() {
+        await this.loadRemoteConfig();
+
+        const params = new URLSearchParams(window.location.search);
+        const queryUrl = ServerProfiles.normalizeUrl(params.get('server'));
+        if (queryUrl) return queryUrl;
+
+        const profiles = this.getProfiles();
+        const profileName = params.get('profile') || this.getActiveProfileName();
+        const profile = profiles.find(p => p.name === profileName);
+        if (profile) return profile.url;
+
+        const configUrl = ServerProfiles.normalizeUrl(this.remoteConfig.serverUrl);
+        if (configUrl) return configUrl;
+
+        // The bundled server also hosts the clients, so same origin is the best guess
+        if (window.location.protocol === 'http:' || window.location.protocol === 'https:') {
+            return window.location.origin;
+        }
+        return 'http://localhost:3000';
+    }
+
+    // Session tokens are kept per server URL, so one server's token is never
+    // sent to another
+    loadIdentity(serverUrl) {
+        const identities = this.loadIdentities();
+        const identity = identities[serverUrl];
+        if (identity && identity.playerId && identity.sessionToken) {
+            return identity;
+        }
+        return { playerId: null, sessionToken: null };
+    }
+
+    saveIdentity(serverUrl, playerId, sessionToken) {
+        const identities = this.loadIdentities();
+        identities[serverUrl] = { playerId, sessionToken };
+        localStorage.setItem(this.identitiesKey, JSON.stringify(identities));
+    }
+
+    loadIdentities() {
+        let identities = {};
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.identitiesKey));
+            if (saved && typeof saved === 'object') identities = saved;
+        } catch (error) {
+            console.error('Failed to read player identities:', error);
+        }
+
+        // Identities saved before they were kept per server belong to the
+        // server hosting the page, the only one most players ever used
+        const legacy = localStorage.getItem('vikingPlayerIdentity');
+        if (legacy) {
+            const origin = ServerProfiles.normalizeUrl(window.location.origin);
+            try {
+                if (origin && !identities[origin]) identities[origin] = JSON.parse(legacy);
+            } catch (error) {
+                console.error('Failed to read player identity:', error);
+            }
+            localStorage.setItem(this.identitiesKey, JSON.stringify(identities));
+            localStorage.removeItem('vikingPlayerIdentity');
+        }
+        return identities;
+    }
+
+    static normalizeUrl(url) {
+        if (typeof url !== 'string' || !url.trim()) return null;
+
+        try {
+            const parsed = new URL(url.trim());
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+            // Socket.IO reads a path as a namespace, so only the origin is kept
+            return parsed.origin;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Loaded as a plain script by the clients; exported for the tests
+if (typeof module === 'object' && module.exports) {
+    module.exports = ServerProfiles;
+}
@@ -0,0 +1,202 @@
+const fs = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+const config = require('./config');
+const Simulation = require('../shared/simulation');
+
+const { RESOURCES } = Simulation;
+
+// Operator REPL on the server process. Every command, including failed ones,
+// is appended to the audit log as a line of JSON.
+class AdminConsole {
+    constructor(gameServer, { input = process.stdin, output = process.stdout, onShutdown } = {}) {
+        this.gameServer = gameServer;
+        this.input = input;
+        this.output = output;
+        this.onShutdown = onShutdown;
+        this.rl = null;
+
+        this.commands = {
+            help: { usage: 'help', run: () => this.help() },
+            worlds: { usage: 'worlds', run: () => this.listWorlds() },
+            players: { usage: 'players [worldId]', run: args => this.listPlayers(args[0]) },
+            flagged: { usage: 'flagged', run: () => this.listFlagged() },
+            kick: { usage: 'kick <playerId> [reason]', run: args => this.kick(args) },
+            ban: { usage: 'ban <playerId> [reason]', run: args => this.ban(args) },
+            unban: { usage: 'unban <playerId>', run: args => this.unban(args) },
+            broadcast: { usage: 'broadcast <message>', run: args => this.broadcast(args) },
+            grant: { usage: 'grant <playerId> <resource> <amount>', run: args => this.grant(args) },
+            reset: { usage: 'reset <worldId>', run: args => this.resetWorld(args) },
+            delete: { usage: 'delete <worldId>', run: args => this.deleteWorld(args) }
+        };
+    }
+
+    start() {
+        this.rl = readline.createInterface({ input: this.input, output: this.output, prompt: 'admin> ' });
+        this.rl.on('line', line => this.handleLine(line));
+        // readline swallows Ctrl+C, so hand it to the normal shutdown
+        this.rl.on('SIGINT', () => this.onShutdown && this.onShutdown());
+        this.rl.prompt();
+    }
+
+    stop() {
+        if (this.rl) {
+            this.rl.close();
+            this.rl = null;
+        }
+    }
+
+    async handleLine(line) {
+        const [name, ...args] = line.trim().split(/\s+/);
+        if (name) {
+            await this.execute(name, args);
+        }
+        if (this.rl) this.rl.prompt();
+    }
+
+    async execute(name, args) {
+        const command = this.commands[name];
+        let entry;
+
+        try {
+            if (!command) throw new Error(`Unknown command "${name}" - try help`);
+            const result = command.run(args);
+            this.print(result);
+            entry = { command: name, args, ok: true };
+        } catch (error) {
+            this.print(error.message);
+            entry = { command: name, args, ok: false, error: error.message };
+        }
+
+        await this.audit(entry);
+    }
+
+    async audit(entry) {
+        try {
+            await fs.mkdir(path.dirname(config.auditLogPath), { recursive: true });
+            await fs.appendFile(config.auditLogPath, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+        } catch (error) {
+            console.error('Failed to write audit log:', error.message);
+        }
+    }
+
+    print(text) {
+        this.output.write(`${text}\n`);
+    }
+
+    requireArgs(args, count, name) {
+        if (args.length < count) {
+            throw new Error(`Usage: ${this.commands[name].usage}`);
+        }
+    }
+
+    help() {
+        return Object.values(this.commands).map(command => `  ${command.usage}`).join('\n');
+    }
+
+    listWorlds() {
+        const worlds = Array.from(this.gameServer.worlds.values());
+        if (worlds.length === 0) return 'No worlds';
+
+        return worlds.map(world => {
+            const access = world.isPrivate ? 'private' : world.passwordHash ? 'locked' : 'open';
+            return `${world.id}  "${world.name}"  ${world.getOnlineCount()}/${world.players.size} online  ` +
+                `${world.buildings.length} buildings  ${access}  invite ${world.inviteCode}`;
+        }).join('\n');
+    }
+
+    listPlayers(worldId) {
+        const worlds = worldId
+            ? [this.gameServer.worlds.get(worldId)].filter(Boolean)
+            : Array.from(this.gameServer.worlds.values());
+
+        const lines = [];
+        for (const world of worlds) {
+            for (const player of world.getOnlinePlayers()) {
+                const { food, wood, iron, gold } = player.resources;
+                lines.push(`${player.id}  "${player.name}"  ${world.id}  ` +
+                    `food ${Math.floor(food)} wood ${Math.floor(wood)} iron ${Math.floor(iron)} gold ${Math.floor(gold)}`);
+            }
+        }
+        return lines.length > 0 ? lines.join('\n') : 'No connected players';
+    }
+
+    listFlagged() {
+        const flagged = this.gameServer.antiCheat.getFlagged();
+        if (flagged.length === 0) return 'No flagged players';
+
+        return flagged.map(({ playerId, total, lastCode, flaggedAt }) =>
+            `${playerId}  ${total} violations  last ${lastCode}  flagged ${new Date(flaggedAt).toISOString()}`
+        ).join('\n');
+    }
+
+    kick(args) {
+        this.requireArgs(args, 1, 'kick');
+        const [playerId, ...reason] = args;
+
+        const message = reason.length > 0 ? reason.join(' ') : 'You were removed by an administrator';
+        if (!this.gameServer.kickPlayer(playerId, message)) {
+            throw new Error(`${playerId} is not connected`);
+        }
+        return `Kicked ${playerId}`;
+    }
+
+    ban(args) {
+        this.requireArgs(args, 1, 'ban');
+        const [playerId, ...reason] = args;
+
+        if (!this.gameServer.banPlayer(playerId, reason.join(' ') || null)) {
+            throw new Error(`Unknown player ${playerId}`);
+        }
+        return `Banned ${playerId}`;
+    }
+
+    unban(args) {
+        this.requireArgs(args, 1, 'unban');
+        if (!this.gameServer.unbanPlayer(args[0])) {
+            throw new Error(`Unknown player ${args[0]}`);
+        }
+        return `Unbanned ${args[0]}`;
+    }
+
+    broadcast(args) {
+        this.requireArgs(args, 1, 'broadcast');
+        this.gameServer.broadcast(args.join(' '));
+        return 'Broadcast sent';
+    }
+
+    grant(args) {
+        this.requireArgs(args, 3, 'grant');
+        const [playerId, resource, amountText] = args;
+        const amount = Number(amountText);
+
+        if (!RESOURCES.includes(resource)) {
+            throw new Error(`Resource must be one of ${RESOURCES.join(', ')}`);
+        }
+        if (!Number.isFinite(amount)) {
+            throw new Error('Amount must be a number');
+        }
+
+        const resources = this.gameServer.grantResources(playerId, resource, amount);
+        if (!resources) throw new Error(`Unknown player ${playerId}`);
+        return `${playerId} now has ${Math.floor(resources[resource])} ${resource}`;
+    }
+
+    resetWorld(args) {
+        this.requireArgs(args, 1, 'reset');
+        if (!this.gameServer.resetWorld(args[0])) {
+            throw new Error(`Unknown world ${args[0]}`);
+        }
+        return `Reset ${args[0]}`;
+    }
+
+    deleteWorld(args) {
+        this.requireArgs(args, 1, 'delete');
+        if (!this.gameServer.deleteWorld(args[0])) {
+            throw new Error(`Unknown world ${args[0]}`);
+        }
+        return `Deleted ${args[0]}`;
+    }
+}
+
+module.exports = AdminConsole;
@@ -0,0 +1,73 @@
+const config = require('./config');
+
+// Rejections an honest client can't trigger: its own checks or UI rule them
+// out, so they point at a tampered client or a hand-written script
+const SUSPICIOUS_CODES = new Set([
+    'unknown_building',
+    'invalid_position',
+    'invalid_target',
+    'scout_out_of_range',
+    'not_owner',
+    'invalid_camera',
+    'invalid_area'
+]);
+
+// Tracks suspicious rejections per player, flags repeat offenders and
+// disconnects flagged players who carry on
+class AntiCheat {
+    constructor() {
+        this.records = new Map(); // playerId -> { recent, total, lastCode, flaggedAt }
+    }
+
+    // Returns 'flag' when this violation gets the player flagged, 'disconnect'
+    // when a flagged player keeps going, and null otherwise
+    record(playerId, code) {
+        if (!playerId || !SUSPICIOUS_CODES.has(code)) return null;
+
+        const now = Date.now();
+        let record = this.records.get(playerId);
+        if (!record) {
+            record = { recent: [], total: 0, lastCode: null, flaggedAt: null };
+            this.records.set(playerId, record);
+        }
+
+        record.recent = record.recent.filter(time => now - time < config.violationWindow);
+        record.recent.push(now);
+        record.total++;
+        record.lastCode = code;
+
+        if (!record.flaggedAt) {
+            if (record.recent.length < config.violationThreshold) return null;
+            record.flaggedAt = now;
+            return 'flag';
+        }
+
+        if (record.recent.length >= config.violationDisconnectThreshold) {
+            record.recent = []; // The next connection starts counting afresh
+            return 'disconnect';
+        }
+        return null;
+    }
+
+    isFlagged(playerId) {
+        const record = this.records.get(playerId);
+        return Boolean(record && record.flaggedAt);
+    }
+
+    getFlagged() {
+        const flagged = [];
+        for (const [playerId, record] of this.records) {
+            if (record.flaggedAt) {
+                flagged.push({
+                    playerId,
+                    total: record.total,
+                    lastCode: record.lastCode,
+                    flaggedAt: record.flaggedAt
+                });
+            }
+        }
+        return flagged;
+    }
+}
+
+module.exports = AntiCheat;
@@ -0,0 +1,65 @@
+const path = require('path');
+const WorldGrid = require('../shared/world-grid');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Server configuration with environment variable overrides
+const config = {
+    port: parseInt(process.env.PORT, 10) || 3000,
+    staticRoot: process.env.STATIC_ROOT || path.join(__dirname, '..'),
+    corsOrigin: process.env.CORS_ORIGIN || '*',
+
+    // World settings
+    maxPlayersPerWorld: parseInt(process.env.MAX_PLAYERS_PER_WORLD, 10) || 50,
+    chunkSize: WorldGrid.CHUNK_SIZE,
+    tileSize: WorldGrid.TILE_SIZE,
+    maxChunksPerRequest: 64,
+    maxChunksPerMessage: 10, // Socket.IO parsers refuse packets with more than 10 binary attachments
+    maxFogChunksPerUpdate: 256,
+    interestRadius: 2, // Chunks around a player's camera they get updates for until they say otherwise
+    maxInterestChunks: 100,
+    idleWorldExpiry: 24 * 60 * 60 * 1000, // Matchmaking worlds nobody built in are removed after this long without players online
+    idleWorldCheckInterval: 60000,
+
+    // Persistence
+    storage: {
+        backend: process.env.STORAGE_BACKEND || 'file', // 'file' or 'memory'
+        dataDir
+    },
+    saveInterval: 5000, // Changed worlds are written in one batch this often
+
+    // Admin console on stdin; on by default when the server runs in a terminal
+    adminConsole: process.env.ADMIN_CONSOLE ? process.env.ADMIN_CONSOLE === '1' : Boolean(process.stdin.isTTY),
+    auditLogPath: process.env.AUDIT_LOG || path.join(dataDir, 'audit.log'),
+
+    // Simulation; the game rules themselves are in Simulation.RULES
+    tickInterval: 250, // How often worlds advance
+
+    // Anti-cheat
+    violationWindow: 60000,
+    violationThreshold: 10, // Suspicious rejections within the window before a player is flagged
+    violationDisconnectThreshold: 20, // ... and before a flagged player is disconnected
+
+    // Flood protection: per-socket token buckets, `rate` events per second
+    // with room for `burst` at once
+    rateLimits: {
+        default: { rate: 10, burst: 20 },
+        list_worlds: { rate: 1, burst: 5 },
+        create_world: { rate: 0.2, burst: 3 },
+        join_world: { rate: 1, burst: 5 },
+        place_building: { rate: 5, burst: 60 }, // Room for a replayed offline queue
+        send_scout: { rate: 2, burst: 60 },
+        upgrade_building: { rate: 5, burst: 60 },
+        demolish_building: { rate: 5, burst: 60 },
+        relocate_building: { rate: 5, burst: 60 },
+        set_work_priorities: { rate: 2, burst: 10 },
+        update_camera: { rate: 20, burst: 40 },
+        update_interest: { rate: 10, burst: 20 },
+        request_chunks: { rate: 10, burst: 20 },
+        save_fog_of_war: { rate: 1, burst: 10 }
+    },
+    floodWindow: 10000,
+    floodThreshold: 100 // Dropped events within the window before the socket is disconnected
+};
+
+module.exports = config;
@@ -0,0 +1,865 @@
+const config = require('./config');
+const Protocol = require('../shared/protocol');
+const World = require('./world');
+const ChunkCodec = require('../shared/chunk-codec');
+const IdentityRegistry = require('./identity');
+const AntiCheat = require('./anti-cheat');
+const RateLimiter = require('./rate-limiter');
+const { SCHEMA_VERSION, migrateWorldRecord } = require('../shared/migrations');
+
+class GameServer {
+    constructor(io, storage) {
+        this.io = io;
+        this.storage = storage;
+        this.worlds = new Map(); // worldId -> World
+        this.sessions = new Map(); // socket.id -> { worldId, playerId, interest, visiblePlayers }
+        this.playerSockets = new Map(); // playerId -> socket.id of the active connection
+        this.identities = new IdentityRegistry();
+        this.antiCheat = new AntiCheat();
+        this.worldCounter = 0;
+        this.timers = [];
+        this.lastTick = Date.now();
+        this.dirtyWorlds = new Set(); // Worlds changed since the last save
+        this.deletedWorlds = new Set();
+        this.flushing = null; // Save in progress
+    }
+
+    async load() {
+        for (const record of await this.storage.loadWorlds()) {
+            const world = World.fromRecord(migrateWorldRecord(record));
+            this.worlds.set(world.id, world);
+            if (record.schemaVersion !== SCHEMA_VERSION) this.markDirty(world);
+
+            const counter = parseInt(world.id.replace(/^world_/, ''), 10);
+            if (counter > this.worldCounter) this.worldCounter = counter;
+        }
+        this.identities.load(await this.storage.loadIdentities());
+
+        console.log(`Loaded ${this.worlds.size} worlds`);
+    }
+
+    start() {
+        this.io.use((socket, next) => this.checkProtocolVersion(socket, next));
+        this.io.on('connection', (socket) => this.handleConnection(socket));
+
+        this.timers.push(setInterval(() => this.simulationTick(), config.tickInterval));
+        this.timers.push(setInterval(() => this.flush(), config.saveInterval));
+        this.timers.push(setInterval(() => this.removeIdleWorlds(), config.idleWorldCheckInterval));
+
+        console.log('Game server started');
+    }
+
+    async stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        await this.flush();
+        await this.storage.close();
+    }
+
+    markDirty(world) {
+        this.dirtyWorlds.add(world.id);
+    }
+
+    // Writes every changed world in one batch. Only one batch runs at a time;
+    // changes made while it runs go into the next one.
+    async flush() {
+        while (this.flushing) await this.flushing;
+        this.flushing = this.writeBatch().finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    async writeBatch() {
+        const records = [];
+        for (const worldId of this.dirtyWorlds) {
+            const world = this.worlds.get(worldId);
+            if (world) records.push({ ...world.toRecord(), schemaVersion: SCHEMA_VERSION });
+        }
+        const deletedIds = [...this.deletedWorlds];
+        const identitiesChanged = this.identities.changed;
+
+        this.dirtyWorlds.clear();
+        this.deletedWorlds.clear();
+        this.identities.changed = false;
+
+        try {
+            if (records.length > 0) await this.storage.saveWorlds(records);
+            if (deletedIds.length > 0) await this.storage.deleteWorlds(deletedIds);
+            if (identitiesChanged) await this.storage.saveIdentities(this.identities.toRecords());
+        } catch (error) {
+            // Keep everything marked so the next batch retries it
+            console.error('Failed to save worlds:', error);
+            records.forEach(record => {
+                if (this.worlds.has(record.id)) this.dirtyWorlds.add(record.id);
+            });
+            deletedIds.forEach(worldId => this.deletedWorlds.add(worldId));
+            if (identitiesChanged) this.identities.changed = true;
+        }
+    }
+
+    checkProtocolVersion(socket, next) {
+        // Clients announce their protocol version in the handshake auth payload
+        const { protocolVersion } = socket.handshake.auth || {};
+        if (Protocol.isCompatible(protocolVersion)) {
+            next();
+            return;
+        }
+
+        console.warn(`Refused ${socket.id}: protocol version ${protocolVersion}`);
+        const error = new Error('Incompatible game version - please refresh');
+        error.data = {
+            code: 'protocol_mismatch',
+            protocolVersion: Protocol.VERSION,
+            minProtocolVersion: Protocol.MIN_VERSION
+        };
+        next(error);
+    }
+
+    handleConnection(socket) {
+        console.log(`Player connected: ${socket.id}`);
+
+        const limiter = new RateLimiter();
+        const on = (event, handler) => {
+            socket.on(event, (data = {}) => {
+                if (!limiter.take(event)) {
+                    this.handleFlood(socket, limiter, event);
+                    return;
+                }
+
+                // Malformed payloads are dropped instead of reaching the handlers
+                const { valid, errors } = Protocol.validateClientEvent(event, data);
+                if (!valid) {
+                    console.warn(`Ignoring malformed ${event} from ${socket.id}: ${errors.join(', ')}`);
+                    return;
+                }
+
+                // Handlers may be async (joins wait for password checks)
+                Promise.resolve()
+                    .then(() => handler.call(this, socket, data))
+                    .catch(error => {
+                        console.error(`Error handling ${event} from ${socket.id}:`, error);
+                        socket.emit('error', { message: 'Server error' });
+                    });
+            });
+        };
+
+        on('list_worlds', this.handleListWorlds);
+        on('create_world', this.handleCreateWorld);
+        on('join_world', this.handleJoinWorld);
+        on('place_building', this.handlePlaceBuilding);
+        on('send_scout', this.handleSendScout);
+        on('upgrade_building', this.handleUpgradeBuilding);
+        on('demolish_building', this.handleDemolishBuilding);
+        on('relocate_building', this.handleRelocateBuilding);
+        on('set_work_priorities', this.handleSetWorkPriorities);
+        on('update_camera', this.handleUpdateCamera);
+        on('update_interest', this.handleUpdateInterest);
+        on('request_chunks', this.handleRequestChunks);
+        on('save_fog_of_war', this.handleSaveFogOfWar);
+
+        socket.on('disconnect', () => this.handleDisconnect(socket));
+    }
+
+    handleFlood(socket, limiter, event) {
+        if (limiter.recordDrop()) {
+            console.warn(`Disconnecting ${socket.id}: flooding ${event}`);
+            socket.emit('error', { message: 'Disconnected for sending too many requests' });
+            socket.disconnect(true);
+            return;
+        }
+
+        if (limiter.shouldWarn(event)) {
+            socket.emit('error', { message: 'Too many requests - slow down' });
+        }
+    }
+
+    createWorld(options = {}) {
+        const id = `world_${++this.worldCounter}`;
+        const world = new World(id, options);
+        this.worlds.set(id, world);
+        this.markDirty(world);
+        console.log(`Created world ${id} (${world.name})`);
+        return world;
+    }
+
+    findOpenWorld() {
+        for (const world of this.worlds.values()) {
+            if (world.isOpen() && !world.isFull()) {
+                return world;
+            }
+        }
+        return this.createWorld();
+    }
+
+    getSessionWorld(socket) {
+        const session = this.sessions.get(socket.id);
+        if (!session) return null;
+        return this.worlds.get(session.worldId) || null;
+    }
+
+    getSessionPlayerId(socket) {
+        const session = this.sessions.get(socket.id);
+        return session ? session.playerId : null;
+    }
+
+    reject(socket, event, code, actionId) {
+        socket.emit(event, { code, reason: Protocol.REJECTIONS[code], actionId });
+        this.recordViolation(socket, code);
+    }
+
+    recordViolation(socket, code) {
+        const playerId = this.getSessionPlayerId(socket);
+        const outcome = this.antiCheat.record(playerId, code);
+
+        if (outcome === 'flag') {
+            console.warn(`Flagged ${playerId} for repeated suspicious requests (last: ${code})`);
+        } else if (outcome === 'disconnect') {
+            console.warn(`Disconnecting ${playerId}: still sending suspicious requests (last: ${code})`);
+            socket.emit('error', { message: 'Disconnected for sending invalid requests' });
+            socket.disconnect(true);
+        }
+    }
+
+    getActionId(data) {
+        // Clients tag actions so queued ones can be matched to their result
+        return typeof data.actionId === 'string' ? data.actionId.slice(0, 64) : undefined;
+    }
+
+    getPlayerSession(playerId) {
+        const socketId = this.playerSockets.get(playerId);
+        return socketId ? this.sessions.get(socketId) || null : null;
+    }
+
+    playerRoom(playerId) {
+        // Every connection of a player joins this room, so emits survive reconnects
+        return `player:${playerId}`;
+    }
+
+    handleListWorlds(socket) {
+        // Private worlds are only reachable through their invite code
+        const worlds = Array.from(this.worlds.values())
+            .filter(world => !world.isPrivate)
+            .map(world => world.getLobbyInfo());
+
+        socket.emit('worlds_list', { worlds });
+    }
+
+    async handleCreateWorld(socket, data) {
+        const { name, isPrivate, password, playerName } = data;
+
+        const worldName = typeof name === 'string' && name.trim()
+            ? name.trim().slice(0, 40)
+            : `World ${this.worldCounter + 1}`;
+
+        const world = this.createWorld({
+            name: worldName,
+            isPrivate: Boolean(isPrivate),
+            createdByPlayer: true,
+            passwordHash: typeof password === 'string' && password ? await World.hashPassword(password.slice(0, 64)) : null
+        });
+
+        socket.emit('world_created', {
+            worldId: world.id,
+            name: world.name,
+            inviteCode: world.inviteCode
+        });
+
+        await this.handleJoinWorld(socket, {
+            ...data,
+            worldId: world.id,
+            inviteCode: world.inviteCode
+        });
+    }
+
+    findWorldByInviteCode(inviteCode) {
+        for (const world of this.worlds.values()) {
+            if (world.inviteCode === inviteCode) {
+                return world;
+            }
+        }
+        return null;
+    }
+
+    async handleJoinWorld(socket, data) {
+        const { worldId, playerName, password, sessionToken } = data;
+        const inviteCode = typeof data.inviteCode === 'string' ? data.inviteCode.trim().toUpperCase() : null;
+
+        let world;
+        if (worldId) {
+            world = this.worlds.get(worldId);
+        } else if (inviteCode) {
+            world = this.findWorldByInviteCode(inviteCode);
+        } else {
+            world = this.findOpenWorld();
+        }
+
+        if (!world) {
+            socket.emit('world_join_rejected', { worldId, reason: 'World not found' });
+            return;
+        }
+        // Resume the presented identity; a new one is only issued once the join succeeds
+        let identity = this.identities.verify(data.playerId, sessionToken);
+        if (identity && this.identities.isBanned(identity.playerId)) {
+            socket.emit('world_join_rejected', { worldId: world.id, reason: 'You are banned from this server' });
+            return;
+        }
+        const isReturning = Boolean(identity) && world.players.has(identity.playerId);
+
+        if (!isReturning && !(await world.canJoin({ password, inviteCode }))) {
+            socket.emit('world_join_rejected', {
+                worldId: world.id,
+                reason: world.passwordHash && !world.isPrivate ? 'Wrong password' : 'This world is invite-only'
+            });
+            return;
+        }
+        // The socket may have gone, or the world been deleted, while the password was checked
+        if (!socket.connected || this.worlds.get(world.id) !== world) return;
+        if (!isReturning && world.isFull()) {
+            socket.emit('world_join_rejected', { worldId: world.id, reason: 'World is full' });
+            return;
+        }
+
+        if (!identity) identity = this.identities.issue();
+
+        // Leave any world this socket is already in
+        this.leaveWorld(socket);
+        this.takeOverPlayer(socket, identity.playerId);
+
+        const name = typeof playerName === 'string' && playerName.trim()
+            ? playerName.trim().slice(0, 32)
+            : 'Viking Player';
+
+        const player = world.connectPlayer(identity.playerId, name);
+        this.markDirty(world);
+        const session = {
+            worldId: world.id,
+            playerId: player.id,
+            interest: new Set(), // Chunk keys this socket receives updates for
+            visiblePlayers: new Set() // Other players this socket has been told about
+        };
+        this.sessions.set(socket.id, session);
+        this.playerSockets.set(player.id, socket.id);
+        socket.join(world.id);
+        socket.join(this.playerRoom(player.id));
+
+        // Until the client reports its view, watch the chunks around its saved camera
+        const { camera } = player;
+        const radius = config.interestRadius * config.chunkSize;
+        const visible = this.applyInterest(session, world,
+            world.getChunkKeysInArea(camera.x - radius, camera.y - radius, camera.x + radius, camera.y + radius));
+
+        socket.emit('world_joined', {
+            worldId: world.id,
+            playerId: player.id,
+            sessionToken: identity.sessionToken,
+            playerData: world.getPlayerData(player),
+            worldData: world.getWorldData(visible.enteredBuildings),
+            otherPlayers: visible.enteredPlayers.map(other => world.getPlayerInfo(other))
+        });
+
+        // Everyone hears about the join; only those watching see the player
+        socket.to(world.id).emit('player_joined', {
+            playerId: player.id,
+            playerName: player.name
+        });
+        this.updatePlayerVisibility(world, player);
+
+        console.log(`${player.name} (${player.id}) ${isReturning ? 'rejoined' : 'joined'} ${world.id}`);
+    }
+
+    takeOverPlayer(socket, playerId) {
+        // A player can only be connected once; the newest connection wins
+        const previousSocketId = this.playerSockets.get(playerId);
+        if (!previousSocketId || previousSocketId === socket.id) return;
+
+        const previousSocket = this.io.sockets.sockets.get(previousSocketId);
+        if (previousSocket) {
+            previousSocket.emit('error', { message: 'Signed in from another device' });
+            this.leaveWorld(previousSocket);
+            previousSocket.disconnect(true);
+        }
+    }
+
+    handlePlaceBuilding(socket, data) {
+        const world = this.getSessionWorld(socket);
+        const actionId = this.getActionId(data);
+        if (!world) {
+            this.reject(socket, 'building_rejected', 'not_in_world', actionId);
+            return;
+        }
+
+        const playerId = this.getSessionPlayerId(socket);
+        const { buildingType, x, y } = data;
+        const result = world.placeBuilding(playerId, buildingType, x, y);
+
+        if (result.error) {
+            this.reject(socket, 'building_rejected', result.error, actionId);
+            return;
+        }
+        this.markDirty(world);
+
+        // The owner always hears back; everyone else only if they watch that chunk
+        const recipients = this.getWatcherSockets(world, world.getChunkKeyAt(result.building.x, result.building.y));
+        recipients.add(socket.id);
+
+        this.io.to([...recipients]).emit('building_placed', {
+            playerId,
+            building: result.building,
+            playerResources: result.player.resources,
+            actionId
+        });
+    }
+
+    handleSendScout(socket, data) {
+        const world = this.getSessionWorld(socket);
+        const actionId = this.getActionId(data);
+        if (!world) {
+            this.reject(socket, 'scout_rejected', 'not_in_world', actionId);
+            return;
+        }
+
+        const playerId = this.getSessionPlayerId(socket);
+        const { targetX, targetY } = data;
+        const result = world.sendScout(playerId, targetX, targetY);
+
+        if (result.error) {
+            this.reject(socket, 'scout_rejected', result.error, actionId);
+            return;
+        }
+        this.markDirty(world);
+
+        socket.emit('scout_sent', {
+            playerId,
+            scout: result.scout,
+            actionId
+        });
+    }
+
+    handleUpgradeBuilding(socket, data) {
+        const world = this.getSessionWorld(socket);
+        const actionId = this.getActionId(data);
+        if (!world) {
+            this.reject(socket, 'upgrade_rejected', 'not_in_world', actionId);
+            return;
+        }
+
+        const playerId = this.getSessionPlayerId(socket);
+        const result = world.upgradeBuilding(playerId, data.buildingId);
+
+        if (result.error) {
+            this.reject(socket, 'upgrade_rejected', result.error, actionId);
+            return;
+        }
+        this.markDirty(world);
+
+        // Watchers see the new level badge
+        const recipients = this.getWatcherSockets(world, world.getChunkKeyAt(result.building.x, result.building.y));
+        recipients.add(socket.id);
+
+        this.io.to([...recipients]).emit('building_upgraded', {
+            playerId,
+            building: result.building,
+            playerResources: result.player.resources,
+            actionId
+        });
+    }
+
+    handleDemolishBuilding(socket, data) {
+        const world = this.getSessionWorld(socket);
+        const actionId = this.getActionId(data);
+        if (!world) {
+            this.reject(socket, 'demolish_rejected', 'not_in_world', actionId);
+            return;
+        }
+
+        const playerId = this.getSessionPlayerId(socket);
+        const result = world.demolishBuilding(playerId, data.buildingId);
+
+        if (result.error) {
+            this.reject(socket, 'demolish_rejected', result.error, actionId);
+            return;
+        }
+        this.markDirty(world);
+
+        const recipients = this.getWatcherSockets(world, world.getChunkKeyAt(result.building.x, result.building.y));
+        recipients.add(socket.id);
+
+        this.io.to([...recipients]).emit('building_demolished', {
+            playerId,
+            buildingId: result.building.id,
+            playerResources: result.player.resources,
+            actionId
+        });
+    }
+
+    handleRelocateBuilding(socket, data) {
+        const world = this.getSessionWorld(socket);
+        const actionId = this.getActionId(data);
+        if (!world) {
+            this.reject(socket, 'relocate_rejected', 'not_in_world', actionId);
+            return;
+        }
+
+        const playerId = this.getSessionPlayerId(socket);
+        const { buildingId, x, y } = data;
+        const result = world.relocateBuilding(playerId, buildingId, x, y);
+
+        if (result.error) {
+            this.reject(socket, 'relocate_rejected', result.error, actionId);
+            return;
+        }
+        this.markDirty(world);
+
+        // Watchers of either end see the move
+        const recipients = new Set([
+            ...this.getWatcherSockets(world, world.getChunkKeyAt(result.from.x, result.from.y)),
+            ...this.getWatcherSockets(world, world.getChunkKeyAt(result.building.x, result.building.y)),
+            socket.id
+        ]);
+
+        this.io.to([...recipients]).emit('building_relocated', {
+            playerId,
+            building: result.building,
+            playerResources: result.player.resources,
+            actionId
+        });
+    }
+
+    handleSetWorkPriorities(socket, data) {
+        const world = this.getSessionWorld(socket);
+        if (!world) return;
+
+        const playerId = this.getSessionPlayerId(socket);
+        const result = world.setWorkPriorities(playerId, data.priorities);
+        if (result.error) return;
+        this.markDirty(world);
+
+        this.io.to(this.playerRoom(playerId)).emit('player_updated', {
+            playerId,
+            workPriorities: result.player.workPriorities
+        });
+    }
+
+    handleUpdateCamera(socket, data) {
+        const world = this.getSessionWorld(socket);
+        if (!world) return;
+
+        const player = world.players.get(this.getSessionPlayerId(socket));
+        if (!player) return;
+
+        const { camera } = data;
+        if (!world.isInBounds(camera.x, camera.y)) {
+            this.recordViolation(socket, 'invalid_camera');
+            return;
+        }
+
+        player.camera = {
+            x: camera.x,
+            y: camera.y,
+            scale: Number.isFinite(camera.scale) ? Math.max(0.1, Math.min(5, camera.scale)) : 1
+        };
+        this.markDirty(world);
+
+        this.updatePlayerVisibility(world, player);
+    }
+
+    handleUpdateInterest(socket, data) {
+        const world = this.getSessionWorld(socket);
+        if (!world) return;
+
+        const { left, top, right, bottom } = data.area;
+        if (right < left || bottom < top || !world.isInBounds(left, top) || !world.isInBounds(right, bottom)) {
+            this.recordViolation(socket, 'invalid_area');
+            return;
+        }
+
+        // Oversized views are cut down to the default radius around their centre,
+        // sized up front so a huge area never gets enumerated
+        const chunksWide = Math.floor(right / config.chunkSize) - Math.floor(left / config.chunkSize) + 1;
+        const chunksHigh = Math.floor(bottom / config.chunkSize) - Math.floor(top / config.chunkSize) + 1;
+        let chunkKeys;
+        if (chunksWide * chunksHigh > config.maxInterestChunks) {
+            const centerX = (left + right) / 2;
+            const centerY = (top + bottom) / 2;
+            const radius = config.interestRadius * config.chunkSize;
+            chunkKeys = world.getChunkKeysInArea(centerX - radius, centerY - radius, centerX + radius, centerY + radius);
+        } else {
+            chunkKeys = world.getChunkKeysInArea(left, top, right, bottom);
+        }
+
+        const changes = this.applyInterest(this.sessions.get(socket.id), world, chunkKeys);
+
+        if (changes.enteredBuildings.length > 0 || changes.enteredPlayers.length > 0) {
+            socket.emit('entities_entered', {
+                buildings: changes.enteredBuildings,
+                players: changes.enteredPlayers.map(player => world.getPlayerInfo(player))
+            });
+        }
+        if (changes.leftBuildingIds.length > 0 || changes.leftPlayerIds.length > 0) {
+            socket.emit('entities_left', {
+                buildingIds: changes.leftBuildingIds,
+                playerIds: changes.leftPlayerIds
+            });
+        }
+    }
+
+    // Swaps a session's watched chunks and reports which buildings and
+    // players came into or went out of view
+    applyInterest(session, world, chunkKeys) {
+        const enteredChunks = [...chunkKeys].filter(key => !session.interest.has(key));
+        const leftChunks = [...session.interest].filter(key => !chunkKeys.has(key));
+        session.interest = chunkKeys;
+
+        const enteredPlayers = [];
+        const leftPlayerIds = [];
+        for (const other of world.getOtherPlayers(session.playerId)) {
+            const inView = chunkKeys.has(world.getChunkKeyAt(other.camera.x, other.camera.y));
+            if (inView && !session.visiblePlayers.has(other.id)) {
+                session.visiblePlayers.add(other.id);
+                enteredPlayers.push(other);
+            } else if (!inView && session.visiblePlayers.delete(other.id)) {
+                leftPlayerIds.push(other.id);
+            }
+        }
+
+        return {
+            enteredBuildings: world.getBuildingsInChunks(enteredChunks),
+            leftBuildingIds: world.getBuildingsInChunks(leftChunks).map(building => building.id),
+            enteredPlayers,
+            leftPlayerIds
+        };
+    }
+
+    getWatcherSockets(world, chunkKey) {
+        const socketIds = new Set();
+        for (const player of world.getOnlinePlayers()) {
+            const session = this.getPlayerSession(player.id);
+            if (session && session.interest.has(chunkKey)) {
+                socketIds.add(this.playerSockets.get(player.id));
+            }
+        }
+        return socketIds;
+    }
+
+    // Tells every other player whether this one entered, moved within or left their view
+    updatePlayerVisibility(world, player) {
+        const chunkKey = world.getChunkKeyAt(player.camera.x, player.camera.y);
+
+        for (const other of world.getOtherPlayers(player.id)) {
+            const session = this.getPlayerSession(other.id);
+            if (!session) continue;
+
+            const socketId = this.playerSockets.get(other.id);
+            const inView = session.interest.has(chunkKey);
+            const wasVisible = session.visiblePlayers.has(player.id);
+
+            if (inView && !wasVisible) {
+                session.visiblePlayers.add(player.id);
+                this.io.to(socketId).emit('entities_entered', {
+                    buildings: [],
+                    players: [world.getPlayerInfo(player)]
+                });
+            } else if (inView) {
+                this.io.to(socketId).emit('player_camera_updated', {
+                    playerId: player.id,
+                    camera: player.camera
+                });
+            } else if (wasVisible) {
+                session.visiblePlayers.delete(player.id);
+                this.io.to(socketId).emit('entities_left', { buildingIds: [], playerIds: [player.id] });
+            }
+        }
+    }
+
+    handleRequestChunks(socket, data) {
+        const world = this.getSessionWorld(socket);
+        if (!world) return;
+
+        const { chunkCoords } = data;
+        if (!Array.isArray(chunkCoords)) return;
+
+        const chunks = chunkCoords
+            .slice(0, config.maxChunksPerRequest)
+            .filter(coord => coord && Number.isInteger(coord.x) && Number.isInteger(coord.y))
+            .map(({ x, y }) => ({
+                chunkKey: world.getChunkKey(x, y),
+                data: ChunkCodec.encode(world.generateChunk(x, y))
+            }));
+
+        // Each chunk is a binary attachment, so large requests go out in several messages
+        for (let i = 0; i < chunks.length; i += config.maxChunksPerMessage) {
+            socket.emit('chunks_data', { chunks: chunks.slice(i, i + config.maxChunksPerMessage) });
+        }
+    }
+
+    handleSaveFogOfWar(socket, data) {
+        const world = this.getSessionWorld(socket);
+        if (!world) return;
+
+        const player = world.players.get(this.getSessionPlayerId(socket));
+        if (!player) return;
+
+        // Diffs are OR-merged, so repeated or out-of-order updates are harmless
+        Object.entries(data.exploredChunks)
+            .slice(0, config.maxFogChunksPerUpdate)
+            .forEach(([chunkKey, encoded]) => player.explored.mergeChunk(chunkKey, encoded));
+        this.markDirty(world);
+    }
+
+    handleDisconnect(socket) {
+        console.log(`Player disconnected: ${socket.id}`);
+        this.leaveWorld(socket);
+    }
+
+    leaveWorld(socket) {
+        const world = this.getSessionWorld(socket);
+        const playerId = this.getSessionPlayerId(socket);
+        this.sessions.delete(socket.id);
+        if (!world) return;
+
+        // Settlement, scouts and fog stay in the world for when the player returns
+        world.disconnectPlayer(playerId);
+        this.markDirty(world);
+        if (this.playerSockets.get(playerId) === socket.id) {
+            this.playerSockets.delete(playerId);
+        }
+        socket.leave(world.id);
+        socket.leave(this.playerRoom(playerId));
+        this.io.to(world.id).emit('player_left', { playerId });
+
+        for (const other of world.getOnlinePlayers()) {
+            const session = this.getPlayerSession(other.id);
+            if (session) session.visiblePlayers.delete(playerId);
+        }
+    }
+
+    // Departed players keep their settlement, scouts and fog, so worlds are
+    // only dropped once idle (see World#isIdle)
+    removeIdleWorlds(now = Date.now()) {
+        for (const world of this.worlds.values()) {
+            if (!world.isIdle(now)) continue;
+
+            this.removeWorld(world.id);
+            console.log(`Removed idle world ${world.id}`);
+        }
+    }
+
+    removeWorld(worldId) {
+        this.worlds.delete(worldId);
+        this.dirtyWorlds.delete(worldId);
+        this.deletedWorlds.add(worldId);
+    }
+
+    // Operator actions, driven by the admin console
+
+    findPlayer(playerId) {
+        for (const world of this.worlds.values()) {
+            const player = world.players.get(playerId);
+            if (player) return { world, player };
+        }
+        return null;
+    }
+
+    // Removes a connected player; their client stops reconnecting on its own
+    kickPlayer(playerId, reason) {
+        const socket = this.io.sockets.sockets.get(this.playerSockets.get(playerId));
+        if (!socket) return false;
+
+        socket.emit('kicked', { reason });
+        this.leaveWorld(socket);
+        socket.disconnect(true);
+        return true;
+    }
+
+    banPlayer(playerId, reason) {
+        if (!this.identities.setBanned(playerId, true, reason)) return false;
+        this.kickPlayer(playerId, reason ? `You have been banned: ${reason}` : 'You have been banned');
+        return true;
+    }
+
+    unbanPlayer(playerId) {
+        return this.identities.setBanned(playerId, false);
+    }
+
+    broadcast(message) {
+        this.io.emit('server_message', { message });
+    }
+
+    grantResources(playerId, resource, amount) {
+        const found = this.findPlayer(playerId);
+        if (!found) return null;
+
+        const { world, player } = found;
+        player.resources[resource] = Math.max(0, player.resources[resource] + amount);
+        this.markDirty(world);
+
+        this.io.to(this.playerRoom(playerId)).emit('player_updated', {
+            playerId,
+            resources: player.resources
+        });
+        return player.resources;
+    }
+
+    kickWorldPlayers(world, reason) {
+        world.getOnlinePlayers().forEach(player => this.kickPlayer(player.id, reason));
+    }
+
+    resetWorld(worldId) {
+        const world = this.worlds.get(worldId);
+        if (!world) return false;
+
+        this.kickWorldPlayers(world, 'This world was reset by an administrator');
+        world.reset();
+        this.markDirty(world);
+        return true;
+    }
+
+    deleteWorld(worldId) {
+        const world = this.worlds.get(worldId);
+        if (!world) return false;
+
+        this.kickWorldPlayers(world, 'This world was deleted by an administrator');
+        this.removeWorld(worldId);
+        return true;
+    }
+
+    simulationTick() {
+        const now = Date.now();
+        const deltaMs = now - this.lastTick;
+        this.lastTick = now;
+
+        for (const world of this.worlds.values()) {
+            const { arrivals, movedPlayers, producedPlayers } = world.tick(deltaMs);
+            if (movedPlayers.size > 0 || producedPlayers.length > 0) this.markDirty(world);
+
+            for (const player of producedPlayers) {
+                this.io.to(this.playerRoom(player.id)).emit('player_updated', {
+                    playerId: player.id,
+                    resources: player.resources,
+                    population: player.population,
+                    starving: player.starving
+                });
+            }
+
+            for (const playerId of movedPlayers) {
+                const player = world.players.get(playerId);
+                this.io.to(this.playerRoom(playerId)).emit('player_updated', {
+                    playerId,
+                    scouts: player.scouts
+                });
+            }
+
+            arrivals.forEach(({ playerId, scout }) => {
+                this.io.to(this.playerRoom(playerId)).emit('area_explored', {
+                    scoutId: scout.id,
+                    x: scout.x,
+                    y: scout.y,
+                    range: scout.range
+                });
+            });
+        }
+    }
+}
+
+module.exports = GameServer;
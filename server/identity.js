@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Issues stable player IDs and resumable session tokens. Only token hashes
+// are kept so a leaked store can't be used to impersonate players.
+class IdentityRegistry {
+    constructor() {
+        this.identities = new Map(); // playerId -> { tokenHash, createdAt, bannedAt?, banReason? }
+        this.changed = false; // Identities issued since the last save
+    }
+
+    load(records) {
+        records.forEach(({ playerId, ...identity }) => {
+            this.identities.set(playerId, identity);
+        });
+    }
+
+    toRecords() {
+        return Array.from(this.identities, ([playerId, identity]) => ({ playerId, ...identity }));
+    }
+
+    // Returns the identity the client presented, or null when it has none or
+    // its token doesn't match. Callers issue a new one once the join succeeds.
+    verify(playerId, sessionToken) {
+        if (typeof playerId === 'string' && typeof sessionToken === 'string') {
+            const identity = this.identities.get(playerId);
+            if (identity && this.tokenMatches(identity.tokenHash, sessionToken)) {
+                return { playerId, sessionToken, isNew: false };
+            }
+        }
+        return null;
+    }
+
+    issue() {
+        const playerId = `player_${crypto.randomUUID()}`;
+        const sessionToken = crypto.randomBytes(32).toString('hex');
+
+        this.identities.set(playerId, {
+            tokenHash: IdentityRegistry.hashToken(sessionToken),
+            createdAt: Date.now()
+        });
+        this.changed = true;
+
+        return { playerId, sessionToken, isNew: true };
+    }
+
+    isBanned(playerId) {
+        const identity = this.identities.get(playerId);
+        return Boolean(identity && identity.bannedAt);
+    }
+
+    // Returns false for unknown players
+    setBanned(playerId, banned, reason = null) {
+        const identity = this.identities.get(playerId);
+        if (!identity) return false;
+
+        if (banned) {
+            identity.bannedAt = Date.now();
+            identity.banReason = reason;
+        } else {
+            delete identity.bannedAt;
+            delete identity.banReason;
+        }
+        this.changed = true;
+        return true;
+    }
+
+    tokenMatches(tokenHash, sessionToken) {
+        const expected = Buffer.from(tokenHash, 'hex');
+        const actual = Buffer.from(IdentityRegistry.hashToken(sessionToken), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    static hashToken(sessionToken) {
+        return crypto.createHash('sha256').update(sessionToken).digest('hex');
+    }
+}
+
+module.exports = IdentityRegistry;
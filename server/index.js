@@ -0,0 +1,46 @@
+const http = require('http');
+const { Server } = require('socket.io');
+const config = require('./config');
+const GameServer = require('./game-server');
+const { createStorage } = require('./storage');
+const AdminConsole = require('./admin-console');
+const serveStatic = require('./static-files');
+
+const httpServer = http.createServer(serveStatic);
+const io = new Server(httpServer, {
+    cors: { origin: config.corsOrigin }
+});
+
+async function main() {
+    const storage = createStorage(config.storage);
+    await storage.open();
+
+    const gameServer = new GameServer(io, storage);
+    await gameServer.load();
+    gameServer.start();
+
+    httpServer.listen(config.port, () => {
+        console.log(`Viking Settlement Tycoon server listening on http://localhost:${config.port}`);
+    });
+
+    // Write out pending changes before exiting
+    let adminConsole = null;
+    const shutdown = async () => {
+        if (adminConsole) adminConsole.stop();
+        await gameServer.stop();
+        io.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    if (config.adminConsole) {
+        adminConsole = new AdminConsole(gameServer, { onShutdown: shutdown });
+        adminConsole.start();
+    }
+}
+
+main().catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+});
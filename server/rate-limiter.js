@@ -0,0 +1,50 @@
+const config = require('./config');
+
+// Per-socket token buckets, one per event type. Each bucket holds up to
+// `burst` tokens and refills at `rate` tokens per second.
+class RateLimiter {
+    constructor(limits = config.rateLimits) {
+        this.limits = limits;
+        this.buckets = new Map(); // event -> { tokens, lastRefill, warned }
+        this.drops = []; // Timestamps of recently dropped events
+    }
+
+    // Takes a token for the event; false means the event should be dropped
+    take(event) {
+        const limit = this.limits[event] || this.limits.default;
+        const now = Date.now();
+
+        let bucket = this.buckets.get(event);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, lastRefill: now, warned: false };
+            this.buckets.set(event, bucket);
+        }
+
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.lastRefill) / 1000 * limit.rate);
+        bucket.lastRefill = now;
+
+        if (bucket.tokens < 1) return false;
+
+        bucket.tokens -= 1;
+        bucket.warned = false;
+        return true;
+    }
+
+    // True the first time an event is dropped since its bucket last let one through
+    shouldWarn(event) {
+        const bucket = this.buckets.get(event);
+        if (!bucket || bucket.warned) return false;
+        bucket.warned = true;
+        return true;
+    }
+
+    // Records a dropped event; true once the connection counts as abusive
+    recordDrop() {
+        const now = Date.now();
+        this.drops = this.drops.filter(time => now - time < config.floodWindow);
+        this.drops.push(now);
+        return this.drops.length >= config.floodThreshold;
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Everything a browser needs to play; nothing else in the repo is served
+const CLIENT_FILES = new Set([
+    'landing.html', 'landing.css', 'landing.js',
+    'index.html', 'styles.css', 'game.js',
+    'android-index.html', 'android-styles.css', 'android.js',
+    'server-profiles.js', 'config.json'
+]);
+const CLIENT_DIRS = ['shared'];
+
+function isClientFile(relativePath) {
+    if (CLIENT_FILES.has(relativePath)) return true;
+    const [dir, file, ...rest] = relativePath.split('/');
+    return CLIENT_DIRS.includes(dir) && Boolean(file) && rest.length === 0 && file.endsWith('.js');
+}
+
+// Serve the game clients so a local server is all that's needed to play
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Malformed escapes like %E0%A4%A
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const relativePath = urlPath === '/' ? 'landing.html' : urlPath.replace(/^\/+/, '');
+    if (!isClientFile(relativePath)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    const filePath = path.join(config.staticRoot, relativePath);
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        res.end(content);
+    });
+}
+
+module.exports = serveStatic;
@@ -0,0 +1,75 @@
+const fs = require('fs/promises');
+const path = require('path');
+const Storage = require('./storage');
+
+const WORLD_ID_PATTERN = /^[\w-]+$/;
+
+// Stores each world as a JSON file under <dataDir>/worlds, plus one file of
+// identities. Files are written under a temporary name and renamed into
+// place, so a crash mid-write never leaves a truncated world behind.
+class FileStorage extends Storage {
+    constructor({ dataDir }) {
+        super();
+        this.dataDir = dataDir;
+        this.worldsDir = path.join(dataDir, 'worlds');
+        this.identitiesPath = path.join(dataDir, 'identities.json');
+    }
+
+    async open() {
+        await fs.mkdir(this.worldsDir, { recursive: true });
+    }
+
+    async loadWorlds() {
+        const records = [];
+        for (const file of await fs.readdir(this.worldsDir)) {
+            if (!file.endsWith('.json')) continue;
+
+            try {
+                records.push(await this.readJson(path.join(this.worldsDir, file)));
+            } catch (error) {
+                console.error(`Skipping unreadable world file ${file}:`, error.message);
+            }
+        }
+        return records;
+    }
+
+    async saveWorlds(records) {
+        await Promise.all(records.map(record => this.writeJson(this.worldPath(record.id), record)));
+    }
+
+    async deleteWorlds(worldIds) {
+        await Promise.all(worldIds.map(worldId => fs.rm(this.worldPath(worldId), { force: true })));
+    }
+
+    async loadIdentities() {
+        try {
+            return await this.readJson(this.identitiesPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async saveIdentities(records) {
+        await this.writeJson(this.identitiesPath, records);
+    }
+
+    worldPath(worldId) {
+        if (!WORLD_ID_PATTERN.test(worldId)) {
+            throw new Error(`Invalid world id ${worldId}`);
+        }
+        return path.join(this.worldsDir, `${worldId}.json`);
+    }
+
+    async readJson(filePath) {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    }
+
+    async writeJson(filePath, value) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(value));
+        await fs.rename(tempPath, filePath);
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,18 @@
+const FileStorage = require('./file-storage');
+const MemoryStorage = require('./memory-storage');
+
+// Backends selectable through config.storage.backend
+const BACKENDS = {
+    file: FileStorage,
+    memory: MemoryStorage
+};
+
+function createStorage(options) {
+    const Backend = BACKENDS[options.backend];
+    if (!Backend) {
+        throw new Error(`Unknown storage backend "${options.backend}"`);
+    }
+    return new Backend(options);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,32 @@
+const Storage = require('./storage');
+
+// Keeps records in memory only; everything is lost on restart
+class MemoryStorage extends Storage {
+    constructor() {
+        super();
+        this.worlds = new Map(); // worldId -> record
+        this.identities = [];
+    }
+
+    async loadWorlds() {
+        return Array.from(this.worlds.values());
+    }
+
+    async saveWorlds(records) {
+        records.forEach(record => this.worlds.set(record.id, record));
+    }
+
+    async deleteWorlds(worldIds) {
+        worldIds.forEach(worldId => this.worlds.delete(worldId));
+    }
+
+    async loadIdentities() {
+        return this.identities;
+    }
+
+    async saveIdentities(records) {
+        this.identities = records;
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,34 @@
+// Interface for storage backends. Records are plain JSON-safe objects built by
+// World#toRecord and IdentityRegistry#toRecords; a backend only has to keep
+// them and hand them back. Every method returns a promise.
+class Storage {
+    // Prepare the backend (create directories, open connections)
+    async open() {}
+
+    async close() {}
+
+    // Every stored world record, in any order
+    async loadWorlds() {
+        throw new Error(`${this.constructor.name} does not implement loadWorlds`);
+    }
+
+    // Insert or replace a batch of world records, keyed by record.id
+    async saveWorlds(records) {
+        throw new Error(`${this.constructor.name} does not implement saveWorlds`);
+    }
+
+    async deleteWorlds(worldIds) {
+        throw new Error(`${this.constructor.name} does not implement deleteWorlds`);
+    }
+
+    async loadIdentities() {
+        throw new Error(`${this.constructor.name} does not implement loadIdentities`);
+    }
+
+    // Replace the full list of identity records
+    async saveIdentities(records) {
+        throw new Error(`${this.constructor.name} does not implement saveIdentities`);
+    }
+}
+
+module.exports = Storage;
@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('./config');
+const ExploredMap = require('../shared/explored-map');
+const Simulation = require('../shared/simulation');
+const WorldGen = require('../shared/world-gen');
+const WorldGrid = require('../shared/world-grid');
+
+const scrypt = promisify(crypto.scrypt);
+
+class World {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+        this.seed = options.seed !== undefined ? WorldGen.normalizeSeed(options.seed) : WorldGen.randomSeed();
+        this.createdAt = Date.now();
+        this.isPrivate = Boolean(options.isPrivate);
+        this.createdByPlayer = Boolean(options.createdByPlayer); // Made through create_world rather than matchmaking
+        this.passwordHash = options.passwordHash || null; // From World.hashPassword
+        this.inviteCode = World.generateInviteCode();
+        this.players = new Map(); // playerId -> player state
+        this.buildings = []; // Buildings of every player in this world
+        this.buildingsByChunk = new Map(); // chunkKey -> buildings whose origin lies in that chunk
+        this.buildingCounter = 0; // Buildings ever placed, numbering their ids
+        this.productionElapsed = 0; // Time since the last production cycle
+    }
+
+    connectPlayer(playerId, playerName) {
+        // Returning players reclaim their settlement, new ones get a fresh start
+        const existing = this.players.get(playerId);
+        if (existing) {
+            existing.name = playerName;
+            existing.online = true;
+            return existing;
+        }
+
+        const player = { ...Simulation.createPlayer(playerId, playerName), online: true };
+        this.players.set(playerId, player);
+        return player;
+    }
+
+    disconnectPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (player) {
+            player.online = false;
+            player.lastSeen = Date.now();
+        }
+    }
+
+    removePlayer(playerId) {
+        this.players.delete(playerId);
+    }
+
+    getOnlineCount() {
+        let count = 0;
+        for (const player of this.players.values()) {
+            if (player.online) count++;
+        }
+        return count;
+    }
+
+    // When someone last played here: now while anyone is online, otherwise
+    // when the last player left (or the world was created)
+    getLastActivity(now = Date.now()) {
+        let last = this.createdAt;
+        for (const player of this.players.values()) {
+            if (player.online) return now;
+            if (player.lastSeen > last) last = player.lastSeen;
+        }
+        return last;
+    }
+
+    // Matchmaking worlds without buildings that nobody has played in for a
+    // while; worlds made through create_world are never idle
+    isIdle(now = Date.now()) {
+        return !this.createdByPlayer && this.buildings.length === 0 &&
+            now - this.getLastActivity(now) >= config.idleWorldExpiry;
+    }
+
+    isFull() {
+        return this.getOnlineCount() >= config.maxPlayersPerWorld;
+    }
+
+    isOpen() {
+        // Open worlds can be joined without a password or invite code
+        return !this.isPrivate && !this.passwordHash;
+    }
+
+    // Async because checking a password runs scrypt off the event loop
+    async canJoin({ password, inviteCode } = {}) {
+        if (inviteCode && inviteCode === this.inviteCode) return true;
+        if (this.isPrivate) return false;
+        if (this.passwordHash) {
+            if (typeof password !== 'string' || !(await World.passwordMatches(this.passwordHash, password))) return false;
+            // Salt hashes left over from before scrypt now that the password is known
+            if (!this.passwordHash.startsWith('scrypt:')) this.passwordHash = await World.hashPassword(password);
+        }
+        return true;
+    }
+
+    getLobbyInfo() {
+        return {
+            id: this.id,
+            name: this.name,
+            seed: this.seed,
+            createdAt: this.createdAt,
+            playerCount: this.getOnlineCount(),
+            maxPlayers: config.maxPlayersPerWorld,
+            locked: Boolean(this.passwordHash)
+        };
+    }
+
+    // Stored as "scrypt:<salt>:<key>" in hex
+    static async hashPassword(password, salt = crypto.randomBytes(16)) {
+        const key = await scrypt(password, salt, 32);
+        return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+    }
+
+    // Also accepts the unsalted "sha256:<hash>" form older worlds were saved with
+    static async passwordMatches(passwordHash, password) {
+        const [scheme, ...parts] = passwordHash.split(':');
+        let expected, actual;
+        if (scheme === 'scrypt' && parts.length === 2) {
+            expected = Buffer.from(parts[1], 'hex');
+            if (expected.length === 0) return false;
+            actual = await scrypt(password, Buffer.from(parts[0], 'hex'), expected.length);
+        } else if (scheme === 'sha256' && parts.length === 1) {
+            expected = Buffer.from(parts[0], 'hex');
+            actual = crypto.createHash('sha256').update(password).digest();
+        } else {
+            return false;
+        }
+        return expected.length > 0 && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    static generateInviteCode() {
+        return crypto.randomBytes(4).toString('hex').toUpperCase();
+    }
+
+    // Plain snapshot for the storage layer; fromRecord reverses it
+    toRecord() {
+        return {
+            id: this.id,
+            name: this.name,
+            seed: this.seed,
+            createdAt: this.createdAt,
+            isPrivate: this.isPrivate,
+            createdByPlayer: this.createdByPlayer,
+            passwordHash: this.passwordHash,
+            inviteCode: this.inviteCode,
+            players: Array.from(this.players.values()).map(player => ({
+                id: player.id,
+                name: player.name,
+                resources: player.resources,
+                population: player.population,
+                workPriorities: player.workPriorities,
+                camera: player.camera,
+                scouts: player.scouts,
+                exploredAreas: player.exploredAreas,
+                fogOfWar: player.explored.serialize(),
+                joinedAt: player.joinedAt,
+                lastSeen: player.lastSeen
+            })),
+            buildings: this.buildings,
+            buildingCounter: this.buildingCounter
+        };
+    }
+
+    static fromRecord(record) {
+        const world = new World(record.id, {
+            name: record.name,
+            seed: record.seed,
+            isPrivate: record.isPrivate,
+            createdByPlayer: record.createdByPlayer
+        });
+        world.createdAt = record.createdAt;
+        world.passwordHash = record.passwordHash;
+        world.inviteCode = record.inviteCode;
+        world.buildingCounter = record.buildingCounter;
+
+        for (const { fogOfWar, ...player } of record.players) {
+            const explored = new ExploredMap();
+            explored.merge(fogOfWar);
+            // Nobody is connected right after a restart
+            world.players.set(player.id, { ...player, online: false, explored });
+        }
+        record.buildings.forEach(building => world.addBuilding(building));
+
+        return world;
+    }
+
+    // Wipes every settlement but keeps the world's name, seed and access settings
+    reset() {
+        this.players.clear();
+        this.buildings = [];
+        this.buildingsByChunk.clear();
+    }
+
+    getPlayerData(player) {
+        // Shape expected by handleWorldJoined on both clients
+        return {
+            resources: player.resources,
+            population: player.population,
+            workPriorities: Simulation.normalizeWorkPriorities(player.workPriorities),
+            buildings: this.buildings.filter(b => b.playerId === player.id),
+            scouts: player.scouts,
+            camera: player.camera,
+            explored_areas: player.exploredAreas,
+            fog_of_war: player.explored.serialize()
+        };
+    }
+
+    getWorldData(visibleBuildings) {
+        return {
+            id: this.id,
+            name: this.name,
+            inviteCode: this.inviteCode,
+            seed: this.seed,
+            createdAt: this.createdAt,
+            playerCount: this.getOnlineCount(),
+            chunkSize: config.chunkSize,
+            tileSize: config.tileSize,
+            buildings: visibleBuildings
+        };
+    }
+
+    getOnlinePlayers() {
+        return Array.from(this.players.values()).filter(player => player.online);
+    }
+
+    getOtherPlayers(playerId) {
+        return this.getOnlinePlayers().filter(player => player.id !== playerId);
+    }
+
+    // Failures carry a reason code from Protocol.REJECTIONS
+    placeBuilding(playerId, buildingType, x, y) {
+        const result = Simulation.placeBuilding(this, playerId, buildingType, x, y);
+        if (result.building) this.indexBuilding(result.building);
+        return result;
+    }
+
+    addBuilding(building) {
+        this.buildings.push(building);
+        this.indexBuilding(building);
+    }
+
+    indexBuilding(building) {
+        const chunkKey = this.getChunkKeyAt(building.x, building.y);
+        if (!this.buildingsByChunk.has(chunkKey)) {
+            this.buildingsByChunk.set(chunkKey, []);
+        }
+        this.buildingsByChunk.get(chunkKey).push(building);
+    }
+
+    // `position` is where the building was indexed, if it has since moved
+    unindexBuilding(building, position = building) {
+        const chunkKey = this.getChunkKeyAt(position.x, position.y);
+        const chunkBuildings = this.buildingsByChunk.get(chunkKey);
+        if (!chunkBuildings) return;
+
+        const remaining = chunkBuildings.filter(b => b.id !== building.id);
+        if (remaining.length > 0) {
+            this.buildingsByChunk.set(chunkKey, remaining);
+        } else {
+            this.buildingsByChunk.delete(chunkKey);
+        }
+    }
+
+    getBuildingsInChunks(chunkKeys) {
+        const buildings = [];
+        for (const chunkKey of chunkKeys) {
+            const chunkBuildings = this.buildingsByChunk.get(chunkKey);
+            if (chunkBuildings) buildings.push(...chunkBuildings);
+        }
+        return buildings;
+    }
+
+    getPlayerInfo(player) {
+        return {
+            player_id: player.id,
+            player_name: player.name,
+            camera: player.camera
+        };
+    }
+
+    upgradeBuilding(playerId, buildingId) {
+        return Simulation.upgradeBuilding(this, playerId, buildingId);
+    }
+
+    demolishBuilding(playerId, buildingId) {
+        const result = Simulation.demolishBuilding(this, playerId, buildingId);
+        if (result.building) this.unindexBuilding(result.building);
+        return result;
+    }
+
+    relocateBuilding(playerId, buildingId, x, y) {
+        const result = Simulation.relocateBuilding(this, playerId, buildingId, x, y);
+        if (result.building) {
+            this.unindexBuilding(result.building, result.from);
+            this.indexBuilding(result.building);
+        }
+        return result;
+    }
+
+    setWorkPriorities(playerId, priorities) {
+        return Simulation.setWorkPriorities(this, playerId, priorities);
+    }
+
+    isInBounds(x, y) {
+        return Simulation.isInBounds(x, y);
+    }
+
+    sendScout(playerId, targetX, targetY) {
+        return Simulation.sendScout(this, playerId, targetX, targetY);
+    }
+
+    // Moves scouts and runs production when it's due; see Simulation.tick
+    tick(deltaMs) {
+        return Simulation.tick(this, deltaMs);
+    }
+
+    getChunkKey(chunkX, chunkY) {
+        return WorldGrid.getChunkKey(chunkX, chunkY);
+    }
+
+    getChunkKeyAt(worldX, worldY) {
+        return WorldGrid.getChunkKeyAt(worldX, worldY);
+    }
+
+    getChunkKeysInArea(left, top, right, bottom) {
+        const keys = new Set();
+        const minX = Math.floor(left / config.chunkSize);
+        const minY = Math.floor(top / config.chunkSize);
+        const maxX = Math.floor(right / config.chunkSize);
+        const maxY = Math.floor(bottom / config.chunkSize);
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                keys.add(this.getChunkKey(x, y));
+            }
+        }
+        return keys;
+    }
+
+    generateChunk(chunkX, chunkY) {
+        const { chunkSize, tileSize } = config;
+        return {
+            x: chunkX,
+            y: chunkY,
+            worldX: chunkX * chunkSize,
+            worldY: chunkY * chunkSize,
+            tileSize,
+            tiles: WorldGen.generateChunkTiles(this.seed, chunkX, chunkY, chunkSize, tileSize),
+            generated: true
+        };
+    }
+}
+
+module.exports = World;
@@ -0,0 +1,228 @@
+// Building catalog shared by the server and both clients. The building
+// panels, placement checks and server validation all read from it, so adding
+// a building only takes a new entry here.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BuildingCatalog = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const RESOURCE_ICONS = { food: '🌾', wood: '🪵', iron: '⚒️', gold: '🏺', population: '👥', happiness: '😊' };
+    const LAND = ['grass', 'forest', 'hills'];
+
+    // Entries are listed in panel order. Fields:
+    //   shortName  label on the narrow mobile cards
+    //   cost       resources spent to build
+    //   produces   amounts added every production cycle
+    //   size       world units; no other building may stand closer
+    //   workers    worker slots; output scales with how many are filled
+    //   housing    villagers the building gives room to
+    //   terrain    tile types allowed anywhere under the footprint
+    //   requires   buildings the player must own ({ type: count }) and minimum population
+    //   upgrades   levels 2, 3, ... in order: the cost of reaching each and its
+    //              output and housing as a multiple of the level 1 values
+    const BUILDINGS = {
+        longhouse: {
+            name: 'Longhouse',
+            shortName: 'Longhouse',
+            icon: '🏘️',
+            cost: { wood: 20, food: 10 },
+            produces: {},
+            size: 48,
+            workers: 0,
+            housing: 6,
+            terrain: LAND,
+            requires: {},
+            upgrades: [
+                { cost: { wood: 35, food: 20 }, output: 1.5 },
+                { cost: { wood: 60, food: 40, iron: 10 }, output: 2 }
+            ]
+        },
+        farm: {
+            name: 'Farm',
+            shortName: 'Farm',
+            icon: '🌾',
+            cost: { wood: 15 },
+            produces: { food: 2 },
+            size: 40,
+            workers: 2,
+            terrain: LAND,
+            requires: {},
+            upgrades: [
+                { cost: { wood: 25, food: 10 }, output: 1.5 },
+                { cost: { wood: 45, food: 20, iron: 5 }, output: 2 }
+            ]
+        },
+        lumbermill: {
+            name: 'Lumber Mill',
+            shortName: 'Mill',
+            icon: '🪓',
+            cost: { wood: 25, iron: 5 },
+            produces: { wood: 3 },
+            size: 44,
+            workers: 3,
+            terrain: LAND,
+            requires: {},
+            upgrades: [
+                { cost: { wood: 40, iron: 10 }, output: 1.5 },
+                { cost: { wood: 70, iron: 20, gold: 5 }, output: 2 }
+            ]
+        },
+        blacksmith: {
+            name: 'Blacksmith',
+            shortName: 'Smith',
+            icon: '⚒️',
+            cost: { wood: 30, iron: 10 },
+            produces: { iron: 2 },
+            size: 36,
+            workers: 2,
+            terrain: LAND,
+            requires: { buildings: { lumbermill: 1 } },
+            upgrades: [
+                { cost: { wood: 45, iron: 20 }, output: 1.5 },
+                { cost: { wood: 80, iron: 35, gold: 10 }, output: 2 }
+            ]
+        },
+        tradingpost: {
+            name: 'Trading Post',
+            shortName: 'Trade',
+            icon: '⛵',
+            cost: { wood: 40, gold: 5 },
+            produces: { gold: 1 },
+            size: 42,
+            workers: 1,
+            terrain: LAND,
+            requires: { buildings: { farm: 1 } },
+            upgrades: [
+                { cost: { wood: 60, gold: 15 }, output: 2 },
+                { cost: { wood: 100, iron: 15, gold: 30 }, output: 3 }
+            ]
+        },
+        temple: {
+            name: 'Temple',
+            shortName: 'Temple',
+            icon: '⚡',
+            cost: { wood: 50, iron: 20, gold: 15 },
+            produces: { happiness: 10 },
+            size: 52,
+            workers: 0,
+            terrain: LAND,
+            requires: { buildings: { longhouse: 1 }, population: 10 },
+            upgrades: [
+                { cost: { wood: 80, iron: 30, gold: 30 }, output: 1.5 },
+                { cost: { wood: 120, iron: 50, gold: 60 }, output: 2 }
+            ]
+        }
+    };
+
+    function getBuildingData(type) {
+        return Object.prototype.hasOwnProperty.call(BUILDINGS, type) ? BUILDINGS[type] : null;
+    }
+
+    function getBuildingTypes() {
+        return Object.keys(BUILDINGS);
+    }
+
+    function canBuildOn(type, terrainType) {
+        const data = getBuildingData(type);
+        return Boolean(data && data.terrain.includes(terrainType));
+    }
+
+    // Human-readable requirements the player doesn't meet yet, given the
+    // buildings they own and their population
+    function getMissingRequirements(type, { buildings = [], population = 0 } = {}) {
+        const data = getBuildingData(type);
+        if (!data) return [];
+
+        const missing = [];
+        for (const [requiredType, count] of Object.entries(data.requires.buildings || {})) {
+            const owned = buildings.filter(building => building.type === requiredType).length;
+            if (owned < count) {
+                const name = BUILDINGS[requiredType].name;
+                missing.push(count > 1 ? `${count} × ${name}` : name);
+            }
+        }
+        if (data.requires.population && population < data.requires.population) {
+            missing.push(`${data.requires.population} population`);
+        }
+        return missing;
+    }
+
+    function isUnlocked(type, state) {
+        return getMissingRequirements(type, state).length === 0;
+    }
+
+    // Highest level a building can reach; level 1 is the building as placed
+    function getMaxLevel(type) {
+        const data = getBuildingData(type);
+        return data ? 1 + data.upgrades.length : 0;
+    }
+
+    // Cost of raising a building from `level` to the next, or null at the top
+    function getUpgradeCost(type, level) {
+        const data = getBuildingData(type);
+        const upgrade = data && data.upgrades[level - 1];
+        return upgrade ? upgrade.cost : null;
+    }
+
+    function getOutputMultiplier(type, level = 1) {
+        const data = getBuildingData(type);
+        if (!data || level <= 1) return 1;
+        return data.upgrades[Math.min(level, getMaxLevel(type)) - 2].output;
+    }
+
+    // What a building produces each cycle at a level, in whole units
+    function getOutput(type, level = 1) {
+        const data = getBuildingData(type);
+        if (!data) return {};
+
+        const multiplier = getOutputMultiplier(type, level);
+        const output = {};
+        for (const [resource, amount] of Object.entries(data.produces)) {
+            output[resource] = Math.round(amount * multiplier);
+        }
+        return output;
+    }
+
+    function getWorkerSlots(type) {
+        const data = getBuildingData(type);
+        return data ? data.workers : 0;
+    }
+
+    // Types with worker slots, in catalog order
+    function getWorkerTypes() {
+        return getBuildingTypes().filter(type => BUILDINGS[type].workers > 0);
+    }
+
+    function getHousing(type, level = 1) {
+        const data = getBuildingData(type);
+        if (!data || !data.housing) return 0;
+        return Math.round(data.housing * getOutputMultiplier(type, level));
+    }
+
+    // "🪵 20 🌾 10", or "🪵20 🌾10" when compact; also used for outputs
+    function formatCost(cost, compact = false) {
+        return Object.entries(cost)
+            .map(([resource, amount]) => `${RESOURCE_ICONS[resource] || resource}${compact ? '' : ' '}${amount}`)
+            .join(' ');
+    }
+
+    return {
+        BUILDINGS,
+        RESOURCE_ICONS,
+        getBuildingData,
+        getBuildingTypes,
+        canBuildOn,
+        getMissingRequirements,
+        isUnlocked,
+        getMaxLevel,
+        getUpgradeCost,
+        getOutputMultiplier,
+        getOutput,
+        getWorkerSlots,
+        getWorkerTypes,
+        getHousing,
+        formatCost
+    };
+});
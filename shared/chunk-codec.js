@@ -0,0 +1,194 @@
+// Binary encoding for terrain chunks sent in chunks_data, shared by the
+// server and both clients.
+//
+// Layout (little endian):
+//   u8  format version
+//   i32 chunk x, i32 chunk y
+//   u16 tile size (world units), u16 tiles per side
+//   u8  palette length, then per entry: u8 byte length + ASCII tile type
+//   u8  body encoding (RLE or PACKED)
+//   body: RLE    -> repeated (u8 run length, u8 palette index)
+//         PACKED -> palette indices at ceil(log2(palette length)) bits each
+// Tiles are stored column by column (x outer, y inner), the order the
+// generators produce them in.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ChunkCodec = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const VERSION = 1;
+    const RLE = 0;
+    const PACKED = 1;
+    const MAX_RUN = 255;
+
+    function bitsFor(paletteLength) {
+        let bits = 1;
+        while ((1 << bits) < paletteLength) bits++;
+        return bits;
+    }
+
+    function encodeRuns(indices) {
+        const body = [];
+        let i = 0;
+        while (i < indices.length) {
+            let run = 1;
+            while (i + run < indices.length && indices[i + run] === indices[i] && run < MAX_RUN) run++;
+            body.push(run, indices[i]);
+            i += run;
+        }
+        return body;
+    }
+
+    function encodePacked(indices, bits) {
+        const body = new Array(Math.ceil(indices.length * bits / 8)).fill(0);
+        indices.forEach((index, i) => {
+            for (let bit = 0; bit < bits; bit++) {
+                if (index & (1 << bit)) {
+                    const position = i * bits + bit;
+                    body[position >> 3] |= 1 << (position & 7);
+                }
+            }
+        });
+        return body;
+    }
+
+    function encode(chunk) {
+        const tilesPerSide = Math.round(Math.sqrt(chunk.tiles.length));
+        const palette = [];
+        const indices = chunk.tiles.map(tile => {
+            let index = palette.indexOf(tile.type);
+            if (index === -1) {
+                index = palette.push(tile.type) - 1;
+            }
+            return index;
+        });
+        if (palette.length > 255) {
+            throw new Error('Chunk has too many tile types to encode');
+        }
+
+        // Smooth terrain compresses best as runs; noisy terrain as packed bits
+        const runs = encodeRuns(indices);
+        const packed = encodePacked(indices, bitsFor(palette.length));
+        const useRuns = runs.length <= packed.length;
+        const body = useRuns ? runs : packed;
+
+        const paletteBytes = palette.reduce((total, type) => total + 1 + type.length, 0);
+        const buffer = new ArrayBuffer(1 + 8 + 4 + 1 + paletteBytes + 1 + body.length);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let offset = 0;
+
+        view.setUint8(offset, VERSION); offset += 1;
+        view.setInt32(offset, chunk.x, true); offset += 4;
+        view.setInt32(offset, chunk.y, true); offset += 4;
+        view.setUint16(offset, chunk.tileSize, true); offset += 2;
+        view.setUint16(offset, tilesPerSide, true); offset += 2;
+
+        view.setUint8(offset, palette.length); offset += 1;
+        palette.forEach(type => {
+            view.setUint8(offset, type.length); offset += 1;
+            for (let i = 0; i < type.length; i++) {
+                bytes[offset++] = type.charCodeAt(i);
+            }
+        });
+
+        view.setUint8(offset, useRuns ? RLE : PACKED); offset += 1;
+        bytes.set(body, offset);
+
+        return bytes;
+    }
+
+    function toBytes(data) {
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        throw new Error('Chunk data is not binary');
+    }
+
+    // Returns the chunk with its tiles expanded; throws on data it can't read
+    function decode(data) {
+        const bytes = toBytes(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+
+        const version = view.getUint8(offset); offset += 1;
+        if (version !== VERSION) {
+            throw new Error(`Unsupported chunk format version ${version}`);
+        }
+
+        const x = view.getInt32(offset, true); offset += 4;
+        const y = view.getInt32(offset, true); offset += 4;
+        const tileSize = view.getUint16(offset, true); offset += 2;
+        const tilesPerSide = view.getUint16(offset, true); offset += 2;
+
+        const palette = [];
+        const paletteLength = view.getUint8(offset); offset += 1;
+        for (let i = 0; i < paletteLength; i++) {
+            const length = view.getUint8(offset); offset += 1;
+            palette.push(String.fromCharCode.apply(null, bytes.subarray(offset, offset + length)));
+            offset += length;
+        }
+
+        const tileCount = tilesPerSide * tilesPerSide;
+        const indices = new Uint8Array(tileCount);
+        const encoding = view.getUint8(offset); offset += 1;
+
+        if (encoding === RLE) {
+            let tile = 0;
+            while (tile < tileCount) {
+                const run = view.getUint8(offset);
+                const index = view.getUint8(offset + 1);
+                offset += 2;
+                indices.fill(index, tile, Math.min(tile + run, tileCount));
+                tile += run;
+            }
+        } else if (encoding === PACKED) {
+            const bits = bitsFor(paletteLength);
+            for (let tile = 0; tile < tileCount; tile++) {
+                let index = 0;
+                for (let bit = 0; bit < bits; bit++) {
+                    const position = tile * bits + bit;
+                    if (bytes[offset + (position >> 3)] & (1 << (position & 7))) {
+                        index |= 1 << bit;
+                    }
+                }
+                indices[tile] = index;
+            }
+        } else {
+            throw new Error(`Unknown chunk body encoding ${encoding}`);
+        }
+
+        const size = tileSize * tilesPerSide;
+        const chunk = {
+            x, y,
+            worldX: x * size,
+            worldY: y * size,
+            size,
+            tileSize,
+            tiles: [],
+            generated: true
+        };
+
+        for (let tile = 0; tile < tileCount; tile++) {
+            const type = palette[indices[tile]];
+            if (type === undefined) {
+                throw new Error('Chunk tile refers to a missing palette entry');
+            }
+
+            const localX = Math.floor(tile / tilesPerSide) * tileSize;
+            const localY = (tile % tilesPerSide) * tileSize;
+            chunk.tiles.push({
+                localX,
+                localY,
+                worldX: chunk.worldX + localX,
+                worldY: chunk.worldY + localY,
+                type
+            });
+        }
+
+        return chunk;
+    }
+
+    return { VERSION, encode, decode };
+});
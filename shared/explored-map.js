@@ -0,0 +1,150 @@
+// Fog of war as explored-cell bitsets, shared by the server and both clients.
+// The world is cut into CELL_SIZE cells grouped into fog chunks of
+// CHUNK_CELLS x CHUNK_CELLS; each fog chunk is one bitset. Cells only ever
+// become explored, so merging two maps is a bitwise OR.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExploredMap = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CELL_SIZE = 16; // World units per cell
+    const CHUNK_CELLS = 32; // Cells per fog chunk side (512 world units)
+    const CHUNK_BYTES = CHUNK_CELLS * CHUNK_CELLS / 8;
+    const CHUNK_KEY_PATTERN = /^-?\d+,-?\d+$/;
+
+    function encodeBytes(bytes) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(bytes).toString('base64');
+        }
+        return btoa(String.fromCharCode.apply(null, bytes));
+    }
+
+    function decodeBytes(encoded) {
+        if (typeof Buffer !== 'undefined') {
+            return new Uint8Array(Buffer.from(encoded, 'base64'));
+        }
+        return Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+    }
+
+    class ExploredMap {
+        constructor() {
+            this.chunks = new Map(); // "x,y" -> Uint8Array bitset
+            this.dirty = new Set(); // Fog chunks with cells not yet sent
+        }
+
+        static cellFor(worldX, worldY) {
+            return { x: Math.floor(worldX / CELL_SIZE), y: Math.floor(worldY / CELL_SIZE) };
+        }
+
+        locate(cellX, cellY) {
+            const chunkX = Math.floor(cellX / CHUNK_CELLS);
+            const chunkY = Math.floor(cellY / CHUNK_CELLS);
+            const index = (cellY - chunkY * CHUNK_CELLS) * CHUNK_CELLS + (cellX - chunkX * CHUNK_CELLS);
+            return { chunkKey: `${chunkX},${chunkY}`, byte: index >> 3, mask: 1 << (index & 7) };
+        }
+
+        isCellExplored(cellX, cellY) {
+            const { chunkKey, byte, mask } = this.locate(cellX, cellY);
+            const bits = this.chunks.get(chunkKey);
+            return Boolean(bits && (bits[byte] & mask));
+        }
+
+        isExplored(worldX, worldY) {
+            const cell = ExploredMap.cellFor(worldX, worldY);
+            return this.isCellExplored(cell.x, cell.y);
+        }
+
+        exploreCell(cellX, cellY) {
+            const { chunkKey, byte, mask } = this.locate(cellX, cellY);
+            let bits = this.chunks.get(chunkKey);
+            if (!bits) {
+                bits = new Uint8Array(CHUNK_BYTES);
+                this.chunks.set(chunkKey, bits);
+            }
+            if (bits[byte] & mask) return false;
+
+            bits[byte] |= mask;
+            this.dirty.add(chunkKey);
+            return true;
+        }
+
+        // Explores every cell whose centre lies within the circle, plus the
+        // cell under the centre so tiny radii still count. Returns how many
+        // cells were newly explored.
+        revealCircle(worldX, worldY, radius) {
+            if (!Number.isFinite(worldX) || !Number.isFinite(worldY) || !Number.isFinite(radius)) return 0;
+
+            const centre = ExploredMap.cellFor(worldX, worldY);
+            let revealed = this.exploreCell(centre.x, centre.y) ? 1 : 0;
+
+            const min = ExploredMap.cellFor(worldX - radius, worldY - radius);
+            const max = ExploredMap.cellFor(worldX + radius, worldY + radius);
+            for (let cellX = min.x; cellX <= max.x; cellX++) {
+                for (let cellY = min.y; cellY <= max.y; cellY++) {
+                    const dx = (cellX + 0.5) * CELL_SIZE - worldX;
+                    const dy = (cellY + 0.5) * CELL_SIZE - worldY;
+                    if (dx * dx + dy * dy <= radius * radius && this.exploreCell(cellX, cellY)) {
+                        revealed++;
+                    }
+                }
+            }
+
+            return revealed;
+        }
+
+        // ORs an encoded fog chunk into the map; returns false for bad input
+        mergeChunk(chunkKey, encoded) {
+            if (!CHUNK_KEY_PATTERN.test(chunkKey) || typeof encoded !== 'string') return false;
+
+            let incoming;
+            try {
+                incoming = decodeBytes(encoded);
+            } catch (error) {
+                return false;
+            }
+            if (incoming.length !== CHUNK_BYTES) return false;
+
+            let bits = this.chunks.get(chunkKey);
+            if (!bits) {
+                bits = new Uint8Array(CHUNK_BYTES);
+                this.chunks.set(chunkKey, bits);
+            }
+            for (let i = 0; i < CHUNK_BYTES; i++) {
+                bits[i] |= incoming[i];
+            }
+            return true;
+        }
+
+        merge(serialized) {
+            if (!serialized || typeof serialized !== 'object') return;
+            for (const [chunkKey, encoded] of Object.entries(serialized)) {
+                this.mergeChunk(chunkKey, encoded);
+            }
+        }
+
+        // Encoded copies of the fog chunks changed since the last call
+        takeDirty() {
+            const diff = {};
+            for (const chunkKey of this.dirty) {
+                diff[chunkKey] = encodeBytes(this.chunks.get(chunkKey));
+            }
+            this.dirty.clear();
+            return diff;
+        }
+
+        serialize() {
+            const serialized = {};
+            for (const [chunkKey, bits] of this.chunks) {
+                serialized[chunkKey] = encodeBytes(bits);
+            }
+            return serialized;
+        }
+    }
+
+    ExploredMap.CELL_SIZE = CELL_SIZE;
+    ExploredMap.CHUNK_CELLS = CHUNK_CELLS;
+
+    return ExploredMap;
+});
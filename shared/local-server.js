@@ -0,0 +1,546 @@
+// The multiplayer server emulated inside the page, for offline play. It
+// answers the same events as server/game-server.js through a socket-like
+// object, so the clients run exactly the handlers they use online. Worlds
+// are single-player and kept in localStorage when it is available.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./protocol'),
+            require('./simulation'),
+            require('./chunk-codec'),
+            require('./explored-map'),
+            require('./world-gen'),
+            require('./world-grid'),
+            require('./migrations')
+        );
+    } else {
+        root.LocalServer = factory(root.Protocol, root.Simulation, root.ChunkCodec, root.ExploredMap, root.WorldGen, root.WorldGrid,
+            root.Migrations);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Protocol, Simulation, ChunkCodec, ExploredMap, WorldGen, WorldGrid, Migrations) {
+    const URL = 'local://offline'; // serverUrl the clients use to pick this transport
+    const STORAGE_KEY = 'vikingLocalWorlds';
+    const TICK_INTERVAL = 250;
+    const SAVE_INTERVAL = 5000;
+    const MAX_CHUNKS_PER_REQUEST = 64;
+
+    function randomId(length = 8) {
+        let id = '';
+        while (id.length < length) id += Math.random().toString(36).slice(2);
+        return id.slice(0, length);
+    }
+
+    // Payloads are copied on the way in and out, as a network hop would, so
+    // neither side can change the other's objects
+    function copy(data) {
+        return data === undefined ? data : structuredClone(data);
+    }
+
+    // Client end of the emulated connection, with the subset of the
+    // socket.io client API the game uses
+    class LocalSocket {
+        constructor(server) {
+            this.server = server;
+            this.id = `local_${randomId()}`;
+            this.connected = false;
+            this.handlers = new Map();
+        }
+
+        on(event, handler) {
+            if (!this.handlers.has(event)) this.handlers.set(event, []);
+            this.handlers.get(event).push(handler);
+            return this;
+        }
+
+        off(event) {
+            if (event) {
+                this.handlers.delete(event);
+            } else {
+                this.handlers.clear();
+            }
+            return this;
+        }
+
+        emit(event, data) {
+            if (!this.connected) return this;
+            const payload = copy(data);
+            setTimeout(() => this.server.receive(this, event, payload), 0);
+            return this;
+        }
+
+        disconnect() {
+            if (!this.connected) return this;
+            this.connected = false;
+            this.server.detach(this);
+            this.deliver('disconnect', 'io client disconnect');
+            return this;
+        }
+
+        deliver(event, data) {
+            (this.handlers.get(event) || []).forEach(handler => handler(data));
+        }
+    }
+
+    class LocalServer {
+        constructor({ storage = null } = {}) {
+            this.storage = storage;
+            this.worlds = new Map();
+            this.newerRecords = []; // Saved by a newer version, written back untouched
+            this.socket = null;
+            this.session = null; // { worldId, playerId }
+            this.timer = null;
+            this.lastTick = 0;
+            this.dirty = false;
+            this.lastSave = 0;
+
+            this.handlers = {
+                list_worlds: this.handleListWorlds,
+                create_world: this.handleCreateWorld,
+                join_world: this.handleJoinWorld,
+                place_building: this.handlePlaceBuilding,
+                send_scout: this.handleSendScout,
+                upgrade_building: this.handleUpgradeBuilding,
+                demolish_building: this.handleDemolishBuilding,
+                relocate_building: this.handleRelocateBuilding,
+                set_work_priorities: this.handleSetWorkPriorities,
+                update_camera: this.handleUpdateCamera,
+                update_interest: () => {}, // Every building is already in view of the only player
+                request_chunks: this.handleRequestChunks,
+                save_fog_of_war: this.handleSaveFogOfWar
+            };
+
+            this.load();
+        }
+
+        // Opens a connection; the returned socket fires 'connect' or 'connect_error' like socket.io's
+        connect(auth = {}) {
+            if (this.socket) this.socket.disconnect();
+
+            const socket = new LocalSocket(this);
+            setTimeout(() => {
+                if (!Protocol.isCompatible(auth.protocolVersion)) {
+                    const error = new Error('Incompatible game version - please refresh');
+                    error.data = {
+                        code: 'protocol_mismatch',
+                        protocolVersion: Protocol.VERSION,
+                        minProtocolVersion: Protocol.MIN_VERSION
+                    };
+                    socket.deliver('connect_error', error);
+                    return;
+                }
+
+                socket.connected = true;
+                this.socket = socket;
+                this.lastTick = Date.now();
+                this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+                socket.deliver('connect');
+            }, 0);
+            return socket;
+        }
+
+        detach(socket) {
+            if (socket !== this.socket) return;
+            clearInterval(this.timer);
+            this.timer = null;
+            this.socket = null;
+            this.session = null;
+            this.save();
+        }
+
+        send(event, data) {
+            const socket = this.socket;
+            if (!socket) return;
+            const payload = copy(data);
+            setTimeout(() => {
+                if (socket.connected) socket.deliver(event, payload);
+            }, 0);
+        }
+
+        receive(socket, event, data = {}) {
+            if (socket !== this.socket) return;
+
+            const handler = this.handlers[event];
+            if (!handler) return;
+
+            // Same validation the real server applies
+            const { valid, errors } = Protocol.validateClientEvent(event, data);
+            if (!valid) {
+                console.warn(`Ignoring malformed ${event}: ${errors.join(', ')}`);
+                return;
+            }
+            handler.call(this, data);
+        }
+
+        getActionId(data) {
+            return typeof data.actionId === 'string' ? data.actionId.slice(0, 64) : undefined;
+        }
+
+        reject(event, code, actionId) {
+            this.send(event, { code, reason: Protocol.REJECTIONS[code], actionId });
+        }
+
+        getSessionWorld() {
+            return this.session ? this.worlds.get(this.session.worldId) || null : null;
+        }
+
+        getSessionPlayer() {
+            const world = this.getSessionWorld();
+            return world ? world.players.get(this.session.playerId) || null : null;
+        }
+
+        createWorld(name) {
+            const world = {
+                ...Simulation.createWorldState(),
+                id: `local_${randomId()}`,
+                name: name || `Offline world ${this.worlds.size + 1}`,
+                inviteCode: randomId().toUpperCase(),
+                createdAt: Date.now()
+            };
+            this.worlds.set(world.id, world);
+            this.dirty = true;
+            return world;
+        }
+
+        getLobbyInfo(world) {
+            return {
+                id: world.id,
+                name: world.name,
+                seed: world.seed,
+                createdAt: world.createdAt,
+                playerCount: this.session && this.session.worldId === world.id ? 1 : 0,
+                maxPlayers: 1,
+                locked: false
+            };
+        }
+
+        handleListWorlds() {
+            this.send('worlds_list', { worlds: Array.from(this.worlds.values()).map(world => this.getLobbyInfo(world)) });
+        }
+
+        handleCreateWorld(data) {
+            const name = typeof data.name === 'string' ? data.name.trim().slice(0, 40) : '';
+            const world = this.createWorld(name);
+
+            this.send('world_created', { worldId: world.id, name: world.name, inviteCode: world.inviteCode });
+            this.handleJoinWorld({ ...data, worldId: world.id });
+        }
+
+        handleJoinWorld(data) {
+            const { worldId, playerName } = data;
+
+            let world;
+            if (worldId) {
+                world = this.worlds.get(worldId);
+            } else {
+                world = this.worlds.values().next().value || this.createWorld();
+            }
+            if (!world) {
+                this.send('world_join_rejected', { worldId, reason: 'World not found' });
+                return;
+            }
+
+            // Keep the identity the client saved for offline play, so its offline settlements are found again
+            const playerId = typeof data.playerId === 'string' && data.playerId ? data.playerId : `player_${randomId(16)}`;
+            const sessionToken = typeof data.sessionToken === 'string' && data.sessionToken ? data.sessionToken : randomId(32);
+            const name = typeof playerName === 'string' && playerName.trim() ? playerName.trim().slice(0, 32) : 'Viking Player';
+
+            let player = world.players.get(playerId);
+            if (!player) {
+                player = Simulation.createPlayer(playerId, name);
+                world.players.set(playerId, player);
+            }
+            player.name = name;
+            this.session = { worldId: world.id, playerId };
+            this.dirty = true;
+
+            this.send('world_joined', {
+                worldId: world.id,
+                playerId,
+                sessionToken,
+                playerData: {
+                    resources: player.resources,
+                    population: player.population,
+                    workPriorities: Simulation.normalizeWorkPriorities(player.workPriorities),
+                    buildings: world.buildings.filter(building => building.playerId === playerId),
+                    scouts: player.scouts,
+                    camera: player.camera,
+                    explored_areas: player.exploredAreas,
+                    fog_of_war: player.explored.serialize()
+                },
+                worldData: {
+                    id: world.id,
+                    name: world.name,
+                    inviteCode: world.inviteCode,
+                    seed: world.seed,
+                    createdAt: world.createdAt,
+                    playerCount: 1,
+                    chunkSize: WorldGrid.CHUNK_SIZE,
+                    tileSize: WorldGrid.TILE_SIZE,
+                    buildings: world.buildings
+                },
+                otherPlayers: []
+            });
+        }
+
+        handlePlaceBuilding(data) {
+            const world = this.getSessionWorld();
+            const actionId = this.getActionId(data);
+            if (!world) {
+                this.reject('building_rejected', 'not_in_world', actionId);
+                return;
+            }
+
+            const { playerId } = this.session;
+            const result = Simulation.placeBuilding(world, playerId, data.buildingType, data.x, data.y);
+            if (result.error) {
+                this.reject('building_rejected', result.error, actionId);
+                return;
+            }
+            this.dirty = true;
+
+            this.send('building_placed', {
+                playerId,
+                building: result.building,
+                playerResources: result.player.resources,
+                actionId
+            });
+        }
+
+        handleSendScout(data) {
+            const world = this.getSessionWorld();
+            const actionId = this.getActionId(data);
+            if (!world) {
+                this.reject('scout_rejected', 'not_in_world', actionId);
+                return;
+            }
+
+            const { playerId } = this.session;
+            const result = Simulation.sendScout(world, playerId, data.targetX, data.targetY);
+            if (result.error) {
+                this.reject('scout_rejected', result.error, actionId);
+                return;
+            }
+            this.dirty = true;
+
+            this.send('scout_sent', { playerId, scout: result.scout, actionId });
+        }
+
+        handleUpgradeBuilding(data) {
+            const world = this.getSessionWorld();
+            const actionId = this.getActionId(data);
+            if (!world) {
+                this.reject('upgrade_rejected', 'not_in_world', actionId);
+                return;
+            }
+
+            const { playerId } = this.session;
+            const result = Simulation.upgradeBuilding(world, playerId, data.buildingId);
+            if (result.error) {
+                this.reject('upgrade_rejected', result.error, actionId);
+                return;
+            }
+            this.dirty = true;
+
+            this.send('building_upgraded', {
+                playerId,
+                building: result.building,
+                playerResources: result.player.resources,
+                actionId
+            });
+        }
+
+        handleDemolishBuilding(data) {
+            const world = this.getSessionWorld();
+            const actionId = this.getActionId(data);
+            if (!world) {
+                this.reject('demolish_rejected', 'not_in_world', actionId);
+                return;
+            }
+
+            const { playerId } = this.session;
+            const result = Simulation.demolishBuilding(world, playerId, data.buildingId);
+            if (result.error) {
+                this.reject('demolish_rejected', result.error, actionId);
+                return;
+            }
+            this.dirty = true;
+
+            this.send('building_demolished', {
+                playerId,
+                buildingId: result.building.id,
+                playerResources: result.player.resources,
+                actionId
+            });
+        }
+
+        handleRelocateBuilding(data) {
+            const world = this.getSessionWorld();
+            const actionId = this.getActionId(data);
+            if (!world) {
+                this.reject('relocate_rejected', 'not_in_world', actionId);
+                return;
+            }
+
+            const { playerId } = this.session;
+            const result = Simulation.relocateBuilding(world, playerId, data.buildingId, data.x, data.y);
+            if (result.error) {
+                this.reject('relocate_rejected', result.error, actionId);
+                return;
+            }
+            this.dirty = true;
+
+            this.send('building_relocated', {
+                playerId,
+                building: result.building,
+                playerResources: result.player.resources,
+                actionId
+            });
+        }
+
+        handleSetWorkPriorities(data) {
+            const world = this.getSessionWorld();
+            if (!world) return;
+
+            const { playerId } = this.session;
+            const result = Simulation.setWorkPriorities(world, playerId, data.priorities);
+            if (result.error) return;
+            this.dirty = true;
+
+            this.send('player_updated', { playerId, workPriorities: result.player.workPriorities });
+        }
+
+        handleUpdateCamera(data) {
+            const player = this.getSessionPlayer();
+            const { camera } = data;
+            if (!player || !Simulation.isInBounds(camera.x, camera.y)) return;
+
+            player.camera = {
+                x: camera.x,
+                y: camera.y,
+                scale: Number.isFinite(camera.scale) ? Math.max(0.1, Math.min(5, camera.scale)) : 1
+            };
+            this.dirty = true;
+        }
+
+        handleRequestChunks(data) {
+            const world = this.getSessionWorld();
+            if (!world) return;
+
+            const chunks = data.chunkCoords.slice(0, MAX_CHUNKS_PER_REQUEST).map(({ x, y }) => ({
+                chunkKey: WorldGrid.getChunkKey(x, y),
+                data: ChunkCodec.encode({
+                    x,
+                    y,
+                    tileSize: WorldGrid.TILE_SIZE,
+                    tiles: WorldGen.generateChunkTiles(world.seed, x, y, WorldGrid.CHUNK_SIZE, WorldGrid.TILE_SIZE)
+                })
+            }));
+            this.send('chunks_data', { chunks });
+        }
+
+        handleSaveFogOfWar(data) {
+            const player = this.getSessionPlayer();
+            if (!player) return;
+
+            Object.entries(data.exploredChunks)
+                .forEach(([chunkKey, encoded]) => player.explored.mergeChunk(chunkKey, encoded));
+            this.dirty = true;
+        }
+
+        tick() {
+            const now = Date.now();
+            const deltaMs = now - this.lastTick;
+            this.lastTick = now;
+
+            const world = this.getSessionWorld();
+            if (world) {
+                const { arrivals, movedPlayers, producedPlayers } = Simulation.tick(world, deltaMs, now);
+                if (movedPlayers.size > 0 || producedPlayers.length > 0) this.dirty = true;
+
+                producedPlayers.forEach(player => this.send('player_updated', {
+                    playerId: player.id,
+                    resources: player.resources,
+                    population: player.population,
+                    starving: player.starving
+                }));
+                movedPlayers.forEach(playerId => this.send('player_updated', {
+                    playerId,
+                    scouts: world.players.get(playerId).scouts
+                }));
+                arrivals.forEach(({ scout }) => this.send('area_explored', {
+                    scoutId: scout.id,
+                    x: scout.x,
+                    y: scout.y,
+                    range: scout.range
+                }));
+            }
+
+            if (now - this.lastSave >= SAVE_INTERVAL) this.save();
+        }
+
+        load() {
+            if (!this.storage) return;
+
+            let records;
+            try {
+                const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+                records = (saved && saved.worlds) || [];
+            } catch (error) {
+                console.error('Failed to read offline worlds:', error);
+                return;
+            }
+
+            records.forEach(stored => {
+                let record;
+                try {
+                    record = Migrations.migrateWorldRecord(stored);
+                } catch (error) {
+                    // Saved by a newer version of the game: keep it as it is
+                    console.error('Skipping offline world:', error.message);
+                    this.newerRecords.push(stored);
+                    return;
+                }
+                if (stored.schemaVersion !== Migrations.SCHEMA_VERSION) this.dirty = true;
+
+                const world = { ...record, productionElapsed: 0, players: new Map() };
+                record.players.forEach(({ fogOfWar, ...player }) => {
+                    const explored = new ExploredMap();
+                    explored.merge(fogOfWar);
+                    world.players.set(player.id, { ...player, explored });
+                });
+                this.worlds.set(world.id, world);
+            });
+        }
+
+        save() {
+            this.lastSave = Date.now();
+            if (!this.storage || !this.dirty) return;
+
+            const worlds = Array.from(this.worlds.values()).map(world => ({
+                schemaVersion: Migrations.SCHEMA_VERSION,
+                id: world.id,
+                name: world.name,
+                seed: world.seed,
+                inviteCode: world.inviteCode,
+                createdAt: world.createdAt,
+                buildings: world.buildings,
+                buildingCounter: world.buildingCounter,
+                players: Array.from(world.players.values()).map(({ explored, ...player }) => ({
+                    ...player,
+                    fogOfWar: explored.serialize()
+                }))
+            }));
+
+            try {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify({ worlds: worlds.concat(this.newerRecords) }));
+                this.dirty = false;
+            } catch (error) {
+                console.error('Failed to save offline worlds:', error);
+            }
+        }
+    }
+
+    LocalServer.URL = URL;
+
+    return LocalServer;
+});
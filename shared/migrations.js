@@ -0,0 +1,87 @@
+// Upgrades stored world records to the current shape, for the server's
+// storage and the offline worlds the clients keep. Each migration takes a
+// record at the previous version; append a new one (never edit a shipped one)
+// whenever World#toRecord or the offline save changes, and bump
+// SCHEMA_VERSION with it.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./buildings'));
+    } else {
+        root.Migrations = factory(root.BuildingCatalog);
+    }
+})(typeof self !== 'undefined' ? self : this, function (BuildingCatalog) {
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Fill in player fields that may be missing',
+            migrate(record) {
+                record.players = (record.players || []).map(player => ({
+                    camera: { x: 0, y: 0, scale: 1 },
+                    scouts: [],
+                    exploredAreas: [],
+                    fogOfWar: {},
+                    ...player
+                }));
+                record.buildings = record.buildings || [];
+                return record;
+            }
+        },
+        {
+            version: 2,
+            description: 'Add work priorities and building levels; refresh catalog fields copied into buildings',
+            migrate(record) {
+                record.players = record.players.map(player => ({
+                    workPriorities: BuildingCatalog.getWorkerTypes(),
+                    ...player
+                }));
+                // Buildings carry a copy of their catalog entry from when they were
+                // placed, so older ones still list longhouses producing population
+                record.buildings = record.buildings.map(building => {
+                    const data = BuildingCatalog.getBuildingData(building.type);
+                    if (!data) return building;
+
+                    const level = building.level || 1;
+                    return { ...building, ...data, level, produces: BuildingCatalog.getOutput(building.type, level) };
+                });
+                return record;
+            }
+        },
+        {
+            version: 3,
+            description: 'Tag unsalted password hashes and mark worlds players created',
+            migrate(record) {
+                if (record.passwordHash) record.passwordHash = `sha256:${record.passwordHash}`;
+                // Matchmaking worlds are named after their id; lobby-made ones rarely are
+                record.createdByPlayer = Boolean(record.isPrivate || record.passwordHash || record.name !== record.id);
+                return record;
+            }
+        },
+        {
+            version: 4,
+            description: 'Start the building counter that numbers building ids',
+            migrate(record) {
+                record.buildingCounter = record.buildings.length;
+                return record;
+            }
+        }
+    ];
+
+    const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    // Records without a schemaVersion predate versioning and count as version 0
+    function migrateWorldRecord(record) {
+        let migrated = record;
+        for (const { version, migrate } of MIGRATIONS) {
+            if ((migrated.schemaVersion || 0) < version) {
+                migrated = { ...migrate(migrated), schemaVersion: version };
+            }
+        }
+
+        if (migrated.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`World ${record.id} was saved by a newer version (schema ${migrated.schemaVersion})`);
+        }
+        return migrated;
+    }
+
+    return { SCHEMA_VERSION, migrateWorldRecord };
+});
@@ -0,0 +1,212 @@
+// Socket event contract shared by the server and both clients.
+// Bump VERSION whenever a payload changes shape; raise MIN_VERSION when the
+// server can no longer serve older clients.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Protocol = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const VERSION = 11;
+    const MIN_VERSION = 9; // Older clients don't know building_demolished or building_relocated
+
+    // Schemas are plain objects: keys ending in '?' are optional (null or
+    // missing), values are a type name ('string', 'number', 'integer',
+    // 'boolean', 'object', 'binary', 'any', or alternatives like 'string|number'),
+    // a nested schema, or a one-element array describing list items.
+    // Unlisted keys are allowed so newer peers can add fields.
+    const CAMERA = { x: 'number', y: 'number', 'scale?': 'number' };
+    const RESOURCES = { food: 'number', wood: 'number', iron: 'number', gold: 'number' };
+    const SCOUT = { id: 'string', x: 'number', y: 'number' };
+    const BUILDING = { id: 'string', type: 'string', x: 'number', y: 'number', size: 'number' };
+    const PLAYER = { player_id: 'string', 'player_name?': 'string', 'camera?': CAMERA };
+
+    const CLIENT_EVENTS = {
+        list_worlds: {},
+        create_world: {
+            'name?': 'string',
+            'isPrivate?': 'boolean',
+            'password?': 'string',
+            'playerName?': 'string',
+            'playerId?': 'string',
+            'sessionToken?': 'string'
+        },
+        join_world: {
+            'worldId?': 'string',
+            'playerName?': 'string',
+            'playerId?': 'string',
+            'sessionToken?': 'string',
+            'password?': 'string',
+            'inviteCode?': 'string'
+        },
+        place_building: { buildingType: 'string', x: 'number', y: 'number', 'actionId?': 'string' },
+        send_scout: { targetX: 'number', targetY: 'number', 'actionId?': 'string' },
+        upgrade_building: { buildingId: 'string', 'actionId?': 'string' },
+        demolish_building: { buildingId: 'string', 'actionId?': 'string' },
+        relocate_building: { buildingId: 'string', x: 'number', y: 'number', 'actionId?': 'string' },
+        set_work_priorities: { priorities: ['string'] },
+        update_camera: { camera: CAMERA },
+        update_interest: { area: { left: 'number', top: 'number', right: 'number', bottom: 'number' } },
+        request_chunks: { chunkCoords: [{ x: 'integer', y: 'integer' }] },
+        save_fog_of_war: { exploredChunks: 'object' }
+    };
+
+    const SERVER_EVENTS = {
+        worlds_list: {
+            worlds: [{ id: 'string', name: 'string', playerCount: 'integer', maxPlayers: 'integer', 'locked?': 'boolean' }]
+        },
+        world_created: { worldId: 'string', name: 'string', inviteCode: 'string' },
+        world_joined: {
+            worldId: 'string',
+            playerId: 'string',
+            sessionToken: 'string',
+            playerData: {
+                resources: RESOURCES,
+                population: 'number',
+                'workPriorities?': ['string'],
+                buildings: [BUILDING],
+                scouts: [SCOUT],
+                'camera?': CAMERA,
+                'explored_areas?': ['string'],
+                'fog_of_war?': 'object'
+            },
+            worldData: { id: 'string', name: 'string', 'inviteCode?': 'string', 'buildings?': [BUILDING] },
+            otherPlayers: [PLAYER]
+        },
+        world_join_rejected: { 'worldId?': 'string', reason: 'string' },
+        player_joined: { playerId: 'string', 'playerName?': 'string', 'camera?': CAMERA },
+        player_left: { playerId: 'string' },
+        building_placed: { playerId: 'string', building: BUILDING, playerResources: RESOURCES, 'actionId?': 'string' },
+        building_rejected: { 'code?': 'string', reason: 'string', 'actionId?': 'string' },
+        scout_sent: { playerId: 'string', scout: SCOUT, 'actionId?': 'string' },
+        scout_rejected: { 'code?': 'string', reason: 'string', 'actionId?': 'string' },
+        building_upgraded: { playerId: 'string', building: BUILDING, playerResources: RESOURCES, 'actionId?': 'string' },
+        upgrade_rejected: { 'code?': 'string', reason: 'string', 'actionId?': 'string' },
+        building_demolished: { playerId: 'string', buildingId: 'string', playerResources: RESOURCES, 'actionId?': 'string' },
+        demolish_rejected: { 'code?': 'string', reason: 'string', 'actionId?': 'string' },
+        building_relocated: { playerId: 'string', building: BUILDING, playerResources: RESOURCES, 'actionId?': 'string' },
+        relocate_rejected: { 'code?': 'string', reason: 'string', 'actionId?': 'string' },
+        player_updated: {
+            playerId: 'string',
+            'resources?': RESOURCES,
+            'population?': 'number',
+            'starving?': 'boolean',
+            'workPriorities?': ['string'],
+            'scouts?': [SCOUT]
+        },
+        player_camera_updated: { playerId: 'string', camera: CAMERA },
+        entities_entered: { buildings: [BUILDING], players: [PLAYER] },
+        entities_left: { buildingIds: ['string'], playerIds: ['string'] },
+        chunks_data: {
+            chunks: [{ chunkKey: 'string', data: 'binary' }]
+        },
+        area_explored: { 'scoutId?': 'string', x: 'number', y: 'number', range: 'number' },
+        server_message: { message: 'string' },
+        kicked: { reason: 'string' },
+        error: { message: 'string' }
+    };
+
+    // Machine-readable reason codes sent with the *_rejected events, with the
+    // text clients show for them
+    const REJECTIONS = {
+        not_in_world: 'Join a world first',
+        unknown_building: 'Unknown building type',
+        locked: 'That building is not unlocked yet',
+        invalid_position: 'Invalid placement location',
+        insufficient_resources: 'Insufficient resources',
+        overlapping: 'Too close to another building',
+        invalid_terrain: 'Cannot build on that terrain',
+        invalid_target: 'Invalid scout target',
+        scouts_busy: 'All scouts are busy exploring',
+        scout_out_of_range: 'That is too far for a scout to travel',
+        building_not_found: 'That building no longer exists',
+        not_owner: 'That building belongs to another player',
+        max_level: 'That building is already at its highest level'
+    };
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function matchesType(type, value) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'number': return Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'object': return isPlainObject(value);
+            case 'binary': return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+            case 'any': return value !== undefined;
+            default: return false;
+        }
+    }
+
+    function validateValue(schema, value, path, errors) {
+        if (typeof schema === 'string') {
+            if (!schema.split('|').some(type => matchesType(type, value))) {
+                errors.push(`${path || 'payload'} should be ${schema}`);
+            }
+            return;
+        }
+
+        if (Array.isArray(schema)) {
+            if (!Array.isArray(value)) {
+                errors.push(`${path || 'payload'} should be a list`);
+                return;
+            }
+            value.forEach((item, index) => validateValue(schema[0], item, `${path}[${index}]`, errors));
+            return;
+        }
+
+        if (!isPlainObject(value)) {
+            errors.push(`${path || 'payload'} should be an object`);
+            return;
+        }
+
+        for (const [key, fieldSchema] of Object.entries(schema)) {
+            const optional = key.endsWith('?');
+            const name = optional ? key.slice(0, -1) : key;
+            const fieldValue = value[name];
+            const fieldPath = path ? `${path}.${name}` : name;
+
+            if (fieldValue === undefined || fieldValue === null) {
+                if (!optional) errors.push(`${fieldPath} is required`);
+                continue;
+            }
+
+            validateValue(fieldSchema, fieldValue, fieldPath, errors);
+        }
+    }
+
+    function validate(events, event, payload) {
+        const schema = events[event];
+        if (!schema) {
+            return { valid: false, errors: [`Unknown event ${event}`] };
+        }
+
+        const errors = [];
+        validateValue(schema, payload, '', errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    return {
+        VERSION,
+        MIN_VERSION,
+        CLIENT_EVENTS,
+        SERVER_EVENTS,
+        REJECTIONS,
+
+        isCompatible(version) {
+            return Number.isInteger(version) && version >= MIN_VERSION && version <= VERSION;
+        },
+
+        validateClientEvent(event, payload) {
+            return validate(CLIENT_EVENTS, event, payload);
+        },
+
+        validateServerEvent(event, payload) {
+            return validate(SERVER_EVENTS, event, payload);
+        }
+    };
+});
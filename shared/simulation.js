@@ -0,0 +1,603 @@
+// Game rules without any DOM or network: economy, placement and exploration.
+// The server runs worlds through it and both clients use the same functions
+// for their previews, so a rule only has to change here.
+//
+// A world state is a plain object { seed, players: Map, buildings: [], buildingCounter };
+// server/world.js instances have that shape. Players are
+// { id, resources, population, scouts, exploredAreas, explored }.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./buildings'),
+            require('./world-gen'),
+            require('./world-grid'),
+            require('./explored-map')
+        );
+    } else {
+        root.Simulation = factory(root.BuildingCatalog, root.WorldGen, root.WorldGrid, root.ExploredMap);
+    }
+})(typeof self !== 'undefined' ? self : this, function (BuildingCatalog, WorldGen, WorldGrid, ExploredMap) {
+    const RULES = {
+        productionInterval: 3000, // Buildings produce every 3 seconds
+        worldLimit: 1000000, // Furthest coordinate from the origin anything may use
+        startingResources: { food: 100, wood: 50, iron: 25, gold: 10 },
+        startingPopulation: 5,
+        baseHousing: 5, // Villagers the settlement has room for before any longhouse
+        populationGrowth: 1, // Villagers gained per production cycle while food and housing allow
+        foodUpkeep: 0.5, // Food each villager eats per production cycle
+        starvationLoss: 1, // Villagers lost per production cycle when the food runs out
+        scoutSpeed: 30, // World units per second
+        scoutRange: 60,
+        maxScoutDistance: 5000, // Furthest a scout can be sent from where it stands
+        demolishRefund: 0.5, // Share of the placement cost returned on demolition
+        relocateFee: 0.25 // Share of the placement cost charged to move a building
+    };
+
+    const RESOURCES = Object.keys(RULES.startingResources);
+
+    function createWorldState({ seed = WorldGen.randomSeed() } = {}) {
+        return { seed: WorldGen.normalizeSeed(seed), players: new Map(), buildings: [], buildingCounter: 0, productionElapsed: 0 };
+    }
+
+    function createScout(playerId, x, y, now = Date.now()) {
+        return {
+            id: `scout_${playerId}_${now}`,
+            x,
+            y,
+            speed: RULES.scoutSpeed,
+            target: null,
+            exploring: false,
+            health: 100,
+            range: RULES.scoutRange
+        };
+    }
+
+    function createPlayer(playerId, name, now = Date.now()) {
+        return {
+            id: playerId,
+            name,
+            resources: { ...RULES.startingResources },
+            population: RULES.startingPopulation,
+            workPriorities: BuildingCatalog.getWorkerTypes(),
+            camera: { x: 0, y: 0, scale: 1 },
+            scouts: [createScout(playerId, 0, 0, now)],
+            exploredAreas: [],
+            explored: new ExploredMap(),
+            joinedAt: now
+        };
+    }
+
+    // Economy
+
+    function canAfford(resources, cost) {
+        for (const [resource, amount] of Object.entries(cost)) {
+            if ((resources[resource] || 0) < amount) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function spendResources(resources, cost) {
+        for (const [resource, amount] of Object.entries(cost)) {
+            resources[resource] -= amount;
+        }
+        return resources;
+    }
+
+    function refundResources(resources, cost) {
+        for (const [resource, amount] of Object.entries(cost)) {
+            resources[resource] = (resources[resource] || 0) + amount;
+        }
+        return resources;
+    }
+
+    // Settlement bars, each 0-100. Happiness is a standing output: it comes
+    // from the buildings that stand, not from anything accrued per cycle.
+    function getStats(buildings) {
+        const count = type => buildings.filter(building => building.type === type).length;
+        const happiness = buildings.reduce((total, building) =>
+            total + (BuildingCatalog.getOutput(building.type, building.level).happiness || 0), 0);
+        return {
+            happiness: Math.min(100, 50 + happiness),
+            defense: Math.min(100, count('blacksmith') * 20),
+            prosperity: Math.min(100, 30 + count('tradingpost') * 25)
+        };
+    }
+
+    // Adds `cycles` worth of a building's output to a player. Outputs that
+    // aren't stockpiled (happiness) are left to getStats.
+    function applyOutput(player, produces, cycles = 1) {
+        for (const [resource, amount] of Object.entries(produces)) {
+            if (player.resources.hasOwnProperty(resource)) {
+                player.resources[resource] += amount * cycles;
+            }
+        }
+    }
+
+    // Applies one production cycle to every connected player: their buildings
+    // produce, the population eats, then grows or starves. `starving` is set
+    // when the food ran out. Settlements of players marked offline are paused,
+    // neither producing nor eating until they return. Returns the players
+    // whose totals changed.
+    function produce(world, now = Date.now()) {
+        const updatedPlayers = [];
+
+        for (const player of world.players.values()) {
+            if (player.online === false) continue;
+
+            const buildings = world.buildings.filter(building => building.playerId === player.id);
+            const output = getCycleOutput(player, buildings);
+            const upkeep = getFoodUpkeep(player);
+
+            applyOutput(player, output);
+            buildings.forEach(building => {
+                building.lastUpdate = now;
+            });
+
+            player.starving = player.resources.food < upkeep;
+            player.resources.food = Math.max(0, player.resources.food - upkeep);
+            player.population += getPopulationChange(player, buildings, (output.food || 0) - upkeep, player.starving);
+
+            updatedPlayers.push(player);
+        }
+
+        return updatedPlayers;
+    }
+
+    // Catches each building up on the whole cycles completed since its
+    // lastUpdate and returns how many were applied. Unlike tick, this works
+    // from timestamps, so time spent in a background tab still pays out.
+    // Staffing is taken as it stands now. Food upkeep is charged for the
+    // most cycles any building caught up on, so the prediction doesn't run
+    // ahead of the server; population changes are left to the server.
+    function accrueProduction(player, buildings, now = Date.now()) {
+        const { staffing } = assignWorkers(player, buildings);
+        let cycles = 0;
+        let playerCycles = 0;
+
+        buildings.forEach(building => {
+            const due = Math.floor((now - building.lastUpdate) / RULES.productionInterval);
+            if (!(due > 0)) return;
+
+            applyOutput(player, getStaffedOutput(building, staffing.get(building.id)), due);
+            building.lastUpdate += due * RULES.productionInterval;
+            cycles += due;
+            playerCycles = Math.max(playerCycles, due);
+        });
+
+        player.resources.food = Math.max(0, player.resources.food - getFoodUpkeep(player) * playerCycles);
+        return cycles;
+    }
+
+    // Workforce
+
+    // Building types in the order villagers fill them. Unknown and repeated
+    // types are dropped; types left out follow in catalog order.
+    function normalizeWorkPriorities(priorities) {
+        const workerTypes = BuildingCatalog.getWorkerTypes();
+        const ordered = [];
+        (Array.isArray(priorities) ? priorities : []).forEach(type => {
+            if (workerTypes.includes(type) && !ordered.includes(type)) ordered.push(type);
+        });
+        return [...ordered, ...workerTypes.filter(type => !ordered.includes(type))];
+    }
+
+    function getHousingCapacity(buildings) {
+        return buildings.reduce((total, building) =>
+            total + BuildingCatalog.getHousing(building.type, building.level), RULES.baseHousing);
+    }
+
+    // Fills worker slots from a player's population: one building type at a
+    // time in priority order, each type's buildings in placement order.
+    // `buildings` are the player's own.
+    function assignWorkers(player, buildings) {
+        const staffing = new Map(); // buildingId -> workers
+        let idle = player.population;
+
+        normalizeWorkPriorities(player.workPriorities).forEach(type => {
+            buildings.filter(building => building.type === type).forEach(building => {
+                const workers = Math.max(0, Math.min(idle, BuildingCatalog.getWorkerSlots(type)));
+                staffing.set(building.id, workers);
+                idle -= workers;
+            });
+        });
+        return { staffing, idle: Math.max(0, idle) };
+    }
+
+    // One cycle of a building's output with `workers` of its slots filled.
+    // Buildings without slots always run in full.
+    function getStaffedOutput(building, workers = 0) {
+        const slots = BuildingCatalog.getWorkerSlots(building.type);
+        const share = slots > 0 ? workers / slots : 1;
+        const output = {};
+        for (const [resource, amount] of Object.entries(BuildingCatalog.getOutput(building.type, building.level))) {
+            output[resource] = Math.floor(amount * share);
+        }
+        return output;
+    }
+
+    // One cycle of everything a player's buildings make as currently staffed
+    function getCycleOutput(player, buildings) {
+        const { staffing } = assignWorkers(player, buildings);
+        const output = {};
+
+        buildings.forEach(building => {
+            for (const [resource, amount] of Object.entries(getStaffedOutput(building, staffing.get(building.id)))) {
+                output[resource] = (output[resource] || 0) + amount;
+            }
+        });
+        return output;
+    }
+
+    function getFoodUpkeep(player) {
+        return player.population * RULES.foodUpkeep;
+    }
+
+    // Villagers gained or lost in a cycle whose food production minus upkeep
+    // is `foodBalance`. Starvation never takes the last villager; growth needs
+    // a food surplus and room in the housing.
+    function getPopulationChange(player, buildings, foodBalance, starving) {
+        if (starving) {
+            const loss = Math.min(RULES.starvationLoss, player.population - 1);
+            return loss > 0 ? -loss : 0;
+        }
+        if (foodBalance <= 0) return 0;
+
+        const room = getHousingCapacity(buildings) - player.population;
+        return Math.max(0, Math.min(RULES.populationGrowth, room));
+    }
+
+    // Net per-second rates for a player: staffed output minus the food the
+    // population eats, with growth or starvation under `population`
+    function getProductionRates(player, buildings) {
+        const rates = { food: 0, wood: 0, iron: 0, gold: 0, population: 0 };
+        const cyclesPerSecond = 1000 / RULES.productionInterval;
+        const output = getCycleOutput(player, buildings);
+        const upkeep = getFoodUpkeep(player);
+        const foodBalance = (output.food || 0) - upkeep;
+        const starving = player.resources.food + (output.food || 0) < upkeep;
+
+        for (const resource of RESOURCES) {
+            rates[resource] = (output[resource] || 0) * cyclesPerSecond;
+        }
+        rates.food = foodBalance * cyclesPerSecond;
+        rates.population = getPopulationChange(player, buildings, foodBalance, starving) * cyclesPerSecond;
+        return rates;
+    }
+
+    function setWorkPriorities(world, playerId, priorities) {
+        const player = world.players.get(playerId);
+        if (!player) return { error: 'not_in_world' };
+
+        player.workPriorities = normalizeWorkPriorities(priorities);
+        return { player };
+    }
+
+    // Placement
+
+    function isInBounds(x, y) {
+        return Number.isFinite(x) && Number.isFinite(y) &&
+            Math.abs(x) <= RULES.worldLimit && Math.abs(y) <= RULES.worldLimit;
+    }
+
+    function isOverlapping(buildings, buildingType, x, y) {
+        const buildingData = BuildingCatalog.getBuildingData(buildingType);
+        return buildings.some(building =>
+            Math.sqrt((building.x - x) ** 2 + (building.y - y) ** 2) < buildingData.size);
+    }
+
+    function isBuildableTerrain(seed, buildingType, x, y) {
+        // Every tile under the footprint must allow this building
+        const buildingData = BuildingCatalog.getBuildingData(buildingType);
+        const tileSize = WorldGrid.TILE_SIZE;
+        const startX = Math.floor(x / tileSize) * tileSize;
+        const startY = Math.floor(y / tileSize) * tileSize;
+
+        for (let tileX = startX; tileX < x + buildingData.size; tileX += tileSize) {
+            for (let tileY = startY; tileY < y + buildingData.size; tileY += tileSize) {
+                if (!BuildingCatalog.canBuildOn(buildingType, WorldGen.getTerrainAt(seed, tileX, tileY))) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    // First rule a placement breaks as a Protocol.REJECTIONS code, or null.
+    // `player.buildings` may list the player's own buildings; otherwise they
+    // are picked out of the world by playerId.
+    function getPlacementError(world, player, buildingType, x, y) {
+        if (!BuildingCatalog.getBuildingData(buildingType)) return 'unknown_building';
+
+        const ownBuildings = player.buildings || world.buildings.filter(b => b.playerId === player.id);
+        if (!BuildingCatalog.isUnlocked(buildingType, { buildings: ownBuildings, population: player.population })) {
+            return 'locked';
+        }
+        if (!isInBounds(x, y)) return 'invalid_position';
+        if (!canAfford(player.resources, BuildingCatalog.getBuildingData(buildingType).cost)) {
+            return 'insufficient_resources';
+        }
+        if (isOverlapping(world.buildings, buildingType, x, y)) return 'overlapping';
+        if (!isBuildableTerrain(world.seed, buildingType, x, y)) return 'invalid_terrain';
+        return null;
+    }
+
+    function placeBuilding(world, playerId, buildingType, x, y, now = Date.now()) {
+        const player = world.players.get(playerId);
+        if (!player) return { error: 'not_in_world' };
+
+        const error = getPlacementError(world, player, buildingType, x, y);
+        if (error) return { error };
+
+        const buildingData = BuildingCatalog.getBuildingData(buildingType);
+        const building = {
+            // Counted per world: the building count repeats after a demolish
+            id: `building_${playerId}_${now}_${++world.buildingCounter}`,
+            type: buildingType,
+            playerId,
+            x, y,
+            ...buildingData,
+            level: 1,
+            production: 0,
+            lastUpdate: now,
+            createdAt: now
+        };
+
+        spendResources(player.resources, buildingData.cost);
+        world.buildings.push(building);
+
+        return { building, player };
+    }
+
+    // Upgrades
+
+    function findBuilding(world, buildingId) {
+        return world.buildings.find(building => building.id === buildingId) || null;
+    }
+
+    function getOwnershipError(player, building) {
+        if (!building) return 'building_not_found';
+        if (building.playerId !== player.id) return 'not_owner';
+        return null;
+    }
+
+    // First rule an upgrade breaks as a Protocol.REJECTIONS code, or null
+    function getUpgradeError(player, building) {
+        const ownershipError = getOwnershipError(player, building);
+        if (ownershipError) return ownershipError;
+
+        const cost = BuildingCatalog.getUpgradeCost(building.type, building.level);
+        if (!cost) return 'max_level';
+        if (!canAfford(player.resources, cost)) return 'insufficient_resources';
+        return null;
+    }
+
+    // Raises a building one level; its `produces` becomes the new level's output
+    function upgradeBuilding(world, playerId, buildingId, now = Date.now()) {
+        const player = world.players.get(playerId);
+        if (!player) return { error: 'not_in_world' };
+
+        const building = findBuilding(world, buildingId);
+        const error = getUpgradeError(player, building);
+        if (error) return { error };
+
+        spendResources(player.resources, BuildingCatalog.getUpgradeCost(building.type, building.level));
+        building.level += 1;
+        building.produces = BuildingCatalog.getOutput(building.type, building.level);
+        building.upgradedAt = now;
+
+        return { building, player };
+    }
+
+    // Demolition and relocation
+
+    // A share of a cost in whole units, leaving out anything that rounds to nothing
+    function scaleCost(cost, share, round) {
+        const scaled = {};
+        for (const [resource, amount] of Object.entries(cost)) {
+            const value = round(amount * share);
+            if (value > 0) scaled[resource] = value;
+        }
+        return scaled;
+    }
+
+    function getDemolishRefund(buildingType) {
+        return scaleCost(BuildingCatalog.getBuildingData(buildingType).cost, RULES.demolishRefund, Math.floor);
+    }
+
+    function getRelocateFee(buildingType) {
+        return scaleCost(BuildingCatalog.getBuildingData(buildingType).cost, RULES.relocateFee, Math.ceil);
+    }
+
+    // Removes a building and pays back part of what it cost to place
+    function demolishBuilding(world, playerId, buildingId) {
+        const player = world.players.get(playerId);
+        if (!player) return { error: 'not_in_world' };
+
+        const building = findBuilding(world, buildingId);
+        const error = getOwnershipError(player, building);
+        if (error) return { error };
+
+        const refund = getDemolishRefund(building.type);
+        refundResources(player.resources, refund);
+        world.buildings.splice(world.buildings.indexOf(building), 1);
+
+        return { building, player, refund };
+    }
+
+    // First rule a move breaks as a Protocol.REJECTIONS code, or null. The
+    // building's own footprint doesn't count against its new spot.
+    function getRelocationError(world, player, building, x, y) {
+        const ownershipError = getOwnershipError(player, building);
+        if (ownershipError) return ownershipError;
+
+        if (!isInBounds(x, y)) return 'invalid_position';
+        if (!canAfford(player.resources, getRelocateFee(building.type))) return 'insufficient_resources';
+
+        const others = world.buildings.filter(other => other.id !== building.id);
+        if (isOverlapping(others, building.type, x, y)) return 'overlapping';
+        if (!isBuildableTerrain(world.seed, building.type, x, y)) return 'invalid_terrain';
+        return null;
+    }
+
+    // Moves a building for a fee; `from` is where it stood
+    function relocateBuilding(world, playerId, buildingId, x, y, now = Date.now()) {
+        const player = world.players.get(playerId);
+        if (!player) return { error: 'not_in_world' };
+
+        const building = findBuilding(world, buildingId);
+        const error = getRelocationError(world, player, building, x, y);
+        if (error) return { error };
+
+        const from = { x: building.x, y: building.y };
+        spendResources(player.resources, getRelocateFee(building.type));
+        building.x = x;
+        building.y = y;
+        building.relocatedAt = now;
+
+        return { building, player, from };
+    }
+
+    // Exploration
+
+    function sendScout(world, playerId, targetX, targetY) {
+        const player = world.players.get(playerId);
+        if (!player) return { error: 'not_in_world' };
+
+        if (!isInBounds(targetX, targetY)) {
+            return { error: 'invalid_target' };
+        }
+
+        const scout = player.scouts.find(s => !s.exploring);
+        if (!scout) return { error: 'scouts_busy' };
+
+        const distance = Math.sqrt((targetX - scout.x) ** 2 + (targetY - scout.y) ** 2);
+        if (distance > RULES.maxScoutDistance) {
+            return { error: 'scout_out_of_range' };
+        }
+
+        scout.target = { x: targetX, y: targetY };
+        scout.exploring = true;
+
+        return { scout };
+    }
+
+    // Moves exploring scouts and collects arrivals for the caller to announce
+    function updateScouts(world, deltaMs) {
+        const arrivals = [];
+        const movedPlayers = new Set();
+
+        for (const player of world.players.values()) {
+            for (const scout of player.scouts) {
+                if (!scout.exploring || !scout.target) continue;
+
+                const dx = scout.target.x - scout.x;
+                const dy = scout.target.y - scout.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const step = scout.speed * deltaMs / 1000;
+
+                if (distance <= step) {
+                    scout.x = scout.target.x;
+                    scout.y = scout.target.y;
+                    scout.target = null;
+                    scout.exploring = false;
+
+                    player.explored.revealCircle(scout.x, scout.y, scout.range);
+
+                    const areaKey = `${Math.floor(scout.x)},${Math.floor(scout.y)}`;
+                    if (!player.exploredAreas.includes(areaKey)) {
+                        player.exploredAreas.push(areaKey);
+                    }
+
+                    arrivals.push({ playerId: player.id, scout });
+                } else {
+                    scout.x += dx / distance * step;
+                    scout.y += dy / distance * step;
+                }
+
+                movedPlayers.add(player.id);
+            }
+        }
+
+        return { arrivals, movedPlayers };
+    }
+
+    // Driving a world
+
+    // Advances a world by deltaMs: scouts move every call, production runs
+    // once per productionInterval of accumulated time
+    function tick(world, deltaMs, now = Date.now()) {
+        const { arrivals, movedPlayers } = updateScouts(world, deltaMs);
+        const producedPlayers = new Set();
+
+        world.productionElapsed = (world.productionElapsed || 0) + deltaMs;
+        while (world.productionElapsed >= RULES.productionInterval) {
+            world.productionElapsed -= RULES.productionInterval;
+            produce(world, now).forEach(player => producedPlayers.add(player));
+        }
+
+        return { arrivals, movedPlayers, producedPlayers: Array.from(producedPlayers) };
+    }
+
+    // Runs one client action ({ type, payload }, as the clients queue them)
+    function applyAction(world, playerId, action, now = Date.now()) {
+        const payload = action.payload || {};
+        switch (action.type) {
+            case 'place_building':
+                return placeBuilding(world, playerId, payload.buildingType, payload.x, payload.y, now);
+            case 'send_scout':
+                return sendScout(world, playerId, payload.targetX, payload.targetY);
+            case 'upgrade_building':
+                return upgradeBuilding(world, playerId, payload.buildingId, now);
+            case 'demolish_building':
+                return demolishBuilding(world, playerId, payload.buildingId);
+            case 'relocate_building':
+                return relocateBuilding(world, playerId, payload.buildingId, payload.x, payload.y, now);
+            case 'set_work_priorities':
+                return setWorkPriorities(world, playerId, payload.priorities);
+            default:
+                return { error: 'unknown_action' };
+        }
+    }
+
+    return {
+        RULES,
+        RESOURCES,
+        createWorldState,
+        createPlayer,
+        createScout,
+        canAfford,
+        spendResources,
+        refundResources,
+        normalizeWorkPriorities,
+        getHousingCapacity,
+        assignWorkers,
+        getStaffedOutput,
+        getCycleOutput,
+        getFoodUpkeep,
+        getPopulationChange,
+        getProductionRates,
+        setWorkPriorities,
+        getStats,
+        produce,
+        accrueProduction,
+        isInBounds,
+        isOverlapping,
+        isBuildableTerrain,
+        getPlacementError,
+        placeBuilding,
+        findBuilding,
+        getUpgradeError,
+        upgradeBuilding,
+        getDemolishRefund,
+        getRelocateFee,
+        demolishBuilding,
+        getRelocationError,
+        relocateBuilding,
+        sendScout,
+        updateScouts,
+        tick,
+        applyAction
+    };
+});
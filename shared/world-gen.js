@@ -0,0 +1,182 @@
+// Seeded terrain generator shared by the server and both clients. Terrain is
+// a pure function of (seed, world x, world y), so every device that knows a
+// world's seed renders the same map at any tile size.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WorldGen = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // A fixed seed for tests and examples that need a known map
+    const DEMO_SEED = 20240917;
+
+    // Tile types in rough elevation order, with the color both clients draw them in
+    const TERRAIN = {
+        deep_water: { name: 'Deep water', color: '#1565c0' },
+        water: { name: 'Water', color: '#2196f3' },
+        sand: { name: 'Shore', color: '#d8c48a' },
+        grass: { name: 'Grassland', color: '#4caf50' },
+        forest: { name: 'Forest', color: '#2e7d32' },
+        hills: { name: 'Hills', color: '#8d6e63' },
+        mountain: { name: 'Mountain', color: '#757575' },
+        snow: { name: 'Snow', color: '#eceff1' }
+    };
+
+    // Noise layers; scale is in world units per noise cell
+    const LAYERS = {
+        elevation: { salt: 1, scale: 1400, octaves: 5 },
+        moisture: { salt: 2, scale: 900, octaves: 3 },
+        temperature: { salt: 3, scale: 3200, octaves: 2 }
+    };
+
+    // Eight unit gradients, picked per lattice point by the hash
+    const GRADIENTS = [
+        [1, 0], [-1, 0], [0, 1], [0, -1],
+        [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+        [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2]
+    ];
+
+    // Any seed (number or string) as an unsigned 32-bit integer
+    function normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        // FNV-1a over the text
+        let h = 0x811c9dc5;
+        for (const char of String(seed)) {
+            h = Math.imul(h ^ char.charCodeAt(0), 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    function randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // 32-bit integer hash of a seed and lattice point (murmur3 finalizer)
+    function hash(seed, x, y) {
+        let h = seed ^ Math.imul(x | 0, 0x27d4eb2d) ^ Math.imul(y | 0, 0x165667b1);
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    function fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    function lerp(a, b, t) {
+        return a + (b - a) * t;
+    }
+
+    function dotGradient(seed, cellX, cellY, x, y) {
+        const gradient = GRADIENTS[hash(seed, cellX, cellY) & 7];
+        return gradient[0] * (x - cellX) + gradient[1] * (y - cellY);
+    }
+
+    // Perlin gradient noise in roughly [-1, 1]
+    function gradientNoise(seed, x, y) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const u = fade(x - x0);
+        const v = fade(y - y0);
+
+        const top = lerp(dotGradient(seed, x0, y0, x, y), dotGradient(seed, x0 + 1, y0, x, y), u);
+        const bottom = lerp(dotGradient(seed, x0, y0 + 1, x, y), dotGradient(seed, x0 + 1, y0 + 1, x, y), u);
+        return lerp(top, bottom, v) * Math.SQRT2;
+    }
+
+    // Octaves of gradient noise, each at twice the frequency and half the weight
+    function fractalNoise(seed, x, y, octaves) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let total = 0;
+
+        for (let octave = 0; octave < octaves; octave++) {
+            value += gradientNoise(hash(seed, octave, 0), x * frequency, y * frequency) * amplitude;
+            total += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+
+        return value / total;
+    }
+
+    function sampleLayer(seed, layer, x, y) {
+        const { salt, scale, octaves } = LAYERS[layer];
+        return fractalNoise(hash(seed, salt, 0x5eed), x / scale, y / scale, octaves);
+    }
+
+    // Raw climate at a world position, each value in roughly [-1, 1]
+    function getClimateAt(seed, x, y) {
+        seed = normalizeSeed(seed);
+        const elevation = sampleLayer(seed, 'elevation', x, y);
+        return {
+            elevation,
+            moisture: sampleLayer(seed, 'moisture', x, y),
+            // High ground is colder
+            temperature: sampleLayer(seed, 'temperature', x, y) - Math.max(0, elevation) * 0.6
+        };
+    }
+
+    function classify({ elevation, moisture, temperature }) {
+        if (elevation < -0.3) return 'deep_water';
+        if (elevation < -0.15) return 'water';
+        if (elevation < -0.11) return 'sand';
+        if (elevation > 0.36) return temperature < -0.3 ? 'snow' : 'mountain';
+        if (temperature < -0.45) return 'snow';
+        if (elevation > 0.2) return 'hills';
+        if (moisture > 0.08) return 'forest';
+        return 'grass';
+    }
+
+    function getTerrainAt(seed, x, y) {
+        return classify(getClimateAt(seed, x, y));
+    }
+
+    // Tiles of one chunk, column by column (the order ChunkCodec stores them in)
+    function generateChunkTiles(seed, chunkX, chunkY, chunkSize, tileSize) {
+        seed = normalizeSeed(seed);
+        const worldX = chunkX * chunkSize;
+        const worldY = chunkY * chunkSize;
+        const tilesPerChunk = chunkSize / tileSize;
+        const tiles = [];
+
+        for (let tileX = 0; tileX < tilesPerChunk; tileX++) {
+            for (let tileY = 0; tileY < tilesPerChunk; tileY++) {
+                const localX = tileX * tileSize;
+                const localY = tileY * tileSize;
+                tiles.push({
+                    localX,
+                    localY,
+                    worldX: worldX + localX,
+                    worldY: worldY + localY,
+                    type: getTerrainAt(seed, worldX + localX, worldY + localY)
+                });
+            }
+        }
+
+        return tiles;
+    }
+
+    function getTerrainColor(type) {
+        return (TERRAIN[type] || TERRAIN.grass).color;
+    }
+
+    return {
+        DEMO_SEED,
+        TERRAIN,
+        normalizeSeed,
+        randomSeed,
+        hash,
+        gradientNoise,
+        fractalNoise,
+        getClimateAt,
+        getTerrainAt,
+        generateChunkTiles,
+        getTerrainColor
+    };
+});
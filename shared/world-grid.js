@@ -0,0 +1,46 @@
+// Canonical world grid shared by the server and both clients. Positions are
+// world units everywhere (buildings, scouts, cameras, interest areas); chunk
+// keys and request_chunks coordinates refer to CHUNK_SIZE squares of them.
+// Clients may rasterize a chunk at any resolution, but never change its size.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WorldGrid = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CHUNK_SIZE = 512; // World units per chunk side
+    const TILE_SIZE = 32; // World units per terrain tile side
+    const TILES_PER_CHUNK = CHUNK_SIZE / TILE_SIZE;
+
+    function getChunkCoords(worldX, worldY) {
+        return {
+            x: Math.floor(worldX / CHUNK_SIZE),
+            y: Math.floor(worldY / CHUNK_SIZE)
+        };
+    }
+
+    function getChunkKey(chunkX, chunkY) {
+        return `${chunkX},${chunkY}`;
+    }
+
+    function getChunkKeyAt(worldX, worldY) {
+        const { x, y } = getChunkCoords(worldX, worldY);
+        return getChunkKey(x, y);
+    }
+
+    // World position of a chunk's top-left corner
+    function getChunkOrigin(chunkX, chunkY) {
+        return { x: chunkX * CHUNK_SIZE, y: chunkY * CHUNK_SIZE };
+    }
+
+    return {
+        CHUNK_SIZE,
+        TILE_SIZE,
+        TILES_PER_CHUNK,
+        getChunkCoords,
+        getChunkKey,
+        getChunkKeyAt,
+        getChunkOrigin
+    };
+});
@@ -0,0 +1,159 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const config = require('../server/config');
+const GameServer = require('../server/game-server');
+const AdminConsole = require('../server/admin-console');
+const MemoryStorage = require('../server/storage/memory-storage');
+const Protocol = require('../shared/protocol');
+
+// Resolves with the payload of the next `event` the socket receives
+function next(socket, event) {
+    return new Promise(resolve => socket.once(event, resolve));
+}
+
+describe('admin console', () => {
+    let httpServer, gameServer, url, dataDir, defaultAuditLogPath;
+    const sockets = [];
+
+    // Collects everything the console prints
+    const output = {
+        text: '',
+        write(chunk) { this.text += chunk; }
+    };
+    let admin;
+
+    before(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vst-admin-'));
+        defaultAuditLogPath = config.auditLogPath;
+        config.auditLogPath = path.join(dataDir, 'audit.log');
+
+        httpServer = http.createServer();
+        gameServer = new GameServer(new Server(httpServer), new MemoryStorage());
+        await gameServer.load();
+        gameServer.start();
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        url = `http://localhost:${httpServer.address().port}`;
+        admin = new AdminConsole(gameServer, { output });
+    });
+
+    after(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await gameServer.stop();
+        gameServer.io.close();
+        config.auditLogPath = defaultAuditLogPath;
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    async function join(data = {}) {
+        const socket = connect(url, { auth: { protocolVersion: Protocol.VERSION }, transports: ['websocket'] });
+        sockets.push(socket);
+        await next(socket, 'connect');
+        const joined = next(socket, 'world_joined');
+        socket.emit('join_world', { playerName: 'Astrid', ...data });
+        return { socket, joined: await joined };
+    }
+
+    // Runs one command and returns what it printed and the audit entry it wrote
+    async function run(line) {
+        const [name, ...args] = line.split(' ');
+        output.text = '';
+        await admin.execute(name, args);
+
+        const lines = (await fs.readFile(config.auditLogPath, 'utf8')).trim().split('\n');
+        return { printed: output.text.trim(), entry: JSON.parse(lines[lines.length - 1]) };
+    }
+
+    test('worlds and players are listed', { timeout: 5000 }, async () => {
+        const { joined } = await join({ playerName: 'Leif' });
+
+        const worlds = await run('worlds');
+        assert.match(worlds.printed, new RegExp(`^${joined.worldId} `, 'm'));
+        const { at, ...entry } = worlds.entry;
+        assert.ok(!Number.isNaN(Date.parse(at)));
+        assert.deepEqual(entry, { command: 'worlds', args: [], ok: true });
+
+        const players = await run(`players ${joined.worldId}`);
+        assert.match(players.printed, new RegExp(`${joined.playerId}  "Leif"  ${joined.worldId}`));
+        assert.equal(players.entry.command, 'players');
+        assert.deepEqual(players.entry.args, [joined.worldId]);
+    });
+
+    test('kick disconnects the player', { timeout: 5000 }, async () => {
+        const { socket, joined } = await join();
+        const kicked = next(socket, 'kicked');
+        const disconnected = next(socket, 'disconnect');
+
+        const { printed, entry } = await run(`kick ${joined.playerId} too rowdy`);
+        assert.equal(printed, `Kicked ${joined.playerId}`);
+        assert.deepEqual(await kicked, { reason: 'too rowdy' });
+        await disconnected;
+        assert.equal(entry.command, 'kick');
+        assert.deepEqual(entry.args, [joined.playerId, 'too', 'rowdy']);
+        assert.equal(entry.ok, true);
+
+        // Once gone there is nobody to kick, and the failure is audited too
+        const again = await run(`kick ${joined.playerId}`);
+        assert.equal(again.printed, `${joined.playerId} is not connected`);
+        assert.equal(again.entry.ok, false);
+        assert.equal(again.entry.error, `${joined.playerId} is not connected`);
+    });
+
+    test('ban kicks the player and keeps them out', { timeout: 5000 }, async () => {
+        const { socket, joined } = await join();
+        const kicked = next(socket, 'kicked');
+
+        const { printed, entry } = await run(`ban ${joined.playerId} griefing`);
+        assert.equal(printed, `Banned ${joined.playerId}`);
+        assert.deepEqual(await kicked, { reason: 'You have been banned: griefing' });
+        assert.equal(entry.command, 'ban');
+        assert.equal(entry.ok, true);
+
+        const retry = connect(url, { auth: { protocolVersion: Protocol.VERSION }, transports: ['websocket'] });
+        sockets.push(retry);
+        await next(retry, 'connect');
+        const rejected = next(retry, 'world_join_rejected');
+        retry.emit('join_world', {
+            playerName: 'Astrid',
+            worldId: joined.worldId,
+            playerId: joined.playerId,
+            sessionToken: joined.sessionToken
+        });
+        assert.equal((await rejected).reason, 'You are banned from this server');
+
+        const unknown = await run('ban player_nobody');
+        assert.equal(unknown.entry.ok, false);
+        assert.equal(unknown.entry.error, 'Unknown player player_nobody');
+    });
+
+    test('reset kicks everyone and empties the world', { timeout: 5000 }, async () => {
+        const { socket, joined } = await join();
+        const kicked = next(socket, 'kicked');
+
+        const { printed, entry } = await run(`reset ${joined.worldId}`);
+        assert.equal(printed, `Reset ${joined.worldId}`);
+        assert.deepEqual(await kicked, { reason: 'This world was reset by an administrator' });
+
+        const world = gameServer.worlds.get(joined.worldId);
+        assert.equal(world.players.size, 0);
+        assert.deepEqual(world.buildings, []);
+        assert.deepEqual(entry.args, [joined.worldId]);
+        assert.equal(entry.ok, true);
+    });
+
+    test('bad commands are reported and audited', async () => {
+        const missing = await run('reset');
+        assert.equal(missing.printed, 'Usage: reset <worldId>');
+        assert.equal(missing.entry.ok, false);
+
+        const unknown = await run('shout hello');
+        assert.equal(unknown.printed, 'Unknown command "shout" - try help');
+        assert.deepEqual(unknown.entry.args, ['hello']);
+        assert.equal(unknown.entry.ok, false);
+    });
+});
@@ -0,0 +1,82 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../server/config');
+const AntiCheat = require('../server/anti-cheat');
+
+// Records `count` violations and returns the non-null outcomes
+function repeat(antiCheat, count, playerId = 'player_1', code = 'invalid_position') {
+    const outcomes = [];
+    for (let i = 0; i < count; i++) {
+        const outcome = antiCheat.record(playerId, code);
+        if (outcome) outcomes.push(outcome);
+    }
+    return outcomes;
+}
+
+describe('anti-cheat', () => {
+    test('only suspicious codes from known players are counted', t => {
+        t.mock.method(Date, 'now', () => 0);
+        const antiCheat = new AntiCheat();
+
+        assert.deepEqual(repeat(antiCheat, 50, 'player_1', 'insufficient_resources'), []);
+        assert.deepEqual(repeat(antiCheat, 50, null), []);
+        assert.equal(antiCheat.records.size, 0);
+
+        antiCheat.record('player_1', 'unknown_building');
+        antiCheat.record('player_1', 'invalid_camera');
+        const record = antiCheat.records.get('player_1');
+        assert.equal(record.total, 2);
+        assert.equal(record.lastCode, 'invalid_camera');
+    });
+
+    test('players are flagged once on reaching the threshold', t => {
+        t.mock.method(Date, 'now', () => 1000);
+        const antiCheat = new AntiCheat();
+
+        assert.deepEqual(repeat(antiCheat, config.violationThreshold - 1), []);
+        assert.equal(antiCheat.isFlagged('player_1'), false);
+        assert.equal(antiCheat.record('player_1', 'not_owner'), 'flag');
+        assert.equal(antiCheat.isFlagged('player_1'), true);
+
+        // Further violations don't flag them again
+        assert.equal(antiCheat.record('player_1', 'not_owner'), null);
+        assert.deepEqual(antiCheat.getFlagged(), [{
+            playerId: 'player_1',
+            total: config.violationThreshold + 1,
+            lastCode: 'not_owner',
+            flaggedAt: 1000
+        }]);
+        assert.equal(antiCheat.isFlagged('player_2'), false);
+    });
+
+    test('violations older than the window no longer count', t => {
+        let now = 0;
+        t.mock.method(Date, 'now', () => now);
+        const antiCheat = new AntiCheat();
+
+        repeat(antiCheat, config.violationThreshold - 1);
+        now = config.violationWindow; // The earlier ones have aged out
+        assert.deepEqual(repeat(antiCheat, config.violationThreshold - 1), []);
+        assert.equal(antiCheat.isFlagged('player_1'), false);
+        assert.equal(antiCheat.records.get('player_1').total, 2 * (config.violationThreshold - 1));
+
+        assert.equal(antiCheat.record('player_1', 'invalid_target'), 'flag');
+    });
+
+    test('flagged players who keep going are disconnected', t => {
+        let now = 1000;
+        t.mock.method(Date, 'now', () => now);
+        const antiCheat = new AntiCheat();
+
+        assert.deepEqual(repeat(antiCheat, config.violationDisconnectThreshold), ['flag', 'disconnect']);
+
+        // A new connection gets the full allowance again, and stays flagged
+        assert.deepEqual(repeat(antiCheat, config.violationDisconnectThreshold - 1), []);
+        assert.deepEqual(repeat(antiCheat, 1), ['disconnect']);
+        assert.equal(antiCheat.isFlagged('player_1'), true);
+
+        // Slow offenders stay connected
+        now += config.violationWindow;
+        assert.deepEqual(repeat(antiCheat, config.violationDisconnectThreshold - 1), []);
+    });
+});
@@ -0,0 +1,65 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ChunkCodec = require('../shared/chunk-codec');
+const WorldGen = require('../shared/world-gen');
+const WorldGrid = require('../shared/world-grid');
+
+function createChunk(x, y, typeAt) {
+    const tilesPerSide = WorldGrid.CHUNK_SIZE / WorldGrid.TILE_SIZE;
+    const tiles = [];
+    for (let i = 0; i < tilesPerSide * tilesPerSide; i++) {
+        tiles.push({ type: typeAt(i) });
+    }
+    return { x, y, tileSize: WorldGrid.TILE_SIZE, tiles };
+}
+
+function tileTypes(chunk) {
+    return chunk.tiles.map(tile => tile.type);
+}
+
+describe('chunk codec', () => {
+    test('generated terrain survives a round trip', () => {
+        const { CHUNK_SIZE, TILE_SIZE } = WorldGrid;
+        [[0, 0], [-3, 7], [12, -40]].forEach(([x, y]) => {
+            const chunk = {
+                x, y,
+                tileSize: TILE_SIZE,
+                tiles: WorldGen.generateChunkTiles(WorldGen.DEMO_SEED, x, y, CHUNK_SIZE, TILE_SIZE)
+            };
+            const decoded = ChunkCodec.decode(ChunkCodec.encode(chunk));
+
+            assert.equal(decoded.x, x);
+            assert.equal(decoded.y, y);
+            assert.equal(decoded.worldX, x * CHUNK_SIZE);
+            assert.equal(decoded.worldY, y * CHUNK_SIZE);
+            assert.deepEqual(tileTypes(decoded), tileTypes(chunk));
+            decoded.tiles.forEach((tile, i) => {
+                assert.equal(tile.worldX, chunk.tiles[i].worldX);
+                assert.equal(tile.worldY, chunk.tiles[i].worldY);
+            });
+        });
+    });
+
+    test('uniform and noisy chunks round-trip through both body encodings', () => {
+        const uniform = createChunk(1, 2, () => 'grass');
+        const noisy = createChunk(1, 2, i => ['grass', 'forest', 'hills', 'water', 'sand'][(i * 7) % 5]);
+
+        const runs = ChunkCodec.encode(uniform);
+        const packed = ChunkCodec.encode(noisy);
+        assert.ok(runs.length < 40, `uniform chunk took ${runs.length} bytes`);
+
+        assert.deepEqual(tileTypes(ChunkCodec.decode(runs)), tileTypes(uniform));
+        assert.deepEqual(tileTypes(ChunkCodec.decode(packed)), tileTypes(noisy));
+        // Socket.IO hands binary over as an ArrayBuffer in browsers
+        assert.deepEqual(tileTypes(ChunkCodec.decode(packed.slice().buffer)), tileTypes(noisy));
+    });
+
+    test('unreadable data is refused', () => {
+        const data = ChunkCodec.encode(createChunk(0, 0, () => 'grass'));
+
+        assert.throws(() => ChunkCodec.decode([1, 2, 3]), /not binary/);
+        const wrongVersion = data.slice();
+        wrongVersion[0] = ChunkCodec.VERSION + 1;
+        assert.throws(() => ChunkCodec.decode(wrongVersion), /format version/);
+    });
+});
@@ -0,0 +1,61 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ExploredMap = require('../shared/explored-map');
+
+const { CELL_SIZE, CHUNK_CELLS } = ExploredMap;
+
+describe('explored map', () => {
+    test('diffs carry only the fog chunks changed since the last one', () => {
+        const map = new ExploredMap();
+        map.revealCircle(100, 100, 40);
+        map.exploreCell(CHUNK_CELLS * 3, -1);
+
+        const diff = map.takeDirty();
+        assert.deepEqual(Object.keys(diff).sort(), ['0,0', '3,-1']);
+        assert.deepEqual(map.takeDirty(), {});
+
+        // Cells already explored don't dirty their chunk again
+        assert.equal(map.revealCircle(100, 100, 40), 0);
+        assert.deepEqual(map.takeDirty(), {});
+    });
+
+    test('merging a diff or a full map reproduces the explored cells', () => {
+        const scout = new ExploredMap();
+        scout.revealCircle(-300, 700, 64);
+        const revealed = scout.serialize();
+
+        const copy = new ExploredMap();
+        copy.merge(scout.takeDirty());
+        assert.deepEqual(copy.serialize(), revealed);
+        assert.equal(copy.isExplored(-300, 700), true);
+        assert.equal(copy.isExplored(-300 + 10 * CELL_SIZE, 700), false);
+
+        // Merging is an OR: nothing already explored is lost
+        const other = new ExploredMap();
+        other.revealCircle(2000, 2000, 32);
+        copy.merge(other.serialize());
+        assert.equal(copy.isExplored(-300, 700), true);
+        assert.equal(copy.isExplored(2000, 2000), true);
+        // Merged cells came from elsewhere, so there is nothing to send back
+        assert.deepEqual(copy.takeDirty(), {});
+    });
+
+    test('bad input is ignored', () => {
+        const map = new ExploredMap();
+        const chunk = new ExploredMap();
+        chunk.exploreCell(0, 0);
+        const encoded = chunk.serialize()['0,0'];
+
+        assert.equal(map.mergeChunk('0;0', encoded), false);
+        assert.equal(map.mergeChunk('1,1', 42), false);
+        assert.equal(map.mergeChunk('1,1', encoded.slice(0, 8)), false);
+        assert.equal(map.mergeChunk('1,1', '!!!not base64!!!'), false);
+        assert.equal(map.revealCircle(NaN, 0, 10), 0);
+        map.merge(null);
+        map.merge('0,0');
+        assert.deepEqual(map.serialize(), {});
+
+        assert.equal(map.mergeChunk('-1,2', encoded), true);
+        assert.equal(map.isCellExplored(-CHUNK_CELLS, 2 * CHUNK_CELLS), true);
+    });
+});
@@ -0,0 +1,63 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('../server/storage/file-storage');
+
+describe('file storage', () => {
+    let dataDir, storage;
+
+    beforeEach(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vst-storage-'));
+        storage = new FileStorage({ dataDir });
+        await storage.open();
+    });
+
+    afterEach(async () => {
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('worlds are written in place and read back', async () => {
+        await storage.saveWorlds([{ id: 'world_1', name: 'Midgard' }, { id: 'world_2', name: 'Asgard' }]);
+        await storage.saveWorlds([{ id: 'world_1', name: 'Midgard reborn' }]);
+
+        // Only finished files are left, no temporary ones
+        assert.deepEqual((await fs.readdir(storage.worldsDir)).sort(), ['world_1.json', 'world_2.json']);
+        const names = (await storage.loadWorlds()).map(record => record.name).sort();
+        assert.deepEqual(names, ['Asgard', 'Midgard reborn']);
+
+        await storage.deleteWorlds(['world_2', 'world_9']);
+        assert.deepEqual((await storage.loadWorlds()).map(record => record.id), ['world_1']);
+    });
+
+    test('a failed write leaves the previous file intact', async t => {
+        await storage.saveWorlds([{ id: 'world_1', name: 'Midgard' }]);
+        t.mock.method(fs, 'rename', async () => {
+            throw Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+        });
+
+        await assert.rejects(storage.saveWorlds([{ id: 'world_1', name: 'Half written' }]), /disk full/);
+        t.mock.restoreAll();
+
+        assert.deepEqual((await storage.loadWorlds()).map(record => record.name), ['Midgard']);
+    });
+
+    test('unreadable world files are skipped', async () => {
+        await storage.saveWorlds([{ id: 'world_1', name: 'Midgard' }]);
+        await fs.writeFile(path.join(storage.worldsDir, 'world_2.json'), '{"id": "world_2", "na');
+        await fs.writeFile(path.join(storage.worldsDir, 'world_3.json.tmp'), '{}');
+
+        assert.deepEqual((await storage.loadWorlds()).map(record => record.id), ['world_1']);
+    });
+
+    test('world ids cannot escape the data directory', async () => {
+        await assert.rejects(storage.saveWorlds([{ id: '../identities' }]), /Invalid world id/);
+    });
+
+    test('identities start empty and round-trip', async () => {
+        assert.deepEqual(await storage.loadIdentities(), []);
+        await storage.saveIdentities([{ playerId: 'player_1', tokenHash: 'ab' }]);
+        assert.deepEqual(await storage.loadIdentities(), [{ playerId: 'player_1', tokenHash: 'ab' }]);
+    });
+});
@@ -0,0 +1,336 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const config = require('../server/config');
+const GameServer = require('../server/game-server');
+const World = require('../server/world');
+const MemoryStorage = require('../server/storage/memory-storage');
+const Protocol = require('../shared/protocol');
+const Simulation = require('../shared/simulation');
+const ChunkCodec = require('../shared/chunk-codec');
+
+// Resolves with the payload of the next `event` the socket receives
+function next(socket, event) {
+    return new Promise(resolve => socket.once(event, resolve));
+}
+
+describe('game server', () => {
+    let httpServer, gameServer, url;
+    const sockets = [];
+
+    before(async () => {
+        httpServer = http.createServer();
+        gameServer = new GameServer(new Server(httpServer), new MemoryStorage());
+        await gameServer.load();
+        gameServer.start();
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        url = `http://localhost:${httpServer.address().port}`;
+    });
+
+    after(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await gameServer.stop();
+        gameServer.io.close();
+    });
+
+    async function join(data = {}) {
+        const socket = connect(url, { auth: { protocolVersion: Protocol.VERSION }, transports: ['websocket'] });
+        sockets.push(socket);
+        await next(socket, 'connect');
+        const joined = next(socket, 'world_joined');
+        socket.emit('join_world', { playerName: 'Astrid', ...data });
+        return { socket, joined: await joined };
+    }
+
+    test('large chunk requests are answered in several messages', { timeout: 5000 }, async () => {
+        const { socket } = await join();
+        const chunkCoords = [];
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) chunkCoords.push({ x, y });
+        }
+
+        const batches = [];
+        let received = 0;
+        const done = new Promise(resolve => socket.on('chunks_data', data => {
+            batches.push(data.chunks.length);
+            received += data.chunks.length;
+            if (received === chunkCoords.length) resolve();
+        }));
+        socket.emit('request_chunks', { chunkCoords });
+        await done;
+
+        assert.deepEqual(batches, [10, 10, 5]);
+        assert.ok(batches.every(size => size <= config.maxChunksPerMessage));
+    });
+
+    test('worlds outlive their players leaving', { timeout: 5000 }, async () => {
+        const { socket: creator } = await join();
+        const created = next(creator, 'world_created');
+        const joined = next(creator, 'world_joined');
+        creator.emit('create_world', { name: 'Hall', password: 'mead', playerName: 'Astrid' });
+        const { worldId } = await created;
+        await joined;
+        creator.disconnect();
+
+        const { socket, joined: openJoined } = await join();
+        const openWorldId = openJoined.worldData.id;
+        socket.disconnect();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.ok(gameServer.worlds.has(worldId));
+        assert.ok(gameServer.worlds.has(openWorldId));
+    });
+
+    test('idle matchmaking worlds are removed, others stay', () => {
+        const now = Date.now();
+        const later = now + config.idleWorldExpiry;
+        const idle = gameServer.createWorld();
+        const created = gameServer.createWorld({ createdByPlayer: true });
+        const built = gameServer.createWorld();
+        built.addBuilding({ id: 'b1', type: 'farm', playerId: 'p1', x: 0, y: 0 });
+        const visited = gameServer.createWorld();
+        visited.connectPlayer('p2', 'Bjorn');
+        visited.disconnectPlayer('p2');
+        visited.players.get('p2').lastSeen = now + 5000;
+        const occupied = gameServer.createWorld();
+        occupied.connectPlayer('p3', 'Sigrid');
+        [idle, created, built, visited, occupied].forEach(world => {
+            world.createdAt = now;
+        });
+
+        gameServer.removeIdleWorlds(later - 1000);
+        assert.ok(gameServer.worlds.has(idle.id));
+
+        gameServer.removeIdleWorlds(later);
+        assert.ok(!gameServer.worlds.has(idle.id));
+        assert.ok(gameServer.deletedWorlds.has(idle.id));
+        [created, built, visited, occupied].forEach(world => assert.ok(gameServer.worlds.has(world.id)));
+
+        // The departed player's visit counts from when they left
+        gameServer.removeIdleWorlds(later + 5000);
+        assert.ok(!gameServer.worlds.has(visited.id));
+        assert.ok(gameServer.worlds.has(occupied.id));
+    });
+
+    test('locked worlds check the password', { timeout: 5000 }, async () => {
+        const { socket: creator } = await join();
+        const created = next(creator, 'world_created');
+        creator.emit('create_world', { name: 'Vault', password: 'mead', playerName: 'Astrid' });
+        const { worldId } = await created;
+        assert.match(gameServer.worlds.get(worldId).passwordHash, /^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/);
+
+        const { socket } = await join();
+        const rejected = next(socket, 'world_join_rejected');
+        socket.emit('join_world', { worldId, playerName: 'Bjorn', password: 'ale' });
+        assert.equal((await rejected).reason, 'Wrong password');
+
+        const joined = next(socket, 'world_joined');
+        socket.emit('join_world', { worldId, playerName: 'Bjorn', password: 'mead' });
+        assert.equal((await joined).worldData.id, worldId);
+    });
+
+    test('a valid session token reclaims the same player', { timeout: 5000 }, async () => {
+        const { socket: first, joined } = await join();
+        const { playerId, sessionToken } = joined;
+        const world = gameServer.worlds.get(joined.worldId);
+        world.players.get(playerId).resources.gold = 777;
+        first.disconnect();
+
+        const { joined: resumed } = await join({ worldId: joined.worldId, playerId, sessionToken });
+        assert.equal(resumed.playerId, playerId);
+        assert.equal(resumed.sessionToken, sessionToken);
+        assert.equal(resumed.playerData.resources.gold, 777);
+    });
+
+    test('a forged session token gets a fresh identity', { timeout: 5000 }, async () => {
+        const { joined } = await join();
+        const { joined: forged } = await join({ worldId: joined.worldId, playerId: joined.playerId, sessionToken: 'forged' });
+
+        assert.notEqual(forged.playerId, joined.playerId);
+        assert.notEqual(forged.sessionToken, joined.sessionToken);
+        assert.ok(gameServer.worlds.get(joined.worldId).players.has(forged.playerId));
+    });
+
+    test('signing in again takes over the older connection', { timeout: 5000 }, async () => {
+        const { socket: first, joined } = await join();
+        const warned = next(first, 'error');
+        const dropped = next(first, 'disconnect');
+
+        const { socket: second } = await join({ worldId: joined.worldId, playerId: joined.playerId, sessionToken: joined.sessionToken });
+        assert.equal((await warned).message, 'Signed in from another device');
+        await dropped;
+        assert.equal(gameServer.playerSockets.get(joined.playerId), second.id);
+        assert.equal(gameServer.worlds.get(joined.worldId).players.get(joined.playerId).online, true);
+    });
+
+    test('refused joins issue no identity', { timeout: 5000 }, async () => {
+        const { socket } = await join();
+        const world = gameServer.createWorld({ passwordHash: await World.hashPassword('mead'), createdByPlayer: true });
+        const issued = gameServer.identities.identities.size;
+
+        for (let i = 0; i < 3; i++) {
+            const rejected = next(socket, 'world_join_rejected');
+            socket.emit('join_world', { worldId: world.id, playerName: 'Bjorn', playerId: 'player_x', sessionToken: 'forged' });
+            await rejected;
+        }
+        assert.equal(gameServer.identities.identities.size, issued);
+    });
+
+    test('sockets that keep flooding are disconnected', { timeout: 5000 }, async () => {
+        const { socket } = await join();
+        const warned = next(socket, 'error');
+        const disconnected = next(socket, 'disconnect');
+
+        const { burst } = config.rateLimits.save_fog_of_war;
+        for (let i = 0; i < burst + config.floodThreshold; i++) {
+            socket.emit('save_fog_of_war', { exploredChunks: {} });
+        }
+
+        assert.equal((await warned).message, 'Too many requests - slow down');
+        assert.equal(await disconnected, 'io server disconnect');
+    });
+
+    test('flagged players who keep cheating are disconnected', { timeout: 5000 }, async () => {
+        const { socket } = await join();
+        const kicked = next(socket, 'error');
+        const disconnected = next(socket, 'disconnect');
+
+        for (let i = 0; i < config.violationDisconnectThreshold; i++) {
+            socket.emit('place_building', { buildingType: 'dragon_lair', x: 0, y: 0 });
+        }
+
+        assert.equal((await kicked).message, 'Disconnected for sending invalid requests');
+        assert.equal(await disconnected, 'io server disconnect');
+    });
+
+    // A world of its own, so players from other tests stay out of view
+    async function createWorld(name) {
+        const { socket } = await join();
+        const created = next(socket, 'world_created');
+        const joined = next(socket, 'world_joined');
+        socket.emit('create_world', { name, password: 'mead', playerName: 'Astrid' });
+        const { worldId } = await created;
+        return { socket, worldId, joined: await joined };
+    }
+
+    // Interest is inclusive of its right and bottom edges, as the clients send it
+    function chunkArea(chunkX, chunkY, radius = 0) {
+        return {
+            left: (chunkX - radius) * config.chunkSize,
+            top: (chunkY - radius) * config.chunkSize,
+            right: (chunkX + radius + 1) * config.chunkSize - 1,
+            bottom: (chunkY + radius + 1) * config.chunkSize - 1
+        };
+    }
+
+    // Waits until the server has handled everything the socket sent so far
+    async function roundTrip(socket) {
+        const reply = next(socket, 'chunks_data');
+        socket.emit('request_chunks', { chunkCoords: [{ x: 0, y: 0 }] });
+        await reply;
+    }
+
+    test('players entering and leaving the watched area are reported', { timeout: 5000 }, async () => {
+        const { socket: watcher, worldId } = await createWorld('Watchtower');
+        const { socket: mover, joined } = await join({ worldId, password: 'mead', playerName: 'Leif' });
+
+        watcher.emit('update_interest', { area: chunkArea(40, 40) });
+        await roundTrip(watcher);
+        const session = gameServer.sessions.get(watcher.id);
+        assert.deepEqual([...session.interest], ['40,40']);
+
+        const entered = next(watcher, 'entities_entered');
+        mover.emit('update_camera', { camera: { x: 40 * config.chunkSize + 10, y: 40 * config.chunkSize + 10, scale: 1 } });
+        const { players, buildings } = await entered;
+        assert.deepEqual(players.map(player => player.player_id), [joined.playerId]);
+        assert.deepEqual(buildings, []);
+
+        // Just past the right edge is out of view again
+        const left = next(watcher, 'entities_left');
+        mover.emit('update_camera', { camera: { x: 41 * config.chunkSize, y: 40 * config.chunkSize + 10, scale: 1 } });
+        assert.deepEqual(await left, { buildingIds: [], playerIds: [joined.playerId] });
+    });
+
+    test('buildings entering and leaving the watched area are reported', { timeout: 5000 }, async () => {
+        const { socket, worldId } = await createWorld('Longhouse');
+        const world = gameServer.worlds.get(worldId);
+        world.addBuilding({
+            id: 'building_far',
+            type: 'house',
+            playerId: 'player_other',
+            x: 30 * config.chunkSize + 100,
+            y: -20 * config.chunkSize + 100
+        });
+
+        const entered = next(socket, 'entities_entered');
+        socket.emit('update_interest', { area: chunkArea(30, -20, 1) });
+        assert.deepEqual((await entered).buildings.map(b => b.id), ['building_far']);
+        assert.equal(gameServer.sessions.get(socket.id).interest.size, 9);
+
+        const left = next(socket, 'entities_left');
+        socket.emit('update_interest', { area: chunkArea(0, 0, 1) });
+        assert.deepEqual(await left, { buildingIds: ['building_far'], playerIds: [] });
+    });
+
+    test('interest areas outside the world are refused', { timeout: 5000 }, async () => {
+        const { socket, joined } = await createWorld('Edge');
+        socket.emit('update_interest', { area: chunkArea(3, 3) });
+        await roundTrip(socket);
+        const session = gameServer.sessions.get(socket.id);
+
+        const limit = Simulation.RULES.worldLimit;
+        socket.emit('update_interest', { area: { left: limit - 100, top: 0, right: limit + 100, bottom: 100 } });
+        socket.emit('update_interest', { area: { left: 500, top: 0, right: 100, bottom: 100 } });
+        await roundTrip(socket);
+
+        assert.deepEqual([...session.interest], ['3,3']);
+        const record = gameServer.antiCheat.records.get(joined.playerId);
+        assert.equal(record.total, 2);
+        assert.equal(record.lastCode, 'invalid_area');
+    });
+
+    test('clients that predate demolish and relocate are refused', { timeout: 5000 }, async () => {
+        const socket = connect(url, { auth: { protocolVersion: 8 }, transports: ['websocket'] });
+        sockets.push(socket);
+        const error = await next(socket, 'connect_error');
+        assert.equal(error.data.code, 'protocol_mismatch');
+        assert.equal(error.data.minProtocolVersion, Protocol.MIN_VERSION);
+    });
+
+    test('chunks arrive decodable', async () => {
+        const { socket } = await join();
+        const reply = next(socket, 'chunks_data');
+        socket.emit('request_chunks', { chunkCoords: [{ x: -2, y: 3 }] });
+        const [chunk] = (await reply).chunks;
+
+        const decoded = ChunkCodec.decode(chunk.data);
+        assert.equal(decoded.x, -2);
+        assert.equal(decoded.y, 3);
+        assert.equal(decoded.tiles.length, (config.chunkSize / config.tileSize) ** 2);
+    });
+});
+
+describe('saving', () => {
+    test('failed batches are retried with the next one', async t => {
+        const storage = new MemoryStorage();
+        const gameServer = new GameServer(null, storage);
+        const world = gameServer.createWorld({ name: 'Midgard' });
+        gameServer.identities.issue();
+
+        const saveWorlds = t.mock.method(storage, 'saveWorlds', async () => {
+            throw new Error('disk full');
+        });
+        await gameServer.flush();
+        assert.equal(saveWorlds.mock.callCount(), 1);
+        assert.equal(storage.worlds.size, 0);
+        assert.ok(gameServer.dirtyWorlds.has(world.id));
+
+        saveWorlds.mock.restore();
+        await gameServer.flush();
+        assert.equal(storage.worlds.get(world.id).name, 'Midgard');
+        assert.equal(storage.identities.length, 1);
+        assert.equal(gameServer.dirtyWorlds.size, 0);
+    });
+});
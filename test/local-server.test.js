@@ -0,0 +1,175 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const LocalServer = require('../shared/local-server');
+const Protocol = require('../shared/protocol');
+const ChunkCodec = require('../shared/chunk-codec');
+const Simulation = require('../shared/simulation');
+const BuildingCatalog = require('../shared/buildings');
+const WorldGen = require('../shared/world-gen');
+const { SCHEMA_VERSION } = require('../shared/migrations');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value)
+    };
+}
+
+// Resolves with the payload of the next `event` the socket receives
+function next(socket, event) {
+    return new Promise(resolve => socket.on(event, resolve));
+}
+
+// Connects and joins, checking every server event against the protocol
+async function join(server, data = {}) {
+    const socket = server.connect({ protocolVersion: Protocol.VERSION });
+    socket.invalid = [];
+    Object.keys(Protocol.SERVER_EVENTS).forEach(event => socket.on(event, payload => {
+        const { valid, errors } = Protocol.validateServerEvent(event, payload);
+        if (!valid) socket.invalid.push(`${event}: ${errors.join(', ')}`);
+    }));
+
+    await next(socket, 'connect');
+    const joined = next(socket, 'world_joined');
+    socket.emit('join_world', { playerName: 'Astrid', ...data });
+    return { socket, joined: await joined };
+}
+
+function findLand(seed) {
+    for (let x = 0; x < 4000; x += 64) {
+        if (Simulation.isBuildableTerrain(seed, 'farm', x, 0)) return { x, y: 0 };
+    }
+    throw new Error('No buildable land near the origin');
+}
+
+describe('local server', () => {
+    test('placements are answered like the online server', async () => {
+        const { socket, joined } = await join(new LocalServer());
+        const { x, y } = findLand(joined.worldData.seed);
+
+        socket.emit('place_building', { buildingType: 'farm', x, y, actionId: 'a1' });
+        const placed = await next(socket, 'building_placed');
+        assert.equal(placed.actionId, 'a1');
+        assert.equal(placed.playerResources.wood, Simulation.RULES.startingResources.wood - 15);
+
+        socket.emit('place_building', { buildingType: 'farm', x, y, actionId: 'a2' });
+        const rejected = await next(socket, 'building_rejected');
+        assert.deepEqual(rejected, { code: 'overlapping', reason: Protocol.REJECTIONS.overlapping, actionId: 'a2' });
+
+        assert.deepEqual(socket.invalid, []);
+        socket.disconnect();
+    });
+
+    test('buildings can be moved and demolished', async () => {
+        const { socket, joined } = await join(new LocalServer());
+        const { x, y } = findLand(joined.worldData.seed);
+        socket.emit('place_building', { buildingType: 'farm', x, y });
+        const { building } = await next(socket, 'building_placed');
+
+        socket.emit('relocate_building', { buildingId: building.id, x, y, actionId: 'm1' });
+        const relocated = await next(socket, 'building_relocated');
+        assert.equal(relocated.actionId, 'm1');
+        assert.equal(relocated.building.id, building.id);
+
+        socket.emit('demolish_building', { buildingId: building.id, actionId: 'd1' });
+        const demolished = await next(socket, 'building_demolished');
+        assert.equal(demolished.buildingId, building.id);
+
+        socket.emit('demolish_building', { buildingId: building.id, actionId: 'd2' });
+        const rejected = await next(socket, 'demolish_rejected');
+        assert.equal(rejected.code, 'building_not_found');
+
+        assert.deepEqual(socket.invalid, []);
+        socket.disconnect();
+    });
+
+    test('work priorities are cleaned up and echoed back', async () => {
+        const { socket, joined } = await join(new LocalServer());
+        assert.deepEqual(joined.playerData.workPriorities, BuildingCatalog.getWorkerTypes());
+
+        socket.emit('set_work_priorities', { priorities: ['blacksmith', 'dance'] });
+        const { workPriorities } = await next(socket, 'player_updated');
+        assert.deepEqual(workPriorities, ['blacksmith', 'farm', 'lumbermill', 'tradingpost']);
+
+        assert.deepEqual(socket.invalid, []);
+        socket.disconnect();
+    });
+
+    test('chunks come from the world seed', async () => {
+        const { socket, joined } = await join(new LocalServer());
+
+        socket.emit('request_chunks', { chunkCoords: [{ x: 0, y: 0 }, { x: -1, y: 2 }] });
+        const { chunks } = await next(socket, 'chunks_data');
+        assert.deepEqual(chunks.map(chunk => chunk.chunkKey), ['0,0', '-1,2']);
+
+        const tile = ChunkCodec.decode(chunks[1].data).tiles[0];
+        assert.equal(tile.type, WorldGen.getTerrainAt(joined.worldData.seed, -512, 1024));
+        socket.disconnect();
+    });
+
+    test('malformed events are ignored', async () => {
+        const { socket } = await join(new LocalServer());
+        let answered = false;
+        socket.on('building_rejected', () => { answered = true; });
+
+        socket.emit('place_building', { buildingType: 'farm', x: 'here' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(answered, false);
+        socket.disconnect();
+    });
+
+    test('worlds survive in storage between sessions', async () => {
+        const storage = createStorage();
+        const first = await join(new LocalServer({ storage }));
+        const { x, y } = findLand(first.joined.worldData.seed);
+        first.socket.emit('place_building', { buildingType: 'farm', x, y });
+        await next(first.socket, 'building_placed');
+        first.socket.disconnect();
+
+        const { socket, joined } = await join(new LocalServer({ storage }), {
+            playerId: first.joined.playerId,
+            sessionToken: first.joined.sessionToken
+        });
+        assert.equal(joined.worldId, first.joined.worldId);
+        assert.equal(joined.worldData.seed, first.joined.worldData.seed);
+        assert.equal(joined.playerData.buildings.length, 1);
+        socket.disconnect();
+    });
+
+    test('older saves are migrated and newer ones kept as they are', () => {
+        const storage = createStorage();
+        const { workPriorities, explored, ...player } = Simulation.createPlayer('player_1', 'Astrid');
+        const newer = { schemaVersion: SCHEMA_VERSION + 1, id: 'local_future', players: [] };
+        storage.setItem('vikingLocalWorlds', JSON.stringify({
+            worlds: [{
+                id: 'local_old',
+                name: 'Old hall',
+                seed: 7,
+                inviteCode: 'OLDHALL1',
+                createdAt: 0,
+                buildings: [{ id: 'b1', type: 'longhouse', playerId: 'player_1', x: 0, y: 0, produces: { population: 3 } }],
+                players: [{ ...player, fogOfWar: {} }]
+            }, newer]
+        }));
+
+        const server = new LocalServer({ storage });
+        const world = server.worlds.get('local_old');
+        assert.deepEqual(world.players.get('player_1').workPriorities, BuildingCatalog.getWorkerTypes());
+        assert.equal(world.buildings[0].level, 1);
+        assert.deepEqual(world.buildings[0].produces, {});
+        assert.equal(server.worlds.has('local_future'), false);
+
+        // Upgraded worlds count as unsaved, so the next save rewrites them
+        server.save();
+        const saved = JSON.parse(storage.getItem('vikingLocalWorlds')).worlds;
+        assert.deepEqual(saved.map(record => record.schemaVersion), [SCHEMA_VERSION, SCHEMA_VERSION + 1]);
+        assert.deepEqual(saved[1], newer);
+    });
+
+    test('an incompatible client is refused', async () => {
+        const socket = new LocalServer().connect({ protocolVersion: 0 });
+        const error = await next(socket, 'connect_error');
+        assert.equal(error.data.code, 'protocol_mismatch');
+    });
+});
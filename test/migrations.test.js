@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const crypto = require('crypto');
+const assert = require('node:assert/strict');
+const { SCHEMA_VERSION, migrateWorldRecord } = require('../shared/migrations');
+const World = require('../server/world');
+const BuildingCatalog = require('../shared/buildings');
+
+// A world as the server stored it before work priorities and building levels
+function createVersion1Record() {
+    return {
+        id: 'world_1',
+        name: 'Midgard',
+        schemaVersion: 1,
+        players: [{ id: 'p1', name: 'Astrid', camera: { x: 0, y: 0, scale: 1 }, scouts: [], exploredAreas: [], fogOfWar: {} }],
+        buildings: [
+            { id: 'b1', type: 'longhouse', playerId: 'p1', x: 0, y: 0, produces: { population: 3 }, size: 48 },
+            { id: 'b2', type: 'farm', playerId: 'p1', x: 100, y: 0, level: 2, produces: { food: 2 } },
+            { id: 'b3', type: 'watchtower', playerId: 'p1', x: 200, y: 0 }
+        ]
+    };
+}
+
+describe('world record migrations', () => {
+    test('records from before versioning are filled in', () => {
+        const migrated = migrateWorldRecord({ id: 'world_1', name: 'world_1', players: [{ id: 'p1', name: 'Astrid' }] });
+
+        assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+        assert.deepEqual(migrated.buildings, []);
+        const [player] = migrated.players;
+        assert.deepEqual(player.camera, { x: 0, y: 0, scale: 1 });
+        assert.deepEqual(player.scouts, []);
+        assert.deepEqual(player.fogOfWar, {});
+        assert.equal(player.name, 'Astrid');
+    });
+
+    test('current records pass through and newer ones are refused', () => {
+        const current = migrateWorldRecord(createVersion1Record());
+        assert.deepEqual(migrateWorldRecord(structuredClone(current)), current);
+
+        assert.throws(() => migrateWorldRecord({ ...current, schemaVersion: SCHEMA_VERSION + 1 }), /newer version/);
+    });
+
+    test('players get the default work priorities', () => {
+        const record = createVersion1Record();
+        record.players.push({ ...record.players[0], id: 'p2', workPriorities: ['lumbermill'] });
+
+        const migrated = migrateWorldRecord(record);
+        assert.equal(migrated.schemaVersion, SCHEMA_VERSION);
+        assert.deepEqual(migrated.players[0].workPriorities, BuildingCatalog.getWorkerTypes());
+        assert.deepEqual(migrated.players[1].workPriorities, ['lumbermill']);
+    });
+
+    test('buildings pick up levels and the current catalog', () => {
+        const [longhouse, farm, unknown] = migrateWorldRecord(createVersion1Record()).buildings;
+
+        assert.equal(longhouse.level, 1);
+        assert.deepEqual(longhouse.produces, {});
+        assert.equal(longhouse.housing, BuildingCatalog.getBuildingData('longhouse').housing);
+        assert.equal(farm.level, 2);
+        assert.deepEqual(farm.produces, BuildingCatalog.getOutput('farm', 2));
+        assert.equal(farm.workers, BuildingCatalog.getWorkerSlots('farm'));
+        assert.deepEqual(unknown, { id: 'b3', type: 'watchtower', playerId: 'p1', x: 200, y: 0 });
+    });
+
+    test('the building counter starts after the existing buildings', () => {
+        const migrated = migrateWorldRecord(createVersion1Record());
+        assert.equal(migrated.buildingCounter, 3);
+
+        const world = World.fromRecord(migrated);
+        assert.equal(world.toRecord().buildingCounter, 3);
+    });
+
+    test('unsalted password hashes still work and lobby worlds are marked', async () => {
+        const passwordHash = crypto.createHash('sha256').update('mead').digest('hex');
+        const locked = migrateWorldRecord({ ...createVersion1Record(), passwordHash });
+        const matchmade = migrateWorldRecord({ ...createVersion1Record(), name: 'world_1' });
+
+        assert.equal(locked.createdByPlayer, true);
+        assert.equal(matchmade.createdByPlayer, false);
+
+        const world = World.fromRecord(locked);
+        assert.equal(await world.canJoin({ password: 'ale' }), false);
+        assert.equal(await world.canJoin({ password: 'mead' }), true);
+        assert.match(world.passwordHash, /^scrypt:/);
+        assert.equal(await world.canJoin({ password: 'mead' }), true);
+    });
+});
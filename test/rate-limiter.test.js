@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../server/config');
+const RateLimiter = require('../server/rate-limiter');
+
+const LIMITS = {
+    default: { rate: 10, burst: 20 },
+    send_scout: { rate: 2, burst: 3 }
+};
+
+describe('rate limiter', () => {
+    test('buckets allow a burst, then refill at their rate', t => {
+        let now = 0;
+        t.mock.method(Date, 'now', () => now);
+        const limiter = new RateLimiter(LIMITS);
+
+        for (let i = 0; i < 3; i++) assert.equal(limiter.take('send_scout'), true);
+        assert.equal(limiter.take('send_scout'), false);
+
+        now = 400; // 0.8 tokens
+        assert.equal(limiter.take('send_scout'), false);
+        now = 500; // 1 token
+        assert.equal(limiter.take('send_scout'), true);
+        assert.equal(limiter.take('send_scout'), false);
+
+        // Refills stop at the burst size
+        now = 60000;
+        for (let i = 0; i < 3; i++) assert.equal(limiter.take('send_scout'), true);
+        assert.equal(limiter.take('send_scout'), false);
+    });
+
+    test('events have their own buckets and unlisted ones share the default limit', t => {
+        t.mock.method(Date, 'now', () => 0);
+        const limiter = new RateLimiter(LIMITS);
+
+        for (let i = 0; i < 3; i++) limiter.take('send_scout');
+        assert.equal(limiter.take('send_scout'), false);
+        for (let i = 0; i < 20; i++) assert.equal(limiter.take('update_camera'), true);
+        assert.equal(limiter.take('update_camera'), false);
+        assert.equal(limiter.take('request_chunks'), true);
+    });
+
+    test('warnings come once per run of drops', t => {
+        let now = 0;
+        t.mock.method(Date, 'now', () => now);
+        const limiter = new RateLimiter(LIMITS);
+
+        for (let i = 0; i < 3; i++) limiter.take('send_scout');
+        limiter.take('send_scout');
+        assert.equal(limiter.shouldWarn('send_scout'), true);
+        assert.equal(limiter.shouldWarn('send_scout'), false);
+
+        // An event getting through starts a new run
+        now = 500;
+        assert.equal(limiter.take('send_scout'), true);
+        assert.equal(limiter.take('send_scout'), false);
+        assert.equal(limiter.shouldWarn('send_scout'), true);
+    });
+
+    test('drops count as flooding only within the window', t => {
+        let now = 0;
+        t.mock.method(Date, 'now', () => now);
+        const limiter = new RateLimiter(LIMITS);
+
+        for (let i = 1; i < config.floodThreshold; i++) assert.equal(limiter.recordDrop(), false);
+        now = config.floodWindow; // The first drops have aged out
+        assert.equal(limiter.recordDrop(), false);
+        for (let i = 2; i < config.floodThreshold; i++) assert.equal(limiter.recordDrop(), false);
+        assert.equal(limiter.recordDrop(), true);
+    });
+});
@@ -0,0 +1,126 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ServerProfiles = require('../server-profiles');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Stands in for the page: its URL, localStorage and the config.json next to it
+function setPage(t, href, remoteConfig = null) {
+    globalThis.window = { location: new URL(href) };
+    t.mock.method(globalThis, 'fetch', async () => ({
+        ok: remoteConfig !== null,
+        json: async () => remoteConfig
+    }));
+}
+
+describe('server profiles', () => {
+    beforeEach(() => {
+        globalThis.localStorage = createStorage();
+    });
+
+    afterEach(() => {
+        delete globalThis.window;
+        delete globalThis.localStorage;
+    });
+
+    test('urls are reduced to an http(s) origin', () => {
+        assert.equal(ServerProfiles.normalizeUrl(' https://vst.example.com/game?x=1 '), 'https://vst.example.com');
+        assert.equal(ServerProfiles.normalizeUrl('http://localhost:3000/'), 'http://localhost:3000');
+        assert.equal(ServerProfiles.normalizeUrl('ftp://vst.example.com'), null);
+        assert.equal(ServerProfiles.normalizeUrl('not a url'), null);
+        assert.equal(ServerProfiles.normalizeUrl(''), null);
+        assert.equal(ServerProfiles.normalizeUrl(null), null);
+    });
+
+    test('saved profiles join and override the config.json ones', async t => {
+        setPage(t, 'https://vst.example.com/index.html', {
+            profiles: [
+                { name: 'Production', url: 'https://vst.example.com' },
+                { name: 'Staging', url: 'https://staging.example.com' },
+                { name: 'Broken' }
+            ]
+        });
+        const profiles = new ServerProfiles();
+        await profiles.loadRemoteConfig();
+        profiles.saveProfile('Staging', 'https://staging2.example.com/path');
+        profiles.saveProfile('Home', 'http://192.168.1.5:3000');
+
+        assert.deepEqual(profiles.getProfiles(), [
+            { name: 'Production', url: 'https://vst.example.com', saved: false },
+            { name: 'Staging', url: 'https://staging2.example.com', saved: true },
+            { name: 'Home', url: 'http://192.168.1.5:3000', saved: true }
+        ]);
+        assert.throws(() => profiles.saveProfile('Bad', 'javascript:alert(1)'), /valid http/);
+    });
+
+    test('unreadable saved settings are ignored', () => {
+        localStorage.setItem('vikingServerProfiles', '{not json');
+        assert.deepEqual(new ServerProfiles().loadSettings(), { profiles: [], activeProfile: null });
+    });
+
+    test('?server= overrides every profile', async t => {
+        setPage(t, 'https://vst.example.com/index.html?server=https://other.example.com/x', {
+            serverUrl: 'https://config.example.com'
+        });
+        const profiles = new ServerProfiles();
+        profiles.saveProfile('Home', 'http://localhost:3000');
+        profiles.setActiveProfile('Home');
+
+        assert.equal(await profiles.resolveServerUrl(), 'https://other.example.com');
+    });
+
+    test('?profile= and the active profile pick a profile by name', async t => {
+        setPage(t, 'https://vst.example.com/index.html?profile=Staging', {
+            profiles: [{ name: 'Staging', url: 'https://staging.example.com' }],
+            defaultProfile: 'Production'
+        });
+        const profiles = new ServerProfiles();
+        assert.equal(await profiles.resolveServerUrl(), 'https://staging.example.com');
+
+        setPage(t, 'https://vst.example.com/index.html');
+        const saved = new ServerProfiles();
+        saved.saveProfile('Home', 'http://localhost:3000');
+        saved.setActiveProfile('Home');
+        assert.equal(await saved.resolveServerUrl(), 'http://localhost:3000');
+    });
+
+    test('without a profile the config.json server, then the page origin, is used', async t => {
+        setPage(t, 'https://vst.example.com/index.html', { serverUrl: 'https://config.example.com/' });
+        assert.equal(await new ServerProfiles().resolveServerUrl(), 'https://config.example.com');
+
+        setPage(t, 'https://vst.example.com/index.html?server=bogus');
+        assert.equal(await new ServerProfiles().resolveServerUrl(), 'https://vst.example.com');
+
+        setPage(t, 'file:///home/astrid/vst/index.html');
+        assert.equal(await new ServerProfiles().resolveServerUrl(), 'http://localhost:3000');
+    });
+
+    test('identities are kept per server', t => {
+        setPage(t, 'https://vst.example.com/index.html');
+        const profiles = new ServerProfiles();
+        profiles.saveIdentity('https://vst.example.com', 'player_a', 'token_a');
+        profiles.saveIdentity('https://staging.example.com', 'player_b', 'token_b');
+
+        assert.deepEqual(profiles.loadIdentity('https://vst.example.com'), { playerId: 'player_a', sessionToken: 'token_a' });
+        assert.deepEqual(profiles.loadIdentity('https://staging.example.com'), { playerId: 'player_b', sessionToken: 'token_b' });
+        // A server we never joined gets nothing, so no other server's token leaks to it
+        assert.deepEqual(profiles.loadIdentity('https://evil.example.com'), { playerId: null, sessionToken: null });
+    });
+
+    test('an identity saved before servers were told apart goes to the page origin', t => {
+        setPage(t, 'https://vst.example.com/index.html?server=https://evil.example.com');
+        localStorage.setItem('vikingPlayerIdentity', JSON.stringify({ playerId: 'player_a', sessionToken: 'token_a' }));
+        const profiles = new ServerProfiles();
+
+        assert.deepEqual(profiles.loadIdentity('https://evil.example.com'), { playerId: null, sessionToken: null });
+        assert.deepEqual(profiles.loadIdentity('https://vst.example.com'), { playerId: 'player_a', sessionToken: 'token_a' });
+        assert.equal(localStorage.getItem('vikingPlayerIdentity'), null);
+    });
+});
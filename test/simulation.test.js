@@ -0,0 +1,464 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const Simulation = require('../shared/simulation');
+const WorldGen = require('../shared/world-gen');
+const BuildingCatalog = require('../shared/buildings');
+
+const { RULES } = Simulation;
+
+// A world with one player standing on buildable ground near the origin
+function createWorld() {
+    const world = Simulation.createWorldState({ seed: WorldGen.DEMO_SEED });
+    world.players.set('p1', Simulation.createPlayer('p1', 'Astrid', 0));
+    return world;
+}
+
+function findLand(world, buildingType, fromX = 0) {
+    for (let x = fromX; x < fromX + 4000; x += 64) {
+        if (Simulation.isBuildableTerrain(world.seed, buildingType, x, 0)) return { x, y: 0 };
+    }
+    throw new Error('No buildable land near the origin');
+}
+
+function findWater(world) {
+    for (let y = 0; y < 20000; y += 32) {
+        for (let x = 0; x < 20000; x += 512) {
+            const type = WorldGen.getTerrainAt(world.seed, x, y);
+            if (type === 'water' || type === 'deep_water') return { x, y };
+        }
+    }
+    throw new Error('No water found');
+}
+
+describe('economy', () => {
+    test('canAfford compares every resource in the cost', () => {
+        const resources = { food: 10, wood: 20, iron: 0, gold: 0 };
+        assert.equal(Simulation.canAfford(resources, { wood: 20, food: 10 }), true);
+        assert.equal(Simulation.canAfford(resources, { wood: 21 }), false);
+        assert.equal(Simulation.canAfford(resources, { marble: 1 }), false);
+        assert.equal(Simulation.canAfford(resources, {}), true);
+    });
+
+    test('spendResources and refundResources are inverses', () => {
+        const resources = { food: 100, wood: 50, iron: 25, gold: 10 };
+        Simulation.spendResources(resources, { wood: 30, iron: 10 });
+        assert.deepEqual(resources, { food: 100, wood: 20, iron: 15, gold: 10 });
+        Simulation.refundResources(resources, { wood: 30, iron: 10 });
+        assert.deepEqual(resources, { food: 100, wood: 50, iron: 25, gold: 10 });
+    });
+
+    test('production rates are per second, net of upkeep and follow staffing', () => {
+        const player = Simulation.createPlayer('p1', 'Astrid', 0);
+        const buildings = [
+            { id: 'f1', type: 'farm' },
+            { id: 'f2', type: 'farm' },
+            { id: 'f3', type: 'farm' },
+            { id: 'l1', type: 'longhouse' },
+            { id: 't1', type: 'temple' }
+        ];
+        const cyclesPerSecond = 1000 / RULES.productionInterval;
+        const rates = Simulation.getProductionRates(player, buildings);
+
+        // Five villagers staff two farms fully and the third by half, then eat
+        assert.equal(rates.food, (5 - 5 * RULES.foodUpkeep) * cyclesPerSecond);
+        assert.equal(rates.population, RULES.populationGrowth * cyclesPerSecond);
+        assert.equal(rates.wood, 0);
+        assert.equal(rates.happiness, undefined);
+    });
+
+    test('stats start from their base values and are capped at 100', () => {
+        assert.deepEqual(Simulation.getStats([]), { happiness: 50, defense: 0, prosperity: 30 });
+
+        const many = type => Array.from({ length: 10 }, () => ({ type }));
+        assert.deepEqual(
+            Simulation.getStats([...many('temple'), ...many('blacksmith'), ...many('tradingpost')]),
+            { happiness: 100, defense: 100, prosperity: 100 }
+        );
+        assert.equal(Simulation.getStats([{ type: 'blacksmith' }, { type: 'blacksmith' }]).defense, 40);
+    });
+
+    test('happiness comes from the catalog outputs of standing buildings', () => {
+        const { happiness } = BuildingCatalog.getBuildingData('temple').produces;
+        assert.equal(Simulation.getStats([{ type: 'temple' }]).happiness, 50 + happiness);
+        assert.equal(Simulation.getStats([{ type: 'farm' }]).happiness, 50);
+    });
+
+    test('accrual pays whole cycles since each building last produced', () => {
+        const player = Simulation.createPlayer('p1', 'Astrid', 0);
+        const farm = { id: 'f1', type: 'farm', lastUpdate: 0 };
+        const mill = { id: 'm1', type: 'lumbermill', lastUpdate: 1000 };
+        const temple = { id: 't1', type: 'temple', lastUpdate: 0 };
+
+        const cycles = Simulation.accrueProduction(player, [farm, mill, temple], RULES.productionInterval * 2.5);
+
+        // Farm: 2 cycles; the mill started a second later but still fits 2.
+        // The villagers eat once per cycle, not once per building.
+        assert.equal(cycles, 6);
+        assert.equal(player.resources.food, RULES.startingResources.food + 4 - Simulation.getFoodUpkeep(player) * 2);
+        assert.equal(player.resources.wood, RULES.startingResources.wood + 6);
+        assert.equal(player.population, RULES.startingPopulation);
+        assert.equal(player.resources.happiness, undefined);
+        // The partial cycle carries over
+        assert.equal(farm.lastUpdate, RULES.productionInterval * 2);
+        assert.equal(Simulation.accrueProduction(player, [farm], RULES.productionInterval * 2.9), 0);
+    });
+});
+
+describe('workforce', () => {
+    const buildings = [
+        { id: 'f1', type: 'farm' },
+        { id: 'm1', type: 'lumbermill' },
+        { id: 'f2', type: 'farm' },
+        { id: 'l1', type: 'longhouse' }
+    ];
+
+    test('villagers fill slots in priority order', () => {
+        const player = { population: 6, workPriorities: ['lumbermill', 'farm'] };
+        const { staffing, idle } = Simulation.assignWorkers(player, buildings);
+
+        assert.equal(staffing.get('m1'), 3);
+        assert.equal(staffing.get('f1'), 2);
+        assert.equal(staffing.get('f2'), 1);
+        assert.equal(staffing.has('l1'), false);
+        assert.equal(idle, 0);
+        assert.equal(Simulation.assignWorkers({ population: 20 }, buildings).idle, 13);
+    });
+
+    test('output scales with staffing', () => {
+        const farm = { type: 'farm', level: 1 };
+        assert.deepEqual(Simulation.getStaffedOutput(farm, 2), { food: 2 });
+        assert.deepEqual(Simulation.getStaffedOutput(farm, 1), { food: 1 });
+        assert.deepEqual(Simulation.getStaffedOutput(farm, 0), { food: 0 });
+        assert.deepEqual(Simulation.getStaffedOutput({ type: 'temple', level: 1 }), { happiness: 10 });
+    });
+
+    test('priorities are cleaned up before they are stored', () => {
+        const world = createWorld();
+        const { player } = Simulation.setWorkPriorities(world, 'p1', ['temple', 'tradingpost', 'dance', 'tradingpost']);
+
+        assert.deepEqual(player.workPriorities, ['tradingpost', 'farm', 'lumbermill', 'blacksmith']);
+        assert.equal(Simulation.setWorkPriorities(world, 'nobody', []).error, 'not_in_world');
+    });
+});
+
+describe('placement', () => {
+    test('a valid placement spends the cost and adds the building', () => {
+        const world = createWorld();
+        const { x, y } = findLand(world, 'farm');
+
+        const result = Simulation.placeBuilding(world, 'p1', 'farm', x, y, 1000);
+
+        assert.equal(result.error, undefined);
+        assert.equal(result.building.type, 'farm');
+        assert.equal(result.building.playerId, 'p1');
+        assert.equal(world.buildings.length, 1);
+        assert.equal(world.players.get('p1').resources.wood, RULES.startingResources.wood - 15);
+    });
+
+    test('placements are checked in the server order', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        const land = findLand(world, 'farm');
+
+        assert.equal(Simulation.placeBuilding(world, 'nobody', 'farm', land.x, land.y).error, 'not_in_world');
+        assert.equal(Simulation.getPlacementError(world, player, 'castle', land.x, land.y), 'unknown_building');
+        assert.equal(Simulation.getPlacementError(world, player, 'blacksmith', land.x, land.y), 'locked');
+        assert.equal(Simulation.getPlacementError(world, player, 'farm', RULES.worldLimit + 1, 0), 'invalid_position');
+        assert.equal(Simulation.getPlacementError(world, player, 'farm', NaN, 0), 'invalid_position');
+
+        player.resources.wood = 0;
+        assert.equal(Simulation.getPlacementError(world, player, 'farm', land.x, land.y), 'insufficient_resources');
+    });
+
+    test('buildings may not stand closer than their size', () => {
+        const world = createWorld();
+        const { x, y } = findLand(world, 'farm');
+        Simulation.placeBuilding(world, 'p1', 'farm', x, y);
+
+        const player = world.players.get('p1');
+        assert.equal(Simulation.getPlacementError(world, player, 'farm', x + 10, y), 'overlapping');
+        assert.equal(Simulation.isOverlapping(world.buildings, 'farm', x + 200, y), false);
+    });
+
+    test('land buildings are refused on water', () => {
+        const world = createWorld();
+        const { x, y } = findWater(world);
+        assert.equal(Simulation.getPlacementError(world, world.players.get('p1'), 'farm', x, y), 'invalid_terrain');
+    });
+
+    test('requirements unlock once the player owns the prerequisite', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        player.resources = { food: 1000, wood: 1000, iron: 1000, gold: 1000 };
+        const mill = findLand(world, 'lumbermill');
+
+        assert.equal(Simulation.placeBuilding(world, 'p1', 'lumbermill', mill.x, mill.y).error, undefined);
+        // Another player's mill doesn't count
+        world.buildings[0].playerId = 'p2';
+        assert.equal(Simulation.getPlacementError(world, player, 'blacksmith', mill.x + 300, mill.y), 'locked');
+        world.buildings[0].playerId = 'p1';
+        assert.notEqual(Simulation.getPlacementError(world, player, 'blacksmith', mill.x + 300, mill.y), 'locked');
+    });
+
+    test('an explicit list of own buildings overrides the world lookup', () => {
+        const world = createWorld();
+        const player = { ...world.players.get('p1'), buildings: [{ type: 'lumbermill' }] };
+        const land = findLand(world, 'blacksmith');
+        assert.notEqual(Simulation.getPlacementError(world, player, 'blacksmith', land.x, land.y), 'locked');
+    });
+});
+
+describe('upgrades', () => {
+    function placeFarm(world) {
+        const { x, y } = findLand(world, 'farm');
+        return Simulation.placeBuilding(world, 'p1', 'farm', x, y).building;
+    }
+
+    test('an upgrade spends the level cost and scales the output', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        const farm = placeFarm(world);
+        const woodBefore = player.resources.wood;
+        const cost = BuildingCatalog.getUpgradeCost('farm', 1);
+
+        const result = Simulation.upgradeBuilding(world, 'p1', farm.id);
+
+        assert.equal(result.error, undefined);
+        assert.equal(farm.level, 2);
+        assert.deepEqual(farm.produces, BuildingCatalog.getOutput('farm', 2));
+        assert.equal(player.resources.wood, woodBefore - cost.wood);
+
+        Simulation.tick(world, RULES.productionInterval);
+        const upkeep = Simulation.getFoodUpkeep(player);
+        assert.equal(player.resources.food, RULES.startingResources.food - cost.food + farm.produces.food - upkeep);
+    });
+
+    test('upgrades are validated', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        const farm = placeFarm(world);
+
+        assert.equal(Simulation.upgradeBuilding(world, 'nobody', farm.id).error, 'not_in_world');
+        assert.equal(Simulation.upgradeBuilding(world, 'p1', 'building_missing').error, 'building_not_found');
+
+        world.players.set('p2', Simulation.createPlayer('p2', 'Bjorn', 0));
+        assert.equal(Simulation.upgradeBuilding(world, 'p2', farm.id).error, 'not_owner');
+
+        player.resources = { food: 0, wood: 0, iron: 0, gold: 0 };
+        assert.equal(Simulation.upgradeBuilding(world, 'p1', farm.id).error, 'insufficient_resources');
+
+        player.resources = { food: 1000, wood: 1000, iron: 1000, gold: 1000 };
+        while (farm.level < BuildingCatalog.getMaxLevel('farm')) {
+            Simulation.applyAction(world, 'p1', { type: 'upgrade_building', payload: { buildingId: farm.id } });
+        }
+        assert.equal(Simulation.upgradeBuilding(world, 'p1', farm.id).error, 'max_level');
+    });
+
+    test('upgraded temples raise happiness further', () => {
+        const level1 = Simulation.getStats([{ type: 'temple', level: 1 }]).happiness;
+        const level2 = Simulation.getStats([{ type: 'temple', level: 2 }]).happiness;
+        assert.equal(level2 - 50, BuildingCatalog.getOutput('temple', 2).happiness);
+        assert.ok(level2 > level1);
+    });
+});
+
+describe('demolition and relocation', () => {
+    test('demolishing removes the building and refunds a share of its cost', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        const { x, y } = findLand(world, 'farm');
+        const farm = Simulation.placeBuilding(world, 'p1', 'farm', x, y).building;
+        const woodBefore = player.resources.wood;
+
+        const result = Simulation.demolishBuilding(world, 'p1', farm.id);
+
+        const refund = Math.floor(BuildingCatalog.getBuildingData('farm').cost.wood * RULES.demolishRefund);
+        assert.deepEqual(result.refund, { wood: refund });
+        assert.equal(player.resources.wood, woodBefore + refund);
+        assert.deepEqual(world.buildings, []);
+        assert.equal(Simulation.demolishBuilding(world, 'p1', farm.id).error, 'building_not_found');
+    });
+
+    test('buildings placed after a demolish get new ids', () => {
+        const world = createWorld();
+        const { x, y } = findLand(world, 'farm');
+        const other = findLand(world, 'farm', x + 200);
+        const first = Simulation.placeBuilding(world, 'p1', 'farm', x, y, 1000).building;
+        const second = Simulation.placeBuilding(world, 'p1', 'farm', other.x, other.y, 1000).building;
+        Simulation.demolishBuilding(world, 'p1', first.id);
+
+        // Same player, same millisecond and the same building count as `second`
+        const third = Simulation.placeBuilding(world, 'p1', 'farm', x, y, 1000).building;
+        assert.notEqual(third.id, second.id);
+        assert.notEqual(third.id, first.id);
+        assert.equal(world.buildingCounter, 3);
+    });
+
+    test('relocating charges the fee and ignores the old footprint', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        const { x, y } = findLand(world, 'farm');
+        const farm = Simulation.placeBuilding(world, 'p1', 'farm', x, y).building;
+        const woodBefore = player.resources.wood;
+
+        // Nudging it within its own footprint is allowed
+        const result = Simulation.relocateBuilding(world, 'p1', farm.id, x, y);
+
+        assert.equal(result.error, undefined);
+        assert.deepEqual(result.from, { x, y });
+        assert.equal(player.resources.wood, woodBefore - Simulation.getRelocateFee('farm').wood);
+
+        const target = findLand(world, 'farm', x + 256);
+        Simulation.applyAction(world, 'p1', { type: 'relocate_building', payload: { buildingId: farm.id, ...target } });
+        assert.deepEqual({ x: farm.x, y: farm.y }, target);
+    });
+
+    test('relocations are validated', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        const first = findLand(world, 'farm');
+        const farm = Simulation.placeBuilding(world, 'p1', 'farm', first.x, first.y).building;
+        const second = findLand(world, 'farm', first.x + 256);
+        Simulation.placeBuilding(world, 'p1', 'farm', second.x, second.y);
+
+        world.players.set('p2', Simulation.createPlayer('p2', 'Bjorn', 0));
+        assert.equal(Simulation.relocateBuilding(world, 'p2', farm.id, 0, 0).error, 'not_owner');
+        assert.equal(Simulation.demolishBuilding(world, 'p2', farm.id).error, 'not_owner');
+        assert.equal(Simulation.relocateBuilding(world, 'p1', farm.id, RULES.worldLimit + 1, 0).error, 'invalid_position');
+        assert.equal(Simulation.relocateBuilding(world, 'p1', farm.id, second.x, second.y).error, 'overlapping');
+
+        const water = findWater(world);
+        assert.equal(Simulation.relocateBuilding(world, 'p1', farm.id, water.x, water.y).error, 'invalid_terrain');
+
+        player.resources = { food: 0, wood: 0, iron: 0, gold: 0 };
+        assert.equal(Simulation.relocateBuilding(world, 'p1', farm.id, first.x, first.y).error, 'insufficient_resources');
+    });
+});
+
+describe('exploration', () => {
+    test('scouts travel at their speed and reveal around the target', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+
+        const { scout } = Simulation.sendScout(world, 'p1', 300, 0);
+        assert.equal(scout.exploring, true);
+
+        // 300 units at 30 per second takes ten seconds
+        let result = Simulation.updateScouts(world, 5000);
+        assert.equal(result.arrivals.length, 0);
+        assert.equal(Math.round(scout.x), 150);
+        assert.equal(player.explored.isExplored(300, 0), false);
+
+        result = Simulation.updateScouts(world, 5000);
+        assert.equal(result.arrivals.length, 1);
+        assert.deepEqual({ x: scout.x, y: scout.y, exploring: scout.exploring }, { x: 300, y: 0, exploring: false });
+        assert.equal(player.explored.isExplored(300, 0), true);
+        assert.deepEqual(player.exploredAreas, ['300,0']);
+    });
+
+    test('scout orders are validated', () => {
+        const world = createWorld();
+
+        assert.equal(Simulation.sendScout(world, 'nobody', 0, 0).error, 'not_in_world');
+        assert.equal(Simulation.sendScout(world, 'p1', Infinity, 0).error, 'invalid_target');
+        assert.equal(Simulation.sendScout(world, 'p1', RULES.maxScoutDistance + 1, 0).error, 'scout_out_of_range');
+        assert.equal(Simulation.sendScout(world, 'p1', 100, 100).error, undefined);
+        assert.equal(Simulation.sendScout(world, 'p1', 200, 200).error, 'scouts_busy');
+    });
+});
+
+describe('tick and applyAction', () => {
+    test('production runs once per interval of accumulated time', () => {
+        const world = createWorld();
+        const { x, y } = findLand(world, 'farm');
+        Simulation.applyAction(world, 'p1', { type: 'place_building', payload: { buildingType: 'farm', x, y } });
+        const player = world.players.get('p1');
+
+        let result = Simulation.tick(world, RULES.productionInterval - 1);
+        assert.equal(result.producedPlayers.length, 0);
+        assert.equal(player.resources.food, RULES.startingResources.food);
+
+        // Two farmers don't quite feed five villagers
+        const net = 2 - Simulation.getFoodUpkeep(player);
+        result = Simulation.tick(world, 1);
+        assert.deepEqual(result.producedPlayers, [player]);
+        assert.equal(player.resources.food, RULES.startingResources.food + net);
+
+        // A long pause catches up on every missed cycle
+        Simulation.tick(world, RULES.productionInterval * 3);
+        assert.equal(player.resources.food, RULES.startingResources.food + 4 * net);
+    });
+
+    test('population grows while food and housing allow', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        player.resources.wood = 1000;
+        let x = 0;
+        ['longhouse', 'farm', 'farm', 'farm'].forEach(buildingType => {
+            const spot = findLand(world, buildingType, x);
+            Simulation.applyAction(world, 'p1', { type: 'place_building', payload: { buildingType, ...spot } });
+            x = spot.x + 128;
+        });
+
+        Simulation.tick(world, RULES.productionInterval);
+        assert.equal(player.population, RULES.startingPopulation + RULES.populationGrowth);
+
+        // Housing runs out before the farms' surplus does
+        Simulation.tick(world, RULES.productionInterval * 50);
+        assert.equal(player.population, RULES.baseHousing + BuildingCatalog.getHousing('longhouse'));
+        assert.equal(player.starving, false);
+    });
+
+    test('growth stops without a food surplus', () => {
+        const buildings = [{ id: 'l1', type: 'longhouse' }];
+        const player = { population: 5 };
+        assert.equal(Simulation.getPopulationChange(player, buildings, 0, false), 0);
+        assert.equal(Simulation.getPopulationChange(player, buildings, 0.5, false), RULES.populationGrowth);
+    });
+
+    test('starvation empties the stores and takes villagers, but not the last', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        player.resources.food = 1;
+
+        const { producedPlayers } = Simulation.tick(world, RULES.productionInterval);
+        assert.deepEqual(producedPlayers, [player]);
+        assert.equal(player.starving, true);
+        assert.equal(player.resources.food, 0);
+        assert.equal(player.population, RULES.startingPopulation - RULES.starvationLoss);
+
+        Simulation.tick(world, RULES.productionInterval * 20);
+        assert.equal(player.population, 1);
+    });
+
+    test('settlements of offline players are paused', () => {
+        const world = createWorld();
+        const player = world.players.get('p1');
+        player.online = false;
+        const { food } = player.resources;
+
+        const { producedPlayers } = Simulation.tick(world, RULES.productionInterval * 5);
+        assert.deepEqual(producedPlayers, []);
+        assert.equal(player.resources.food, food);
+        assert.equal(player.population, RULES.startingPopulation);
+    });
+
+    test('actions are dispatched by type', () => {
+        const world = createWorld();
+        assert.equal(Simulation.applyAction(world, 'p1', { type: 'send_scout', payload: { targetX: 10, targetY: 10 } }).scout.exploring, true);
+        assert.equal(Simulation.applyAction(world, 'p1', { type: 'dance' }).error, 'unknown_action');
+    });
+
+    test('the same seed and actions give the same world', () => {
+        const run = () => {
+            const world = createWorld();
+            const { x, y } = findLand(world, 'farm');
+            Simulation.applyAction(world, 'p1', { type: 'place_building', payload: { buildingType: 'farm', x, y } }, 500);
+            Simulation.applyAction(world, 'p1', { type: 'send_scout', payload: { targetX: -120, targetY: 45 } });
+            for (let i = 0; i < 40; i++) Simulation.tick(world, 250, 500 + i * 250);
+            const player = world.players.get('p1');
+            return JSON.stringify({ buildings: world.buildings, resources: player.resources, scouts: player.scouts });
+        };
+        assert.equal(run(), run());
+    });
+});
@@ -0,0 +1,45 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const serveStatic = require('../server/static-files');
+
+describe('static files', () => {
+    let httpServer, port;
+
+    before(async () => {
+        httpServer = http.createServer(serveStatic);
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        port = httpServer.address().port;
+    });
+
+    after(() => new Promise(resolve => httpServer.close(resolve)));
+
+    // Raw requests, so paths reach the server exactly as written
+    function get(path) {
+        return new Promise((resolve, reject) => {
+            http.get({ port, path }, res => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+            }).on('error', reject);
+        });
+    }
+
+    test('client files are served', async () => {
+        assert.equal(await get('/'), 200);
+        assert.equal(await get('/index.html'), 200);
+        assert.equal(await get('/shared/protocol.js'), 200);
+    });
+
+    test('malformed escapes are answered with 400 instead of crashing', async () => {
+        assert.equal(await get('/%E0%A4%A'), 400);
+        assert.equal(await get('/index.html'), 200);
+    });
+
+    test('only client files are served', async () => {
+        for (const path of ['/server/config.js', '/package.json', '/requests.jsonl', '/.git/config',
+            '/node_modules/socket.io/package.json', '/shared/../package.json', '/shared/%2e%2e/package.json',
+            '/shared/', '/data/worlds/world_1.json']) {
+            assert.equal(await get(path), 404, path);
+        }
+    });
+});
@@ -0,0 +1,45 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const WorldGen = require('../shared/world-gen');
+const WorldGrid = require('../shared/world-grid');
+
+const CHUNKS = [[0, 0], [-3, 7], [12, -40], [250, 250]];
+
+function generate(seed, x, y) {
+    return WorldGen.generateChunkTiles(seed, x, y, WorldGrid.CHUNK_SIZE, WorldGrid.TILE_SIZE);
+}
+
+function tileTypes(tiles) {
+    return tiles.map(tile => tile.type);
+}
+
+describe('world generation', () => {
+    test('the same seed always produces the same chunks', () => {
+        CHUNKS.forEach(([x, y]) => {
+            const first = generate(WorldGen.DEMO_SEED, x, y);
+            assert.equal(first.length, (WorldGrid.CHUNK_SIZE / WorldGrid.TILE_SIZE) ** 2);
+            assert.deepEqual(generate(WorldGen.DEMO_SEED, x, y), first);
+        });
+
+        // Text seeds hash to the same number every time
+        assert.deepEqual(generate('midgard', 4, -2), generate(WorldGen.normalizeSeed('midgard'), 4, -2));
+    });
+
+    test('different seeds produce different chunks', () => {
+        const seeds = [WorldGen.DEMO_SEED, WorldGen.DEMO_SEED + 1, 'midgard', 'asgard'];
+        const maps = seeds.map(seed => CHUNKS.flatMap(([x, y]) => tileTypes(generate(seed, x, y))).join());
+
+        assert.equal(new Set(maps).size, seeds.length);
+    });
+
+    test('tiles match the terrain at their world position', () => {
+        const tiles = generate(WorldGen.DEMO_SEED, -3, 7);
+
+        // Column by column, as ChunkCodec stores them
+        assert.equal(tiles[1].worldX, -3 * WorldGrid.CHUNK_SIZE);
+        assert.equal(tiles[1].worldY, 7 * WorldGrid.CHUNK_SIZE + WorldGrid.TILE_SIZE);
+        tiles.forEach(tile => {
+            assert.equal(tile.type, WorldGen.getTerrainAt(WorldGen.DEMO_SEED, tile.worldX, tile.worldY));
+        });
+    });
+});